@@ -0,0 +1,203 @@
+// ============================================================
+// backbone.js — Backbone dihedrals (phi/psi/omega) and 3D chain
+// building by NeRF (natural extension reference frame)
+//
+// Each residue owns phi (C[i-1]-N-CA-C), psi (N-CA-C-N[i+1]) and
+// omega (CA-C-N[i+1]-CA[i+1]) — psi and omega describe the bond to
+// the next residue. N-CA-C geometry comes from each residue's own
+// atoms (CCD template or imported); the peptide bond uses Engh & Huber.
+// ============================================================
+
+import * as THREE from 'three';
+import { SS_PRESETS } from './constants.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { SCALE } from './renderer3d.js';
+
+const S = STRUCT_SCALE * SCALE;          // game units → world units
+const WORLD_PER_ANG = ANG_SCALE * S;
+
+// Peptide bond geometry (Engh & Huber 1991)
+const C_N_BOND = 1.329;   // Å
+const CA_C_N = 116.2;     // degrees
+const C_N_CA = 121.7;     // degrees
+
+// Lowest atom center of a folded segment sits at the flat-layout height
+const GROUND_CLEARANCE = 0.3;
+
+// Backbone atom indices in FULL[letter].atoms (see BB_ATOMS)
+const N = 0, CA = 1, C = 2, O = 3, OXT = 4;
+
+// ============================================================
+// Secondary-structure presets (SS_PRESETS: ideal phi/psi)
+// ============================================================
+
+// Residues that join a folded segment start as a β-strand
+export const DEFAULT_DIHEDRALS = { phi: -135, psi: 135, omega: 180 };
+
+// The pyrrolidine ring locks proline phi near -63°
+const PRO_PHI_MIN = -90, PRO_PHI_MAX = -45;
+
+export function presetDihedrals(presetId, letter) {
+  const preset = SS_PRESETS.find(p => p.id === presetId);
+  if (!preset) return null;
+  let phi = preset.phi;
+  if (letter === 'P') phi = Math.min(PRO_PHI_MAX, Math.max(PRO_PHI_MIN, phi));
+  return { phi, psi: preset.psi, omega: 180 };
+}
+
+// ============================================================
+// Vector helpers (THREE.Vector3)
+// ============================================================
+const DEG = Math.PI / 180;
+
+function local(atom) {
+  return new THREE.Vector3(atom.x * S, atom.y * S, (atom.z || 0) * S);
+}
+
+export function dihedral(a, b, c, d) {
+  const b0 = new THREE.Vector3().subVectors(a, b);
+  const b1 = new THREE.Vector3().subVectors(c, b).normalize();
+  const b2 = new THREE.Vector3().subVectors(d, c);
+  const v = b0.sub(b1.clone().multiplyScalar(b0.dot(b1)));
+  const w = b2.sub(b1.clone().multiplyScalar(b2.dot(b1)));
+  const x = v.dot(w);
+  const y = new THREE.Vector3().crossVectors(b1, v).dot(w);
+  return Math.atan2(y, x) / DEG;
+}
+
+// Place d so that |cd| = length, angle(b, c, d) = angle and
+// dihedral(a, b, c, d) = torsion
+export function placeAtom(a, b, c, length, angle, torsion) {
+  const bc = new THREE.Vector3().subVectors(c, b).normalize();
+  const n = new THREE.Vector3().subVectors(b, a).cross(bc).normalize();
+  const m = new THREE.Vector3().crossVectors(n, bc);
+  const t = angle * DEG, p = torsion * DEG;
+  return c.clone()
+    .addScaledVector(bc, -length * Math.cos(t))
+    .addScaledVector(m, length * Math.sin(t) * Math.cos(p))
+    .addScaledVector(n, length * Math.sin(t) * Math.sin(p));
+}
+
+// Orthonormal frame from N, CA, C as a rotation matrix
+function frame(n, ca, c) {
+  const u = new THREE.Vector3().subVectors(c, ca).normalize();
+  const v = new THREE.Vector3().subVectors(n, ca);
+  v.addScaledVector(u, -v.dot(u)).normalize();
+  const w = new THREE.Vector3().crossVectors(u, v);
+  return new THREE.Matrix4().makeBasis(u, v, w);
+}
+
+// ============================================================
+// Carbonyl orientation: rotate O (and OXT) about CA–C so that the
+// N-CA-C-O dihedral matches (psi + 180 keeps O trans to N[i+1])
+// atoms: local game units, FULL order. Returns a new array.
+// ============================================================
+export function setCarbonylDihedral(atoms, target) {
+  const out = atoms.map(a => ({ ...a }));
+  const n = local(atoms[N]), ca = local(atoms[CA]), c = local(atoms[C]);
+  const delta = (target - dihedral(n, ca, c, local(atoms[O]))) * DEG;
+  if (Math.abs(delta) < 1e-6) return out;
+
+  const axis = new THREE.Vector3().subVectors(c, ca).normalize();
+  const q = new THREE.Quaternion().setFromAxisAngle(axis, delta);
+  for (const idx of [O, OXT]) {
+    if (!atoms[idx] || !/^O/.test(atoms[idx].name)) continue;
+    const p = local(atoms[idx]).sub(c).applyQuaternion(q).add(c);
+    out[idx].x = p.x / S;
+    out[idx].y = p.y / S;
+    out[idx].z = p.z / S;
+  }
+  return out;
+}
+
+// N-CA-C-O dihedral of the unmodified CCD template
+export function templateCarbonylDihedral(letter) {
+  const a = FULL[letter].atoms;
+  return dihedral(local(a[N]), local(a[CA]), local(a[C]), local(a[O]));
+}
+
+// ============================================================
+// Build a folded segment
+// residues: [{ atoms, phi, psi, omega }] N→C; atoms in local game units
+// anchorIdx / anchor: the residue that keeps its world pose
+// ({ position, quaternion }); the chain is grown from it in both
+// directions. Returns [{ position, quaternion, atoms }] — group pose
+// and local atoms (carbonyl re-oriented) per residue, resting on the
+// ground.
+// ============================================================
+export function buildFold(residues, anchorIdx, anchor) {
+  const anchorMatrix = new THREE.Matrix4().compose(
+    anchor.position, anchor.quaternion, new THREE.Vector3(1, 1, 1));
+
+  // Internal N-CA-C geometry of each residue
+  const geom = residues.map(res => {
+    const n = local(res.atoms[N]), ca = local(res.atoms[CA]), c = local(res.atoms[C]);
+    const nca = n.clone().sub(ca), cca = c.clone().sub(ca);
+    return { n, ca, c, nCa: nca.length(), caC: cca.length(), angle: nca.angleTo(cca) / DEG };
+  });
+  const cnBond = C_N_BOND * WORLD_PER_ANG;
+
+  // World N/CA/C of every residue
+  const world = [];
+  const g0 = geom[anchorIdx];
+  world[anchorIdx] = {
+    n: g0.n.clone().applyMatrix4(anchorMatrix),
+    ca: g0.ca.clone().applyMatrix4(anchorMatrix),
+    c: g0.c.clone().applyMatrix4(anchorMatrix),
+  };
+  // Toward the C-terminus
+  for (let i = anchorIdx + 1; i < residues.length; i++) {
+    const p = world[i - 1], before = residues[i - 1];
+    const n = placeAtom(p.n, p.ca, p.c, cnBond, CA_C_N, before.psi);
+    const ca = placeAtom(p.ca, p.c, n, geom[i].nCa, C_N_CA, before.omega);
+    const c = placeAtom(p.c, n, ca, geom[i].caC, geom[i].angle, residues[i].phi);
+    world[i] = { n, ca, c };
+  }
+  // Toward the N-terminus (the same dihedrals read backwards)
+  for (let i = anchorIdx - 1; i >= 0; i--) {
+    const q = world[i + 1], after = residues[i + 1];
+    const c = placeAtom(q.c, q.ca, q.n, cnBond, C_N_CA, after.phi);
+    const ca = placeAtom(q.ca, q.n, c, geom[i].caC, CA_C_N, residues[i].omega);
+    const n = placeAtom(q.n, c, ca, geom[i].nCa, geom[i].angle, residues[i].psi);
+    world[i] = { n, ca, c };
+  }
+
+  // Rigid pose per residue: local N/CA/C frame → world frame
+  const poses = residues.map((res, i) => {
+    const { n, ca, c } = geom[i];
+    const rot = frame(world[i].n, world[i].ca, world[i].c)
+      .multiply(frame(n, ca, c).transpose());
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(rot);
+    const position = world[i].ca.clone().sub(ca.clone().applyQuaternion(quaternion));
+    const atoms = setCarbonylDihedral(res.atoms, res.psi + 180);
+    return { position, quaternion, atoms };
+  });
+
+  // Rest the fold on the ground
+  let minY = Infinity;
+  for (const pose of poses) {
+    for (const a of pose.atoms) {
+      const y = local(a).applyQuaternion(pose.quaternion).y + pose.position.y;
+      if (y < minY) minY = y;
+    }
+  }
+  for (const pose of poses) pose.position.y += GROUND_CLEARANCE - minY;
+
+  return poses;
+}
+
+// ============================================================
+// Measure phi/psi/omega from world-space backbone atoms
+// residues: [{ n, ca, c }] N→C (THREE.Vector3). Undefined terminal
+// angles are null.
+// ============================================================
+export function measureDihedrals(residues) {
+  return residues.map((r, i) => {
+    const prev = residues[i - 1], next = residues[i + 1];
+    return {
+      phi: prev ? dihedral(prev.c, r.n, r.ca, r.c) : null,
+      psi: next ? dihedral(r.n, r.ca, r.c, next.n) : null,
+      omega: next ? dihedral(r.ca, r.c, next.n, next.ca) : null,
+    };
+  });
+}
@@ -0,0 +1,236 @@
+// ============================================================
+// cartoon.js — Cartoon trace of the backbone
+// A smooth spline through the CA atoms of each connected segment:
+// a round tube for coil, a flat ribbon where the backbone is helical
+// and an arrow along strands. Rebuilt whenever a CA or O moves, so
+// the trace follows folding, dragging and dynamics.
+// ============================================================
+
+import * as THREE from 'three';
+import { scene, SCALE } from './renderer3d.js';
+import { STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { getChain, getSegments, atomWorld, getChainDihedrals, setPeptideBondVisibility } from './chain.js';
+import { setCartoonState } from './structures3d.js';
+import { residueColor } from './colors.js';
+import { GameEvents } from './ui.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+// Backbone atom indices (see BB_ATOMS)
+const CA = 1, O = 3;
+
+// Segments shorter than this keep their atoms
+const MIN_RESIDUES = 3;
+
+// --- Secondary structure from the phi/psi of folded residues ---
+// (flat residues sit on the grid in a schematic pose: always coil)
+const MIN_HELIX = 4;
+const MIN_STRAND = 3;
+
+function isHelical(phi, psi) {
+  return phi >= -100 && phi <= -30 && psi >= -80 && psi <= -5;
+}
+
+function isExtended(phi, psi) {
+  return phi >= -180 && phi <= -90 && (psi >= 90 || psi <= -165);
+}
+
+// --- Cross-sections: half width and half thickness, Å ---
+const SHAPES = {
+  coil: [0.2, 0.2],
+  helix: [0.9, 0.12],
+  strand: [0.8, 0.12],
+};
+const ARROW_HALF_WIDTH = 1.3;
+
+const SS_COLORS = {
+  coil: new THREE.Color(0xb0b0b0),
+  helix: new THREE.Color(0xe0457b),
+  strand: new THREE.Color(0xf2c230),
+};
+
+const SAMPLES = 8;   // spline points per residue
+const SIDES = 10;    // vertices around the cross-section
+
+const material = new THREE.MeshStandardMaterial({
+  vertexColors: true, roughness: 0.45, metalness: 0.05, side: THREE.DoubleSide,
+});
+
+// --- State ---
+const group = new THREE.Group();
+scene.add(group);
+let mode = 'off';
+let traceKey = null;   // CA / O positions the current trace was built from
+
+export function getCartoonMode() {
+  return mode;
+}
+
+// A color scheme paints the trace by residue (element colors: by secondary structure)
+GameEvents.on('residueColorsChanged', () => { traceKey = null; });
+
+export function setCartoonMode(value) {
+  if (mode === value) return;
+  mode = value;
+  traceKey = null;
+  GameEvents.emit('cartoonChanged', { mode });
+}
+
+// ============================================================
+// Secondary structure: 'helix' | 'strand' | 'coil' per residue
+// ============================================================
+function assignRuns(ss, flags, kind, minLength) {
+  let start = 0;
+  for (let i = 0; i <= flags.length; i++) {
+    if (i < flags.length && flags[i]) continue;
+    if (i - start >= minLength) ss.fill(kind, start, i);
+    start = i + 1;
+  }
+}
+
+function secondaryStructure(segment, dihedrals) {
+  const ss = segment.map(() => 'coil');
+  const folded = segment.map((e, i) => e.backbone && dihedrals[i].phi != null && dihedrals[i].psi != null);
+  assignRuns(ss, segment.map((e, i) => folded[i] && isHelical(dihedrals[i].phi, dihedrals[i].psi)), 'helix', MIN_HELIX);
+  assignRuns(ss, segment.map((e, i) => folded[i] && isExtended(dihedrals[i].phi, dihedrals[i].psi)), 'strand', MIN_STRAND);
+  return ss;
+}
+
+// ============================================================
+// Geometry: a swept elliptical cross-section along the spline
+// ============================================================
+
+// Half width / thickness (Å) at spline parameter u (in residues);
+// an arrow widens at the last strand residue and tapers to the next
+function sectionAt(ss, arrows, u) {
+  const i = Math.min(Math.floor(u), ss.length - 2), f = u - i;
+  if (arrows.has(i)) {
+    const [w, h] = SHAPES.coil;
+    return [ARROW_HALF_WIDTH + (w - ARROW_HALF_WIDTH) * f, SHAPES.strand[1] + (h - SHAPES.strand[1]) * f];
+  }
+  const a = SHAPES[ss[i]], b = SHAPES[ss[Math.min(i + 1, ss.length - 1)]];
+  const t = f * f * (3 - 2 * f);
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Residues where a strand's arrowhead starts: its last residue, or
+// the one before when the strand runs to the end of the segment
+function arrowStarts(ss) {
+  const arrows = new Set();
+  ss.forEach((kind, i) => {
+    if (kind !== 'strand' || ss[i + 1] === 'strand') return;
+    arrows.add(i === ss.length - 1 ? i - 1 : i);
+  });
+  return arrows;
+}
+
+// Ribbon width direction per residue: CA→O, flipped to stay on the
+// same side as the previous residue's
+function guides(segment) {
+  let last = null;
+  return segment.map(e => {
+    const g = atomWorld(e, O).sub(atomWorld(e, CA)).normalize();
+    if (last && g.dot(last) < 0) g.negate();
+    last = g;
+    return g;
+  });
+}
+
+function traceGeometry(segment, ss) {
+  const curve = new THREE.CatmullRomCurve3(segment.map(e => atomWorld(e, CA)), false, 'centripetal');
+  const guide = guides(segment);
+  const arrows = arrowStarts(ss);
+  const last = segment.length - 1;
+  const count = last * SAMPLES + 1;
+
+  const positions = new Float32Array(count * SIDES * 3);
+  const colors = new Float32Array(count * SIDES * 3);
+  const indices = [];
+  const normal = new THREE.Vector3(), binormal = new THREE.Vector3();
+
+  for (let k = 0; k < count; k++) {
+    const u = k / SAMPLES;
+    const t = u / last;
+    const p = curve.getPoint(t);
+    const tangent = curve.getTangent(t);
+    const i = Math.min(Math.floor(u), last - 1), f = u - i;
+    normal.copy(guide[i]).lerp(guide[i + 1], f);
+    normal.addScaledVector(tangent, -normal.dot(tangent)).normalize();
+    binormal.crossVectors(tangent, normal);
+
+    const [w, h] = sectionAt(ss, arrows, u).map(r => r * WORLD_PER_ANG);
+    const r = Math.round(u);
+    const color = residueColor(segment[r]) || SS_COLORS[ss[r]];
+    for (let j = 0; j < SIDES; j++) {
+      const theta = (2 * Math.PI * j) / SIDES;
+      const c = Math.cos(theta) * w, s = Math.sin(theta) * h;
+      const v = 3 * (k * SIDES + j);
+      positions[v] = p.x + normal.x * c + binormal.x * s;
+      positions[v + 1] = p.y + normal.y * c + binormal.y * s;
+      positions[v + 2] = p.z + normal.z * c + binormal.z * s;
+      colors[v] = color.r;
+      colors[v + 1] = color.g;
+      colors[v + 2] = color.b;
+    }
+    if (k === 0) continue;
+    for (let j = 0; j < SIDES; j++) {
+      const a = (k - 1) * SIDES + j, b = (k - 1) * SIDES + (j + 1) % SIDES;
+      const c = a + SIDES, d = b + SIDES;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geo.setIndex(indices);
+  geo.computeVertexNormals();
+  return geo;
+}
+
+// ============================================================
+// Drawing
+// ============================================================
+function clearTrace() {
+  for (const mesh of [...group.children]) {
+    group.remove(mesh);
+    mesh.geometry.dispose();
+  }
+}
+
+function currentKey(chain) {
+  if (mode === 'off') return 'off';
+  return mode + chain.map(e => {
+    const ca = atomWorld(e, CA), o = atomWorld(e, O);
+    return `${e.refKey}${e.prev ? '<' : ''}:${ca.x.toFixed(3)},${ca.y.toFixed(3)},${ca.z.toFixed(3)},${o.x.toFixed(3)},${o.y.toFixed(3)},${o.z.toFixed(3)}`;
+  }).join(';');
+}
+
+function rebuild(chain) {
+  clearTrace();
+  const traced = new Set();
+  if (mode !== 'off') {
+    const dihedrals = getChainDihedrals();
+    let offset = 0;
+    for (const segment of getSegments()) {
+      const angles = dihedrals.slice(offset, offset + segment.length);
+      offset += segment.length;
+      if (segment.length < MIN_RESIDUES) continue;
+      group.add(new THREE.Mesh(traceGeometry(segment, secondaryStructure(segment, angles)), material));
+      for (const e of segment) traced.add(e);
+    }
+  }
+  for (const e of chain) setCartoonState(e.refKey, traced.has(e) ? mode : null);
+  setPeptideBondVisibility(c => !traced.has(c));
+}
+
+// ============================================================
+// Public: per-frame update (rebuilds only when the trace moved)
+// ============================================================
+export function updateCartoon3D() {
+  const chain = getChain();
+  const key = currentKey(chain);
+  if (key === traceKey) return;
+  traceKey = key;
+  rebuild(chain);
+}
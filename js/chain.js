@@ -1,30 +1,35 @@
 // ============================================================
-// chain.js — Chain state, placement, peptide bonds
+// chain.js — Chain state, placement, polymer topology, peptide bonds
 // ============================================================
 
 import * as THREE from 'three';
 import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
-import { BIOME_BY_LETTER, CAT_COLORS, CELL_SIZE, GRID_W, GRID_H } from './constants.js';
+import { BIOME_BY_LETTER, CAT_COLORS, CELL_SIZE, GRID_W, GRID_H, GRID_COLS, GRID_ROWS } from './constants.js';
 import { FULL, STRUCT_SCALE, ARAD, BB_ATOMS } from './structures.js';
 import { scene, SCALE } from './renderer3d.js';
-import { buildStructureGroup, removeStructureRef } from './structures3d.js';
+import { buildStructureGroup, removeStructureRef, currentAtoms, setTerminalState, setRotamer, setStructureAtoms, getStructureAtoms, getResidueRepresentation, setResidueRepresentation } from './structures3d.js';
+import { nextRotamer, getRotamerCount, matchesRotamer } from './rotamers.js';
+import { buildFold, DEFAULT_DIHEDRALS, setCarbonylDihedral, templateCarbonylDihedral, measureDihedrals } from './backbone.js';
 import { cellToWorld, addCellMarker, removeCellMarker, moveCellMarker } from './grid3d.js';
 import { repositionWaters } from './water3d.js';
 
 const S = STRUCT_SCALE * SCALE;
 
 // --- State ---
-const chain = [];        // { letter, col, row, group, label, spotlight, refKey }
+// chain is kept in polymer order: each segment runs N→C via prev/next
+// links, and the residues of a segment are contiguous in the array.
+const chain = [];        // { letter, col, row, group, label, spotlight, refKey, serial, prev, next, rotamer, backbone }
 const occupied = {};     // "col,row" → true
-const bonds = [];        // { mesh, i, j } — adjacency-based peptide bonds
+const bonds = [];        // { mesh, c, n } — peptide bond from entry c's C to entry n's N
+let nextSerial = 0;      // placement counter: unique refKeys and placement order
 
 function isAdjacent(c1, r1, c2, r2) {
   return (Math.abs(c1 - c2) + Math.abs(r1 - r2)) === 1;
 }
 
-function removeBondsFor(idx) {
+function removeBondsFor(entry) {
   for (let b = bonds.length - 1; b >= 0; b--) {
-    if (bonds[b].i === idx || bonds[b].j === idx) {
+    if (bonds[b].c === entry || bonds[b].n === entry) {
       scene.remove(bonds[b].mesh);
       bonds[b].mesh.geometry?.dispose();
       bonds[b].mesh.material?.dispose();
@@ -33,26 +38,123 @@ function removeBondsFor(idx) {
   }
 }
 
-function createAdjacentBonds(idx) {
-  const e = chain[idx];
-  for (let k = 0; k < chain.length; k++) {
-    if (k === idx) continue;
-    if (!isAdjacent(e.col, e.row, chain[k].col, chain[k].row)) continue;
-    if (bonds.some(b => (b.i === idx && b.j === k) || (b.i === k && b.j === idx))) continue;
-    const mesh = makePeptideBond(e, chain[k]);
-    if (mesh) bonds.push({ mesh, i: idx, j: k });
+function addBond(c, n) {
+  if (bonds.some(b => b.c === c && b.n === n)) return;
+  const mesh = makePeptideBond(c, n);
+  if (mesh) bonds.push({ mesh, c, n });
+}
+
+// Bonds to an entry's polymer neighbors
+function createLinkBonds(entry) {
+  if (entry.prev) addBond(entry.prev, entry);
+  if (entry.next) addBond(entry, entry.next);
+}
+
+// ============================================================
+// Polymer topology
+// ============================================================
+function segmentHead(entry) {
+  let e = entry;
+  while (e.prev) e = e.prev;
+  return e;
+}
+
+function segmentOf(entry) {
+  const seg = [];
+  for (let e = segmentHead(entry); e; e = e.next) seg.push(e);
+  return seg;
+}
+
+// Re-sort the chain array from the links: segments keep their
+// relative order (by head position), residues run N→C within each
+function reorderChain() {
+  const ordered = [];
+  for (const e of chain) {
+    if (e.prev) continue;
+    for (let r = e; r; r = r.next) ordered.push(r);
+  }
+  chain.splice(0, chain.length, ...ordered);
+}
+
+// OXT only exists at a free C-terminus; terminal charges need a free
+// end; the amide H sits opposite the preceding residue's C
+function updateTerminal(entry) {
+  setTerminalState(entry.refKey, {
+    cTerminal: !entry.next,
+    nTerminal: !entry.prev,
+    prevC: entry.prev ? worldToEntry(entry, atomWorld(entry.prev, 2)) : null,
+  });
+}
+
+// Link a residue that has no neighbors yet into the polymer. It extends
+// an adjacent C-terminus (preferred) and/or precedes an adjacent
+// N-terminus of another segment; otherwise it starts a new segment.
+function linkEntry(entry) {
+  const tail = chain.find(k => k !== entry && !k.next &&
+    isAdjacent(entry.col, entry.row, k.col, k.row));
+  if (tail) {
+    tail.next = entry;
+    entry.prev = tail;
+  }
+
+  const tailHead = tail ? segmentHead(tail) : null;
+  const head = chain.find(k => k !== entry && !k.prev && k !== tailHead &&
+    isAdjacent(entry.col, entry.row, k.col, k.row));
+  if (head) {
+    head.prev = entry;
+    entry.next = head;
+  }
+
+  if (tail || head) reorderChain();
+}
+
+// Orient along the polymer: N faces the predecessor, or (at an
+// N-terminus) C faces the successor
+function orientInChain(entry) {
+  if (entry.prev) {
+    orientTowardNeighbor(entry, entry.prev.col, entry.prev.row);
+  } else if (entry.next) {
+    // Facing the cell mirrored through this one points C at the successor
+    orientTowardNeighbor(entry, 2 * entry.col - entry.next.col, 2 * entry.row - entry.next.row);
+  }
+}
+
+// Orient a residue and the neighbors that depend on it, then redraw
+// their peptide bonds and terminal atoms. In a folded segment the
+// whole fold is rebuilt instead (around foldAnchor if given).
+function settleInChain(entry, foldAnchor) {
+  const seg = segmentOf(entry);
+  if (seg.some(e => e.backbone)) {
+    foldSegment(seg, foldAnchor);
+    return;
+  }
+
+  orientInChain(entry);
+  if (entry.prev && !entry.prev.prev) orientInChain(entry.prev);
+  if (entry.next) orientInChain(entry.next);
+
+  const around = [entry.prev, entry, entry.next].filter(Boolean);
+  for (const e of around) removeBondsFor(e);
+  for (const e of around) {
+    createLinkBonds(e);
+    updateTerminal(e);
   }
 }
 
 // Orient an entry so its backbone N faces a neighbor (C points away)
 function orientTowardNeighbor(entry, neighborCol, neighborRow) {
-  const atomN = FULL[entry.letter].atoms[0];
-  const atomC = FULL[entry.letter].atoms[2];
+  entry.group.rotation.set(0, facingAngle(entry.letter, entry.col, entry.row, neighborCol, neighborRow), 0);
+}
+
+// Y rotation that turns a residue at (col, row) to face N at a neighbor
+function facingAngle(letter, col, row, neighborCol, neighborRow) {
+  const atomN = FULL[letter].atoms[0];
+  const atomC = FULL[letter].atoms[2];
   // Backbone N→C angle in local XZ plane (≈ 0 since aligned to +x)
   const bbAngle = Math.atan2((atomC.z || 0) - (atomN.z || 0), atomC.x - atomN.x);
   // Direction away from neighbor in world XZ
-  const awayAngle = Math.atan2(entry.row - neighborRow, entry.col - neighborCol);
-  entry.group.rotation.set(0, bbAngle - awayAngle, 0);
+  const awayAngle = Math.atan2(row - neighborRow, col - neighborCol);
+  return bbAngle - awayAngle;
 }
 
 // --- Shared geometries ---
@@ -62,51 +164,189 @@ const bondMat = new THREE.MeshStandardMaterial({
 });
 
 // ============================================================
-// Peptide bond: cylinder between backbone C of one and N of the other
-// Picks the shorter C→N pair (respects group rotation)
+// Backbone folding: a segment whose residues carry phi/psi/omega
+// (entry.backbone, degrees) is built in 3D around an anchor residue
+// that keeps its pose. Grid cells stay behind as handles.
+// ============================================================
+
+// Label and spotlight float above the residue (flat layout: y 0.3)
+function placeDecor(entry) {
+  const p = entry.group.position;
+  entry.label.position.set(p.x, p.y + 2.2, p.z);
+  entry.spotlight.position.set(p.x, p.y + 3.7, p.z);
+}
+
+// Default anchor: the first-placed residue, so the fold stays put
+// while residues are added or removed at either end
+function defaultAnchor(seg) {
+  return seg.reduce((a, e) => (e.serial < a.serial ? e : a));
+}
+
+function foldSegment(seg, anchor = defaultAnchor(seg)) {
+  for (const e of seg) {
+    if (!e.backbone) e.backbone = { ...DEFAULT_DIHEDRALS };
+  }
+
+  const poses = buildFold(
+    seg.map(e => ({ atoms: getStructureAtoms(e.refKey) || FULL[e.letter].atoms, ...e.backbone })),
+    seg.indexOf(anchor),
+    { position: anchor.group.position, quaternion: anchor.group.quaternion },
+  );
+  seg.forEach((e, i) => {
+    e.group.position.copy(poses[i].position);
+    e.group.quaternion.copy(poses[i].quaternion);
+    setStructureAtoms(e.refKey, poses[i].atoms);
+    placeDecor(e);
+  });
+
+  for (const e of seg) removeBondsFor(e);
+  for (const e of seg) {
+    createLinkBonds(e);
+    updateTerminal(e);
+  }
+}
+
+// Set phi/psi/omega on residues of one segment and rebuild its fold.
+// dihedrals: (entry) → { phi, psi, omega }
+export function setBackbone(entries, dihedrals) {
+  if (entries.length === 0) return;
+  for (const e of entries) e.backbone = { ...dihedrals(e) };
+  foldSegment(segmentOf(entries[0]));
+}
+
+// Drop the segment back onto its grid cells (no dihedrals)
+export function flattenSegment(entry) {
+  const seg = segmentOf(entry);
+  for (const e of seg) {
+    e.backbone = null;
+    const pos = cellToWorld(e.col, e.row);
+    e.group.position.set(pos.x, 0.3, pos.z);
+    e.group.rotation.set(0, 0, 0);
+    const atoms = getStructureAtoms(e.refKey);
+    if (atoms) setStructureAtoms(e.refKey, setCarbonylDihedral(atoms, templateCarbonylDihedral(e.letter)));
+    placeDecor(e);
+  }
+  for (const e of seg) orientInChain(e);
+  for (const e of seg) removeBondsFor(e);
+  for (const e of seg) {
+    createLinkBonds(e);
+    updateTerminal(e);
+  }
+}
+
+// Rotate a residue about a world axis ('x' or 'y'); a folded segment
+// turns as a whole around it
+const _axes = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0) };
+const _rq = new THREE.Quaternion();
+
+export function rotateEntry(entry, axis, angle) {
+  if (!entry.backbone) {
+    entry.group.rotation[axis] += angle;
+    for (const e of [entry, entry.next]) if (e) updateTerminal(e);
+    return;
+  }
+  entry.group.quaternion.premultiply(_rq.setFromAxisAngle(_axes[axis], angle));
+  foldSegment(segmentOf(entry), entry);
+}
+
+// Polymer position of a residue: { index (0-based), length } in its segment
+export function getSegmentPosition(entry) {
+  const seg = segmentOf(entry);
+  return { index: seg.indexOf(entry), length: seg.length };
+}
+
+// Residues [from, to] (0-based, inclusive) of an entry's segment
+export function getSegmentRange(entry, from, to) {
+  return segmentOf(entry).slice(from, to + 1);
+}
+
+// ============================================================
+// World-space atom positions (follow group position, rotation
+// and the live rotamer pose)
 // ============================================================
 const _bv = new THREE.Vector3();
 
-function atomWorld(entry, atomIdx) {
-  const pos = cellToWorld(entry.col, entry.row);
-  const atom = FULL[entry.letter].atoms[atomIdx];
+function entryAtoms(entry) {
+  return currentAtoms[entry.refKey] || FULL[entry.letter].atoms;
+}
+
+// Inverse of atomWorld: a world point in an entry's local game units
+function worldToEntry(entry, point) {
+  const v = point.clone().sub(entry.group.position)
+    .applyQuaternion(entry.group.quaternion.clone().invert()).divideScalar(S);
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+export function atomWorld(entry, atomIdx) {
+  const pos = entry.group.position;
+  const atom = entryAtoms(entry)[atomIdx];
   _bv.set(atom.x * S, atom.y * S, (atom.z || 0) * S);
   _bv.applyEuler(entry.group.rotation);
-  return new THREE.Vector3(pos.x + _bv.x, 0.3 + _bv.y, pos.z + _bv.z);
+  return new THREE.Vector3(pos.x + _bv.x, pos.y + _bv.y, pos.z + _bv.z);
+}
+
+// All atoms of an entry: [{ el, name, x, y, z }, ...] in world units
+export function getEntryAtomsWorld(entry) {
+  const pos = entry.group.position;
+  return entryAtoms(entry).map(atom => {
+    _bv.set(atom.x * S, atom.y * S, (atom.z || 0) * S);
+    _bv.applyEuler(entry.group.rotation);
+    return { el: atom.el, name: atom.name, x: pos.x + _bv.x, y: pos.y + _bv.y, z: pos.z + _bv.z };
+  });
 }
 
-function makePeptideBond(entryA, entryB) {
-  // Try both C→N directions, pick the shorter (correct) one
-  const ac = atomWorld(entryA, 2); // A's backbone C
-  const bn = atomWorld(entryB, 0); // B's backbone N
-  const bc = atomWorld(entryB, 2); // B's backbone C
-  const an = atomWorld(entryA, 0); // A's backbone N
+// ============================================================
+// Peptide bond: cylinder from backbone C of entryC to N of entryN
+// (respects group rotation and the live rotamer pose)
+// ============================================================
+function makePeptideBond(entryC, entryN) {
+  const mesh = new THREE.Mesh(bondGeo, bondMat.clone());
+  if (!placePeptideBond(mesh, entryC, entryN)) {
+    mesh.material.dispose();
+    return null;
+  }
+  scene.add(mesh);
+  return mesh;
+}
 
-  const [pw, nw] = ac.distanceTo(bn) <= bc.distanceTo(an) ? [ac, bn] : [bc, an];
+// Stretch a bond mesh between the two atoms; false if they coincide
+function placePeptideBond(mesh, entryC, entryN) {
+  const pw = atomWorld(entryC, 2); // backbone C
+  const nw = atomWorld(entryN, 0); // backbone N
 
   const dir = new THREE.Vector3().subVectors(nw, pw);
   const len = dir.length();
-  if (len < 0.001) return null;
+  if (len < 0.001) return false;
 
-  const mesh = new THREE.Mesh(bondGeo, bondMat.clone());
   mesh.scale.y = len;
   mesh.position.copy(new THREE.Vector3().addVectors(pw, nw).multiplyScalar(0.5));
   const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir.normalize());
   mesh.quaternion.copy(quat);
-
-  scene.add(mesh);
-  return mesh;
+  return true;
 }
 
 // ============================================================
 // Place amino acid
 // ============================================================
 export function placeAminoAcid(letter, col, row) {
-  const key = `${col},${row}`;
-  if (occupied[key]) return null;
+  if (occupied[`${col},${row}`]) return null;
+  const entry = createEntry(letter, col, row);
+
+  // Join an adjacent segment end, orient along the backbone and bond
+  linkEntry(entry);
+  settleInChain(entry);
+
+  return entry;
+}
 
+// A new unlinked residue on a free cell: structure, spotlight, label,
+// occupancy and cell marker. serial is given when a snapshot brings a
+// residue back.
+function createEntry(letter, col, row, serial = nextSerial++) {
+  const key = `${col},${row}`;
   const pos = cellToWorld(col, row);
-  const refKey = `chain_${chain.length}`;
+  nextSerial = Math.max(nextSerial, serial + 1);
+  const refKey = `chain_${serial}`;
 
   // Structure group
   const group = buildStructureGroup(letter, {
@@ -130,64 +370,55 @@ export function placeAminoAcid(letter, col, row) {
   label.position.set(pos.x, 2.5, pos.z);
   scene.add(label);
 
-  const entry = { letter, col, row, group, label, spotlight, refKey };
+  const entry = { letter, col, row, group, label, spotlight, refKey, serial, prev: null, next: null, rotamer: 0, backbone: null };
   chain.push(entry);
   occupied[key] = true;
 
   // Colored cell marker
   addCellMarker(col, row, CAT_COLORS[biome.category] || '#ddaa33');
 
-  // Orient + bond if placed adjacent to another AA
-  const idx = chain.length - 1;
-  for (let k = 0; k < chain.length; k++) {
-    if (k === idx) continue;
-    if (isAdjacent(col, row, chain[k].col, chain[k].row)) {
-      orientTowardNeighbor(entry, chain[k].col, chain[k].row);
-      break;
-    }
-  }
-  createAdjacentBonds(idx);
-
   return entry;
 }
 
 // ============================================================
-// Remove last amino acid (undo)
+// Preview: world atoms a residue would have on a cell, oriented the
+// way placeAminoAcid (entry null) or moveAminoAcid (entry) would
+// leave it, plus the neighbors it would be bonded to. Returns null
+// for a residue in a folded segment (the whole fold moves with it).
 // ============================================================
-export function removeLastAminoAcid() {
-  if (chain.length === 0) return null;
-
-  const removedIdx = chain.length - 1;
-  removeBondsFor(removedIdx);
-
-  const entry = chain.pop();
-  if (entry.gridCol != null) {
-    // Scene-placed entry: occupancy and marker use integer gridCol/gridRow
-    delete occupied[`${entry.gridCol},${entry.gridRow}`];
-    removeCellMarker(entry.gridCol, entry.gridRow);
-  } else {
-    // User-placed entry: col/row are integers
-    delete occupied[`${entry.col},${entry.row}`];
-    removeCellMarker(entry.col, entry.row);
+export function previewPlacement(letter, col, row, entry = null) {
+  if (entry && entry.backbone) return null;
+
+  let prev = entry ? entry.prev : null;
+  let next = entry ? entry.next : null;
+  if (!prev && !next) {
+    prev = chain.find(k => k !== entry && !k.next && isAdjacent(col, row, k.col, k.row)) || null;
+    const prevHead = prev ? segmentHead(prev) : null;
+    next = chain.find(k => k !== entry && !k.prev && k !== prevHead &&
+      isAdjacent(col, row, k.col, k.row)) || null;
   }
 
-  // Remove from scene
-  scene.remove(entry.group);
-  scene.remove(entry.spotlight);
-  scene.remove(entry.label);
-
-  // Dispose structure ref
-  removeStructureRef(entry.refKey);
+  const rotation = entry ? entry.group.rotation.clone() : new THREE.Euler();
+  if (prev) {
+    rotation.set(0, facingAngle(letter, col, row, prev.col, prev.row), 0);
+  } else if (next) {
+    rotation.set(0, facingAngle(letter, col, row, 2 * col - next.col, 2 * row - next.row), 0);
+  }
 
-  // Dispose geometries/materials
-  entry.group.traverse(child => {
-    if (child.geometry) child.geometry.dispose();
-    if (child.material) {
-      if (child.material.dispose) child.material.dispose();
-    }
+  const pos = cellToWorld(col, row);
+  const atoms = (entry ? entryAtoms(entry) : FULL[letter].atoms).map(atom => {
+    _bv.set(atom.x * S, atom.y * S, (atom.z || 0) * S).applyEuler(rotation);
+    return { el: atom.el, name: atom.name, x: pos.x + _bv.x, y: 0.3 + _bv.y, z: pos.z + _bv.z };
   });
+  return { atoms, prev, next };
+}
 
-  return entry;
+// ============================================================
+// Remove the most recently placed amino acid
+// ============================================================
+export function removeLastAminoAcid() {
+  if (chain.length === 0) return null;
+  return removeAminoAcid(chain.indexOf(getLastPlaced()));
 }
 
 // ============================================================
@@ -196,9 +427,21 @@ export function removeLastAminoAcid() {
 export function removeAminoAcid(idx) {
   if (idx < 0 || idx >= chain.length) return null;
 
-  removeBondsFor(idx);
+  const entry = chain[idx];
+  removeBondsFor(entry);
+
+  // Break the polymer here: neighbors become new termini
+  if (entry.prev) {
+    entry.prev.next = null;
+    updateTerminal(entry.prev);
+  }
+  if (entry.next) {
+    entry.next.prev = null;
+    updateTerminal(entry.next);
+  }
+  entry.prev = entry.next = null;
 
-  const entry = chain.splice(idx, 1)[0];
+  chain.splice(idx, 1);
   if (entry.gridCol != null) {
     delete occupied[`${entry.gridCol},${entry.gridRow}`];
     removeCellMarker(entry.gridCol, entry.gridRow);
@@ -212,23 +455,10 @@ export function removeAminoAcid(idx) {
   scene.remove(entry.spotlight);
   scene.remove(entry.label);
 
-  // Dispose structure ref
+  // Dispose structure ref (frees its instances; geometries and
+  // materials are shared)
   removeStructureRef(entry.refKey);
 
-  // Dispose geometries/materials
-  entry.group.traverse(child => {
-    if (child.geometry) child.geometry.dispose();
-    if (child.material) {
-      if (child.material.dispose) child.material.dispose();
-    }
-  });
-
-  // Fix bond indices that shifted after splice
-  for (const b of bonds) {
-    if (b.i > idx) b.i--;
-    if (b.j > idx) b.j--;
-  }
-
   return entry;
 }
 
@@ -267,23 +497,91 @@ export function moveAminoAcid(chainIndex, newCol, newRow) {
   // Move waters to follow
   repositionWaters(entry.refKey, newCol, newRow);
 
-  // Orient toward first adjacent neighbor so backbone bond is correct
-  removeBondsFor(chainIndex);
-  for (let k = 0; k < chain.length; k++) {
-    if (k === chainIndex) continue;
-    if (isAdjacent(newCol, newRow, chain[k].col, chain[k].row)) {
-      orientTowardNeighbor(entry, chain[k].col, chain[k].row);
-      break;
-    }
+  // Moving keeps the sequence: linked residues stay linked (the bond
+  // stretches), a free residue may join a segment end at its new cell
+  // A residue dragged within a fold carries the fold with it
+  if (!entry.prev && !entry.next) {
+    linkEntry(entry);
+    settleInChain(entry);
+  } else {
+    settleInChain(entry, entry);
   }
-  createAdjacentBonds(chainIndex);
 
   return true;
 }
 
+// ============================================================
+// Sidechain conformation (per entry; entry.rotamer indexes the
+// residue's rotamer library, null = custom atoms)
+// ============================================================
+export function cycleEntryRotamer(entry) {
+  if (getRotamerCount(entry.letter) === 0) return false;
+  entry.rotamer = nextRotamer(entry.letter, entry.rotamer);
+  setRotamer(entry.letter, entry.rotamer, entry.refKey);
+  return true;
+}
+
+// Put back a sidechain conformation: a library rotamer (animated), or
+// the custom atoms it had when rotamer is null (undo)
+export function setEntryConformation(entry, rotamer, atoms) {
+  if (rotamer === null) {
+    setEntryAtoms(entry, atoms);
+    return;
+  }
+  entry.rotamer = rotamer;
+  setRotamer(entry.letter, rotamer, entry.refKey);
+}
+
+// Replace an entry's local atoms (e.g. coordinates from a PDB file)
+export function setEntryAtoms(entry, atoms) {
+  entry.rotamer = null;
+  setStructureAtoms(entry.refKey, atoms);
+  removeBondsFor(entry);
+  createLinkBonds(entry);
+}
+
+// Replace entries' atoms from world-space positions (a relaxed
+// structure, or every tick of live dynamics), keeping each residue's
+// group pose, and its rotamer while the sidechain stays in it.
+// updates: [{ entry, atoms: [THREE.Vector3] in FULL order }].
+// Folded residues take the dihedrals of their new backbone so a later
+// refold keeps the shape.
+export function setEntryAtomsWorld(updates) {
+  for (const { entry, atoms } of updates) {
+    const local = entryAtoms(entry).map((a, i) => ({ ...a, ...worldToEntry(entry, atoms[i]) }));
+    if (entry.rotamer !== null && !matchesRotamer(entry.letter, entry.rotamer, local)) entry.rotamer = null;
+    setStructureAtoms(entry.refKey, local);
+  }
+
+  const dihedrals = getChainDihedrals();
+  chain.forEach((e, i) => {
+    if (!e.backbone) return;
+    const d = dihedrals[i];
+    e.backbone = {
+      phi: d.phi ?? e.backbone.phi,
+      psi: d.psi ?? e.backbone.psi,
+      omega: d.omega ?? e.backbone.omega,
+    };
+  });
+
+  const entries = new Set(updates.map(u => u.entry));
+  for (const b of bonds) {
+    if (entries.has(b.c) || entries.has(b.n)) placePeptideBond(b.mesh, b.c, b.n);
+  }
+  for (const e of entries) updateTerminal(e);
+}
+
 // ============================================================
 // Find chain entry at a grid cell
 // ============================================================
+// Grid cell a residue occupies (lesson exhibits sit off-grid, near
+// their gridCol / gridRow)
+export function getEntryCell(entry) {
+  return entry.gridCol != null
+    ? { col: entry.gridCol, row: entry.gridRow }
+    : { col: entry.col, row: entry.row };
+}
+
 export function getEntryAt(col, row) {
   const key = `${col},${row}`;
   if (!occupied[key]) return null;
@@ -299,10 +597,31 @@ export function getEntryAt(col, row) {
 // ============================================================
 // Queries
 // ============================================================
+
+// One-letter sequence in polymer order (segments N→C, concatenated)
 export function getSequence() {
   return chain.map(e => e.letter).join('');
 }
 
+// Connected segments, each an array of entries from N- to C-terminus
+export function getSegments() {
+  const segments = [];
+  for (const e of chain) {
+    if (e.prev) segments[segments.length - 1].push(e);
+    else segments.push([e]);
+  }
+  return segments;
+}
+
+// Most recently placed residue (target of the R shortcut)
+export function getLastPlaced() {
+  let last = null;
+  for (const e of chain) {
+    if (!last || e.serial > last.serial) last = e;
+  }
+  return last;
+}
+
 export function getChainLength() {
   return chain.length;
 }
@@ -315,6 +634,29 @@ export function getChain() {
   return chain;
 }
 
+// Peptide bonds as chain index pairs: c donates backbone C, n donates N
+export function getPeptideBonds() {
+  const pairs = [];
+  chain.forEach((e, i) => {
+    if (e.next) pairs.push({ c: i, n: i + 1 });
+  });
+  return pairs;
+}
+
+// Show or hide each peptide bond stick; shown(c, n) gets the entry
+// donating C and the one donating N
+export function setPeptideBondVisibility(shown) {
+  for (const b of bonds) b.mesh.visible = shown(b.c, b.n);
+}
+
+// Measured phi/psi/omega of every residue in chain order (degrees;
+// null where a segment end leaves the angle undefined)
+export function getChainDihedrals() {
+  return getSegments().flatMap(seg => measureDihedrals(seg.map(e => ({
+    n: atomWorld(e, 0), ca: atomWorld(e, 1), c: atomWorld(e, 2),
+  }))));
+}
+
 export function clearChain() {
   while (chain.length > 0) {
     removeLastAminoAcid();
@@ -322,7 +664,117 @@ export function clearChain() {
 }
 
 // ============================================================
-// Rebuild all adjacency bonds (after reorienting entries)
+// Snapshots: the chain as plain data (undo history). One record per
+// residue in chain order: letter, cell (or lesson exhibit), pose,
+// sidechain conformation, fold, representation override and the
+// index of its successor. Atom arrays are shared, not copied: poses
+// are always replaced, never edited in place.
+// ============================================================
+export function snapshotChain() {
+  return chain.map(e => ({
+    letter: e.letter,
+    col: e.col,
+    row: e.row,
+    exhibit: e.gridCol != null,
+    serial: e.serial,
+    position: e.group.position.toArray(),
+    quaternion: e.group.quaternion.toArray(),
+    rotamer: e.rotamer,
+    atoms: getStructureAtoms(e.refKey) || null,
+    backbone: e.backbone ? { ...e.backbone } : null,
+    representation: getResidueRepresentation(e.refKey),
+    next: e.next ? chain.indexOf(e.next) : null,
+  }));
+}
+
+// Grid cell a snapshot record occupies (see getEntryCell)
+function recordCell(r) {
+  return r.exhibit ? { col: Math.round(r.col), row: Math.round(r.row) } : { col: r.col, row: r.row };
+}
+
+// Replace the chain with a snapshot. Residues the chain still holds
+// (same serial and amino acid) are kept and put back in place, so
+// whatever refers to them (measurements, focus, waters) survives; the
+// others are removed, and missing ones are recreated under their
+// recorded serial in placement order (folds anchor on the first
+// placed). fresh builds every residue anew instead, numbered after the
+// live ones (an unrelated workspace). Residues are then linked, posed
+// and bonded as recorded; a record without a position keeps its cell's.
+export function restoreChain(snapshot, fresh = false) {
+  const live = new Map(fresh ? [] : chain.map(e => [e.serial, e]));
+  const entries = snapshot.map(r => {
+    const e = live.get(r.serial);
+    return e && e.letter === r.letter ? e : null;
+  });
+  const kept = new Set(entries.filter(Boolean));
+  for (const e of [...chain]) {
+    if (!kept.has(e)) removeAminoAcid(chain.indexOf(e));
+  }
+
+  // Kept residues leave cells they no longer hold before any is put back
+  const moved = [];
+  snapshot.forEach((r, i) => {
+    const e = entries[i];
+    if (!e) return;
+    e.prev = e.next = null;
+    const from = getEntryCell(e), to = recordCell(r);
+    if (from.col === to.col && from.row === to.row) return;
+    delete occupied[`${from.col},${from.row}`];
+    removeCellMarker(from.col, from.row);
+    moved.push([e, to]);
+  });
+  for (const [e, to] of moved) {
+    occupied[`${to.col},${to.row}`] = true;
+    addCellMarker(to.col, to.row, CAT_COLORS[BIOME_BY_LETTER[e.letter].category] || '#ddaa33');
+  }
+
+  const order = snapshot.map((r, i) => i).sort((a, b) => snapshot[a].serial - snapshot[b].serial);
+  for (const i of order) {
+    const r = snapshot[i];
+    if (entries[i]) continue;
+    const serial = fresh ? undefined : r.serial;
+    entries[i] = r.exhibit
+      ? placeSceneAminoAcid(r.letter, r.position[0], r.position[2], serial)
+      : createEntry(r.letter, r.col, r.row, serial);
+  }
+
+  snapshot.forEach((r, i) => {
+    const e = entries[i];
+    if (r.next !== null) {
+      e.next = entries[r.next];
+      entries[r.next].prev = e;
+    }
+    if (kept.has(e)) {
+      e.col = r.col;
+      e.row = r.row;
+      if (r.exhibit) {
+        ({ col: e.gridCol, row: e.gridRow } = recordCell(r));
+      } else {
+        delete e.gridCol;
+        delete e.gridRow;
+      }
+      const pos = cellToWorld(r.col, r.row);
+      e.group.position.set(pos.x, 0.3, pos.z);
+    }
+    if (r.position) e.group.position.fromArray(r.position);
+    e.group.quaternion.fromArray(r.quaternion);
+    e.rotamer = r.rotamer;
+    e.backbone = r.backbone ? { ...r.backbone } : null;
+    const atoms = r.atoms || (getStructureAtoms(e.refKey) && FULL[r.letter].atoms.map(a => ({ ...a })));
+    if (atoms && atoms !== getStructureAtoms(e.refKey)) setStructureAtoms(e.refKey, atoms);
+    setResidueRepresentation(e.refKey, r.representation);
+    placeDecor(e);
+  });
+
+  chain.splice(0, chain.length, ...entries);
+  reorderChain();
+  rebuildAllBonds();
+  for (const e of chain) updateTerminal(e);
+  return entries;
+}
+
+// ============================================================
+// Rebuild all peptide bonds (after reorienting entries)
 // ============================================================
 function rebuildAllBonds() {
   for (const b of bonds) {
@@ -331,8 +783,8 @@ function rebuildAllBonds() {
     b.mesh.material?.dispose();
   }
   bonds.length = 0;
-  for (let i = 0; i < chain.length; i++) {
-    createAdjacentBonds(i);
+  for (const e of chain) {
+    if (e.next) addBond(e, e.next);
   }
 }
 
@@ -547,12 +999,44 @@ export function computeScenePlacements(layout) {
   return placements;
 }
 
+// ============================================================
+// Serpentine layout: runs along alternate rows joined by a single
+// connector cell, so only consecutive cells are grid-adjacent.
+// Returns up to `count` cells [{ col, row }, ...] centered on the grid
+// (fewer if the grid is full).
+// ============================================================
+const SERPENTINE_MAX_RUN = GRID_COLS - 4;
+
+export function computeSerpentineCells(count) {
+  const run = Math.max(1, Math.min(count, SERPENTINE_MAX_RUN));
+  const maxRuns = Math.floor((GRID_ROWS + 1) / 2);
+  const runs = Math.min(maxRuns, Math.ceil((count + 1) / (run + 1)));
+  const rowsUsed = runs * 2 - 1;
+  const startCol = Math.floor((GRID_COLS - run) / 2);
+  const startRow = Math.floor((GRID_ROWS - rowsUsed) / 2);
+
+  const cells = [];
+  for (let k = 0; k < runs && cells.length < count; k++) {
+    const row = startRow + k * 2;
+    const leftToRight = k % 2 === 0;
+    for (let i = 0; i < run && cells.length < count; i++) {
+      cells.push({ col: leftToRight ? startCol + i : startCol + run - 1 - i, row });
+    }
+    // Connector cell down to the next run
+    if (k < runs - 1 && cells.length < count) {
+      cells.push({ col: leftToRight ? startCol + run - 1 : startCol, row: row + 1 });
+    }
+  }
+  return cells;
+}
+
 // ============================================================
 // Place amino acid at exact world coordinates (for scenes only)
 // Bypasses grid occupancy and cell markers
 // ============================================================
-export function placeSceneAminoAcid(letter, worldX, worldZ) {
-  const refKey = `chain_${chain.length}`;
+export function placeSceneAminoAcid(letter, worldX, worldZ, serial = nextSerial++) {
+  nextSerial = Math.max(nextSerial, serial + 1);
+  const refKey = `chain_${serial}`;
 
   // Structure group at exact world position
   const group = buildStructureGroup(letter, {
@@ -589,7 +1073,8 @@ export function placeSceneAminoAcid(letter, worldX, worldZ) {
   // Colored cell marker
   addCellMarker(gridCol, gridRow, CAT_COLORS[biome.category] || '#ddaa33');
 
-  const entry = { letter, col, row, gridCol, gridRow, group, label, spotlight, refKey };
+  // Scene residues are free monomers (no polymer links)
+  const entry = { letter, col, row, gridCol, gridRow, group, label, spotlight, refKey, serial, prev: null, next: null, rotamer: 0, backbone: null };
   chain.push(entry);
 
   return entry;
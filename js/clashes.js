@@ -0,0 +1,275 @@
+// ============================================================
+// clashes.js — Steric clashes (van der Waals overlaps) between residues
+// Heavy atoms of different residues clash when their vdW spheres
+// overlap by more than a cutoff (flat residues: when their spheres as
+// drawn overlap); atoms up to three bonds apart across
+// a peptide or disulfide link are covalent geometry, not contacts.
+// Recomputed on demand (chain edits, settled rotamers), not per frame.
+// ============================================================
+
+import * as THREE from 'three';
+import { scene, SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE, BB_ATOMS } from './structures.js';
+import { getChain, getEntryAtomsWorld, previewPlacement } from './chain.js';
+import { drawnAtomRadius } from './structures3d.js';
+import { getDisulfides, isOxidized } from './disulfides.js';
+import { GameEvents } from './ui.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+// --- van der Waals radii (Bondi 1964), Å ---
+const VDW_RADIUS = { C: 1.70, N: 1.55, O: 1.52, S: 1.80 };
+
+// --- Overlap cutoffs (Å) ---
+const CLASH_OVERLAP = 0.4;    // MolProbity's "serious" clash
+const SEVERE_OVERLAP = 1.0;   // blocks placing / moving while strict
+
+// The flat grid is schematic: cells are 2 Å apart where real residues
+// sit about 3.8 Å apart, so neighbours always interpenetrate at true
+// size. Pairs involving a flat residue are checked at the size atoms
+// are drawn in their representation: any overlap of those spheres is
+// a clash. Radii are at least ball-and-stick size (so licorice and
+// wireframe atoms passing through each other still count) and at most
+// this fraction of the vdW radius (so spacefill neighbours resting on
+// the grid do not).
+const SCHEMATIC_FIT = 0.15;
+
+// 1-2, 1-3 and 1-4 pairs across a link are fixed by bond geometry
+const MAX_BOND_PATH = 3;
+
+// Residues whose CA atoms are further apart than two long sidechains
+// plus the largest contact cannot clash
+const PAIR_REACH = 20 * WORLD_PER_ANG;
+
+// Backbone atom indices (see BB_ATOMS)
+const N = 0, CA = 1, C = 2;
+const bbLen = BB_ATOMS.length;
+
+// --- State ---
+const group = new THREE.Group();
+scene.add(group);
+let clashes = [];   // { a, b, atomA, atomB, from, to, overlap, severe }
+let strict = false;
+
+export function getClashes() {
+  return clashes;
+}
+
+export function isStrict() {
+  return strict;
+}
+
+export function setStrict(value) {
+  if (strict === value) return;
+  strict = value;
+  emitChange();
+}
+
+// ============================================================
+// Covalent topology: bond-path lengths between a residue's atoms
+// ============================================================
+const bondPaths = {};
+
+function pathsFor(letter) {
+  if (bondPaths[letter]) return bondPaths[letter];
+  const { atoms, bonds } = FULL[letter];
+  const neighbours = atoms.map(() => []);
+  for (const [i, j] of bonds) {
+    neighbours[i].push(j);
+    neighbours[j].push(i);
+  }
+  // Breadth-first from every atom
+  bondPaths[letter] = atoms.map((_, start) => {
+    const dist = atoms.map(() => Infinity);
+    dist[start] = 0;
+    const queue = [start];
+    while (queue.length) {
+      const i = queue.shift();
+      for (const j of neighbours[i]) {
+        if (dist[j] === Infinity) {
+          dist[j] = dist[i] + 1;
+          queue.push(j);
+        }
+      }
+    }
+    return dist;
+  });
+  return bondPaths[letter];
+}
+
+const SG = FULL.C.atoms.findIndex(a => a.name === 'SG');
+
+// Atom pairs [i of x, j of y] that covalently join two residues
+function linksBetween(x, y, disulfides) {
+  const links = [];
+  if (x.next === y.entry) links.push([C, N]);
+  if (y.next === x.entry) links.push([N, C]);
+  for (const ss of disulfides) {
+    if ((ss.a === x.entry && ss.b === y.entry) || (ss.b === x.entry && ss.a === y.entry)) {
+      links.push([SG, SG]);
+    }
+  }
+  return links;
+}
+
+// ============================================================
+// Per-residue view: world atoms, presence and layout
+// ============================================================
+function residueView(entry) {
+  return {
+    entry,
+    letter: entry.letter,
+    prev: entry.prev,
+    next: entry.next,
+    folded: !!entry.backbone,
+    atoms: getEntryAtomsWorld(entry).map(a => new THREE.Vector3(a.x, a.y, a.z)),
+    radii: schematicRadii(entry.letter, entry.refKey),
+  };
+}
+
+// Radii (Å) a residue's atoms are checked at in flat pairs, see
+// SCHEMATIC_FIT; refKey null for a residue not placed yet
+function schematicRadii(letter, refKey) {
+  return FULL[letter].atoms.map(({ el }) => {
+    const drawn = Math.max(drawnAtomRadius(refKey, el), drawnAtomRadius(null, el, 'ballStick'));
+    return Math.min(drawn / WORLD_PER_ANG, VDW_RADIUS[el] * SCHEMATIC_FIT);
+  });
+}
+
+// OXT only exists at a free C-terminus
+function present(view, i) {
+  return !(view.next && FULL[view.letter].atoms[i].name === 'OXT');
+}
+
+// ============================================================
+// Analysis
+// ============================================================
+function findClashes(x, y, disulfides) {
+  if (x.atoms[CA].distanceTo(y.atoms[CA]) > PAIR_REACH) return [];
+  const schematic = !(x.folded && y.folded);
+  const links = linksBetween(x, y, disulfides);
+  // On the grid, residues i and i+2 meet their shared neighbour at the
+  // same cell edge: a turn puts their link atoms on top of each other
+  const flanking = schematic &&
+    ((x.prev && x.prev === y.next) || (x.next && x.next === y.prev));
+  const px = pathsFor(x.letter), py = pathsFor(y.letter);
+  const ex = FULL[x.letter].atoms, ey = FULL[y.letter].atoms;
+  const found = [];
+
+  for (let i = 0; i < x.atoms.length; i++) {
+    if (!present(x, i)) continue;
+    for (let j = 0; j < y.atoms.length; j++) {
+      if (!present(y, j)) continue;
+      if (flanking && i < bbLen && j < bbLen) continue;
+      if (links.some(([li, lj]) => px[i][li] + 1 + py[lj][j] <= MAX_BOND_PATH)) continue;
+      const d = x.atoms[i].distanceTo(y.atoms[j]) / WORLD_PER_ANG;
+      const vdw = VDW_RADIUS[ex[i].el] + VDW_RADIUS[ey[j].el];
+      let overlap;
+      if (schematic) {
+        // Drawn spheres touching; reported at true size like folded pairs
+        const drawn = x.radii[i] + y.radii[j];
+        if (d >= drawn) continue;
+        overlap = (drawn - d) * vdw / drawn;
+      } else {
+        overlap = vdw - d;
+        if (overlap < CLASH_OVERLAP) continue;
+      }
+      found.push({
+        a: x.entry, b: y.entry, atomA: i, atomB: j,
+        from: x.atoms[i], to: y.atoms[j],
+        overlap, severe: overlap >= SEVERE_OVERLAP,
+      });
+    }
+  }
+  return found;
+}
+
+export function analyzeClashes() {
+  const views = getChain().map(residueView);
+  const disulfides = getDisulfides();
+  const found = [];
+  for (let i = 0; i < views.length; i++) {
+    for (let j = i + 1; j < views.length; j++) {
+      found.push(...findClashes(views[i], views[j], disulfides));
+    }
+  }
+  return found;
+}
+
+// ============================================================
+// Preview: would placing (or moving) a residue on a cell clash badly?
+// entry: the residue being moved, or null for a new one
+// ============================================================
+export function blocksPlacement(letter, col, row, entry = null) {
+  if (!strict) return false;
+  const preview = previewPlacement(letter, col, row, entry);
+  if (!preview) return false;
+
+  const self = entry || { letter };   // stands in for a new residue
+  const candidate = {
+    entry: self,
+    letter,
+    prev: preview.prev,
+    next: preview.next,
+    folded: false,
+    atoms: preview.atoms.map(a => new THREE.Vector3(a.x, a.y, a.z)),
+    radii: schematicRadii(letter, entry ? entry.refKey : null),
+  };
+  const disulfides = getDisulfides();
+
+  return getChain().some(other => {
+    if (other === entry) return false;
+    const view = residueView(other);
+    if (preview.prev === other) view.next = self;
+    // Under oxidizing conditions two cysteines bond rather than clash
+    const links = letter === 'C' && other.letter === 'C' && isOxidized()
+      ? [...disulfides, { a: self, b: other }]
+      : disulfides;
+    return findClashes(candidate, view, links).some(c => c.severe);
+  });
+}
+
+// ============================================================
+// Drawing: red halos on both atoms and a line between them
+// ============================================================
+const haloGeo = new THREE.SphereGeometry(0.35, 12, 8);
+const haloMat = new THREE.MeshBasicMaterial({
+  color: 0xff2222, transparent: true, opacity: 0.45, depthWrite: false,
+});
+const severeMat = haloMat.clone();
+severeMat.opacity = 0.75;
+const clashLineMat = new THREE.LineBasicMaterial({ color: 0xff2222 });
+
+function clearDrawing() {
+  for (const obj of [...group.children]) {
+    group.remove(obj);
+    if (obj.isLine) obj.geometry.dispose();
+  }
+}
+
+function drawClash(c) {
+  const mat = c.severe ? severeMat : haloMat;
+  for (const p of [c.from, c.to]) {
+    const halo = new THREE.Mesh(haloGeo, mat);
+    halo.position.copy(p);
+    group.add(halo);
+  }
+  const geo = new THREE.BufferGeometry().setFromPoints([c.from, c.to]);
+  group.add(new THREE.Line(geo, clashLineMat));
+}
+
+function emitChange() {
+  GameEvents.emit('clashesChanged', {
+    count: clashes.length,
+    severe: clashes.filter(c => c.severe).length,
+    strict,
+  });
+}
+
+// Recompute and redraw everything
+export function updateClashes() {
+  clearDrawing();
+  clashes = analyzeClashes();
+  for (const c of clashes) drawClash(c);
+  emitChange();
+}
@@ -0,0 +1,99 @@
+// ============================================================
+// colors.js — Color schemes for the placed residues
+// Element colors are the default; every other scheme paints each
+// residue a single color from its category, hydropathy, net charge
+// at the current pH, position along the chain or solvent accessibility.
+// ============================================================
+
+import * as THREE from 'three';
+import { COLOR_SCHEMES, DEFAULT_COLOR_SCHEME, CAT_COLORS, BIOME_BY_LETTER } from './constants.js';
+import { getChain } from './chain.js';
+import { setStructureColor } from './structures3d.js';
+import { getDisulfides } from './disulfides.js';
+import { chargeAt } from './protonation.js';
+import { residueAccessibility } from './sasa.js';
+import { GameEvents } from './ui.js';
+
+// Kyte–Doolittle runs from −4.5 (Arg) to +4.5 (Ile)
+const HYDROPATHY_RANGE = 4.5;
+
+// --- State ---
+let scheme = DEFAULT_COLOR_SCHEME;
+const colors = new Map();   // entry → THREE.Color, absent under element colors
+
+export function getColorScheme() {
+  return scheme;
+}
+
+export function setColorScheme(id) {
+  if (id === scheme || !COLOR_SCHEMES.some(s => s.id === id)) return;
+  scheme = id;
+  updateColors();
+  GameEvents.emit('colorSchemeChanged', { scheme });
+}
+
+// A residue's color under the current scheme, or null for element colors
+export function residueColor(entry) {
+  return colors.get(entry) || null;
+}
+
+for (const event of ['chainChanged', 'disulfidesChanged', 'phChanged']) {
+  GameEvents.on(event, () => updateColors());
+}
+GameEvents.on('sasaChanged', () => {
+  if (scheme === 'sasa') updateColors();
+});
+
+// ============================================================
+// Schemes
+// ============================================================
+
+// Color at x in [0, 1] along evenly spaced gradient stops
+function gradientColor(stops, x) {
+  const pos = Math.min(Math.max(x, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(pos), stops.length - 2);
+  return new THREE.Color(stops[i]).lerp(new THREE.Color(stops[i + 1]), pos - i);
+}
+
+// Sidechain plus free-terminus charges (a cystine SG cannot ionize)
+function residueCharge(entry, bonded) {
+  let q = bonded.has(entry) ? 0 : chargeAt(entry.letter);
+  if (!entry.prev) q += chargeAt('nTerm');
+  if (!entry.next) q += chargeAt('cTerm');
+  return q;
+}
+
+function colorFor(entry, index, count, bonded) {
+  const { gradient } = COLOR_SCHEMES.find(s => s.id === scheme);
+  const biome = BIOME_BY_LETTER[entry.letter];
+  switch (scheme) {
+    case 'category':
+      return new THREE.Color(CAT_COLORS[biome.category]);
+    case 'hydropathy':
+      return gradientColor(gradient, (parseFloat(biome.properties.hydropathy) + HYDROPATHY_RANGE) / (2 * HYDROPATHY_RANGE));
+    case 'charge':
+      return gradientColor(gradient, (residueCharge(entry, bonded) + 1) / 2);
+    case 'rainbow':
+      return gradientColor(gradient, count > 1 ? index / (count - 1) : 0);
+    case 'sasa':
+      // Not yet measured (just placed): exposed until the next update
+      return gradientColor(gradient, residueAccessibility(entry) ?? 1);
+    default:
+      return null;
+  }
+}
+
+// ============================================================
+// Public: recolor every residue (chain, charges or scheme changed)
+// ============================================================
+export function updateColors() {
+  const chain = getChain();
+  const bonded = new Set(getDisulfides().flatMap(ss => [ss.a, ss.b]));
+  colors.clear();
+  chain.forEach((entry, i) => {
+    const color = colorFor(entry, i, chain.length, bonded);
+    if (color) colors.set(entry, color);
+    setStructureColor(entry.refKey, color);
+  });
+  GameEvents.emit('residueColorsChanged');
+}
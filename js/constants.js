@@ -12,6 +12,68 @@ export const CELL_SIZE = 3;           // 3D units per cell
 export const GRID_W = GRID_COLS * CELL_SIZE;
 export const GRID_H = GRID_ROWS * CELL_SIZE;
 
+// --- Solution pH (slider range and starting value) ---
+export const PH_MIN = 0;
+export const PH_MAX = 14;
+export const DEFAULT_PH = 7.0;
+
+// --- Molecular dynamics thermostat (slider range and starting value, K) ---
+export const TEMP_MIN = 50;
+export const TEMP_MAX = 600;
+export const DEFAULT_TEMP = 300;
+
+// --- Secondary-structure presets (backbone phi/psi, degrees; omega trans) ---
+export const SS_PRESETS = [
+  { id: 'alpha', name: 'α-helix', phi: -57, psi: -47 },
+  { id: '3-10', name: '3₁₀ helix', phi: -49, psi: -26 },
+  { id: 'beta', name: 'β-strand', phi: -135, psi: 135 },
+  { id: 'ppii', name: 'Polyproline II', phi: -75, psi: 145 },
+  { id: 'collagen', name: 'Collagen helix', phi: -75, psi: 160 },
+];
+
+// --- Representations (how atoms and bonds are drawn) ---
+export const REPRESENTATIONS = [
+  { id: 'ballStick', name: 'Ball & stick' },
+  { id: 'spacefill', name: 'Spacefill' },
+  { id: 'licorice', name: 'Licorice' },
+  { id: 'wireframe', name: 'Wireframe' },
+];
+export const DEFAULT_REPRESENTATION = 'ballStick';
+
+// --- Color schemes; gradients run low → high in even stops ---
+export const COLOR_SCHEMES = [
+  { id: 'element', name: 'Element' },
+  { id: 'category', name: 'Residue category' },
+  { id: 'hydropathy', name: 'Hydropathy', gradient: ['#3b7dd8', '#e8e8e8', '#e8913a'], ends: ['−4.5 hydrophilic', '+4.5 hydrophobic'] },
+  { id: 'charge', name: 'Charge', gradient: ['#ff4444', '#e8e8e8', '#5588ff'], ends: ['−1', '+1'] },
+  { id: 'rainbow', name: 'N → C rainbow', gradient: ['#3f51d8', '#2fb5d6', '#4cc25a', '#e8d43a', '#e8463a'], ends: ['N-term', 'C-term'] },
+  { id: 'sasa', name: 'Accessibility', gradient: ['#1f3b8a', '#7fa0e0', '#f0f0f0'], ends: ['buried', 'exposed'] },
+];
+export const DEFAULT_COLOR_SCHEME = 'element';
+
+// --- Solvent accessibility: relative SASA thresholds ---
+export const SASA_BURIED_MAX = 0.2;
+export const SASA_EXPOSED_MIN = 0.4;
+
+// --- Molecular surface opacity ---
+export const SURFACE_OPACITY_MIN = 0.1;
+export const DEFAULT_SURFACE_OPACITY = 0.6;
+
+// --- Measurement tool: atoms picked per measurement ---
+export const MEASURE_MODES = [
+  { id: 'off', name: 'Measure' },
+  { id: 'distance', name: 'Distance (2 atoms)', atoms: 2 },
+  { id: 'angle', name: 'Angle (3 atoms)', atoms: 3 },
+  { id: 'dihedral', name: 'Dihedral (4 atoms)', atoms: 4 },
+];
+
+// --- Cartoon trace of the backbone ---
+export const CARTOON_MODES = [
+  { id: 'off', name: 'Atoms' },
+  { id: 'cartoon', name: 'Cartoon' },
+  { id: 'mixed', name: 'Cartoon + sidechains' },
+];
+
 // --- Biome categories ---
 export const CAT = {
   POSITIVE:    'positive',
@@ -0,0 +1,142 @@
+// ============================================================
+// disulfides.js — Cystine (S–S) bonds between placed cysteines
+// Pairs whose SG atoms come within bonding distance are bonded
+// while the environment is oxidizing; reducing breaks them all.
+// Detection runs per frame on live atom positions, so bonds form
+// and break as residues move, fold or change rotamer.
+// ============================================================
+
+import * as THREE from 'three';
+import { scene, SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { getChain, atomWorld } from './chain.js';
+import { setIonizable } from './structures3d.js';
+import { GameEvents } from './ui.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+// S–S bond length is 2.05 Å; a formed bond survives a little stretch
+// so it does not flicker while a partner moves
+const FORM_DISTANCE = 2.5 * WORLD_PER_ANG;
+const BREAK_DISTANCE = 3.0 * WORLD_PER_ANG;
+
+const SG = FULL.C.atoms.findIndex(a => a.name === 'SG');
+
+const ssGeo = new THREE.CylinderGeometry(0.07, 0.07, 1, 8);
+const ssMat = new THREE.MeshStandardMaterial({
+  color: 0xddcc22, emissive: 0x665500, emissiveIntensity: 0.5, roughness: 0.3,
+});
+
+// --- State ---
+let oxidized = true;
+const bonds = [];   // { a, b, mesh } — a and b are chain entries
+
+export function isOxidized() {
+  return oxidized;
+}
+
+export function setOxidized(value) {
+  if (oxidized === value) return;
+  oxidized = value;
+  syncBonds();
+  emitChange();
+}
+
+// Formed bonds: [{ a, b, length }] with length in Å
+export function getDisulfides() {
+  return bonds.map(({ a, b }) => ({
+    a, b, length: atomWorld(a, SG).distanceTo(atomWorld(b, SG)) / WORLD_PER_ANG,
+  }));
+}
+
+// ============================================================
+// Pairing: keep bonds still within BREAK_DISTANCE, then bond the
+// closest free pairs within FORM_DISTANCE (each SG bonds once)
+// ============================================================
+function findPairs() {
+  if (!oxidized) return [];
+  const chain = getChain();
+  const cys = chain.filter(e => e.letter === 'C');
+  const sg = new Map(cys.map(e => [e, atomWorld(e, SG)]));
+  const used = new Set();
+  const pairs = [];
+
+  for (const { a, b } of bonds) {
+    if (!sg.has(a) || !sg.has(b)) continue;
+    if (sg.get(a).distanceTo(sg.get(b)) > BREAK_DISTANCE) continue;
+    pairs.push({ a, b });
+    used.add(a).add(b);
+  }
+
+  const candidates = [];
+  for (let i = 0; i < cys.length; i++) {
+    for (let j = i + 1; j < cys.length; j++) {
+      const d = sg.get(cys[i]).distanceTo(sg.get(cys[j]));
+      if (d <= FORM_DISTANCE) candidates.push({ a: cys[i], b: cys[j], d });
+    }
+  }
+  candidates.sort((x, y) => x.d - y.d);
+  for (const c of candidates) {
+    if (used.has(c.a) || used.has(c.b)) continue;
+    pairs.push({ a: c.a, b: c.b });
+    used.add(c.a).add(c.b);
+  }
+  return pairs;
+}
+
+function makeBondMesh() {
+  const mesh = new THREE.Mesh(ssGeo, ssMat.clone());
+  scene.add(mesh);
+  return mesh;
+}
+
+// Stretch a bond cylinder between the two SG atoms
+const _up = new THREE.Vector3(0, 1, 0);
+const _dir = new THREE.Vector3();
+
+function placeBondMesh(bond) {
+  const p = atomWorld(bond.a, SG), q = atomWorld(bond.b, SG);
+  _dir.subVectors(q, p);
+  const len = _dir.length();
+  bond.mesh.scale.y = Math.max(len, 0.001);
+  bond.mesh.position.addVectors(p, q).multiplyScalar(0.5);
+  if (len > 0.001) bond.mesh.quaternion.setFromUnitVectors(_up, _dir.normalize());
+}
+
+const pairKey = (a, b) => [a.refKey, b.refKey].sort().join('-');
+
+function emitChange() {
+  GameEvents.emit('disulfidesChanged', { oxidized, count: bonds.length });
+}
+
+// Re-pair and add / remove meshes; true if the set of bonds changed
+function syncBonds() {
+  const pairs = findPairs();
+  const before = new Set(bonds.map(b => pairKey(b.a, b.b)));
+  const after = new Set(pairs.map(p => pairKey(p.a, p.b)));
+  if (before.size === after.size && [...after].every(k => before.has(k))) return false;
+
+  for (let i = bonds.length - 1; i >= 0; i--) {
+    if (after.has(pairKey(bonds[i].a, bonds[i].b))) continue;
+    setIonizable(bonds[i].a.refKey, true);
+    setIonizable(bonds[i].b.refKey, true);
+    scene.remove(bonds[i].mesh);
+    bonds[i].mesh.material.dispose();
+    bonds.splice(i, 1);
+  }
+  for (const p of pairs) {
+    if (before.has(pairKey(p.a, p.b))) continue;
+    setIonizable(p.a.refKey, false);
+    setIonizable(p.b.refKey, false);
+    bonds.push({ a: p.a, b: p.b, mesh: makeBondMesh() });
+  }
+  return true;
+}
+
+// ============================================================
+// Per-frame: re-pair and keep the meshes on their SG atoms
+// ============================================================
+export function updateDisulfides3D() {
+  if (syncBonds()) emitChange();
+  for (const bond of bonds) placeBondMesh(bond);
+}
@@ -0,0 +1,247 @@
+// ============================================================
+// dynamics.js — Live molecular dynamics of the placed peptide
+// Velocity Verlet on the force field in forcefield.js, run from the
+// fixed-timestep update with a Berendsen thermostat. Flat residues
+// jiggle in place on their cells; folded segments move as a whole.
+// ============================================================
+
+import { TEMP_MIN, TEMP_MAX, DEFAULT_TEMP } from './constants.js';
+import { getChain } from './chain.js';
+import { isTransitioning } from './structures3d.js';
+import { buildSystem, buildPairs, evaluate, chainCoordinates, applyCoordinates } from './forcefield.js';
+import { GameEvents } from './ui.js';
+
+// --- Units: Å, fs, amu, kcal/mol ---
+const ACCEL = 4.184e-4;       // (kcal/mol/Å) / amu → Å/fs²
+const K_BOLTZMANN = 0.0019872;   // kcal/mol/K
+const MASS = { C: 12.011, N: 14.007, O: 15.999, S: 32.06 };
+
+const TIMESTEP = 1;           // fs
+const STEPS_PER_TICK = 10;    // 600 fs of simulation per real second
+const THERMOSTAT_TAU = 100;   // fs, Berendsen coupling time
+const MAX_SPEED = 0.05;       // Å/fs; keeps a badly strained start from exploding
+const REPORT_TICKS = 10;      // HUD and interactions refresh (~6 per second)
+
+// --- State ---
+let running = false;
+let target = DEFAULT_TEMP;
+let temperature = 0;          // instantaneous, K
+let time = 0;                 // simulated fs in total
+let ticks = 0;
+let dirty = true;             // chain, pose or charges changed: rebuild
+let sim = null;               // { chain, system, x, v, a, mass, groups, dof }
+
+export function isRunning() {
+  return running;
+}
+
+export function setRunning(value) {
+  if (running === value) return;
+  running = value && getChain().length > 0;
+  emitChange();
+}
+
+export function getTargetTemperature() {
+  return target;
+}
+
+export function setTargetTemperature(value) {
+  if (!Number.isFinite(value)) return;
+  const next = Math.min(TEMP_MAX, Math.max(TEMP_MIN, value));
+  if (next === target) return;
+  target = next;
+  emitChange();
+}
+
+for (const event of ['chainChanged', 'structureUpdated', 'disulfidesChanged', 'phChanged']) {
+  GameEvents.on(event, () => { dirty = true; });
+}
+
+function emitChange() {
+  GameEvents.emit('dynamicsChanged', { running, target, temperature, time });
+}
+
+// ============================================================
+// Setup: atoms, masses and the bodies whose drift is removed
+// ============================================================
+
+// Each flat residue is its own body; a folded segment is one body
+function bodiesOf(system) {
+  const bodies = new Map();
+  system.atoms.forEach((atom, i) => {
+    if (!atom.present) return;
+    let key = atom.entry;
+    if (atom.folded) while (key.prev) key = key.prev;
+    if (!bodies.has(key)) bodies.set(key, []);
+    bodies.get(key).push(i);
+  });
+  return [...bodies.values()];
+}
+
+function rebuild(chain) {
+  const system = buildSystem(chain);
+  const x = chainCoordinates(chain);
+  const n = system.atoms.length;
+  // Same atoms as before (e.g. a disulfide formed): keep the velocities
+  const keep = sim && sim.chain.length === chain.length &&
+    sim.chain.every((e, i) => e === chain[i]) && sim.v.length === 3 * n;
+  const v = keep ? sim.v : new Float64Array(3 * n);
+  const mass = system.atoms.map(atom => (atom.present ? MASS[atom.el] : Infinity));
+  const groups = bodiesOf(system);
+  const dof = Math.max(3 * groups.reduce((s, g) => s + g.length, 0) - 6 * groups.length, 1);
+
+  sim = { chain, system, x, v, a: new Float64Array(3 * n), mass, groups, dof };
+  if (!keep) {
+    randomVelocities(sim, target);
+    removeDrift(sim);
+  }
+  accelerations(sim, buildPairs(system, x));
+  dirty = false;
+}
+
+// Maxwell–Boltzmann velocities at temperature T (Box–Muller normals)
+function randomVelocities(s, T) {
+  const gauss = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  s.mass.forEach((m, i) => {
+    const sigma = m === Infinity ? 0 : Math.sqrt(K_BOLTZMANN * T / m * ACCEL);
+    for (let c = 0; c < 3; c++) s.v[3 * i + c] = sigma * gauss();
+  });
+}
+
+// Zero each body's linear and angular momentum, so residues do not
+// wander off their cells or spin in place
+function removeDrift(s) {
+  const { x, v, mass } = s;
+  for (const atoms of s.groups) {
+    let M = 0;
+    const com = [0, 0, 0], p = [0, 0, 0];
+    for (const i of atoms) {
+      M += mass[i];
+      for (let c = 0; c < 3; c++) {
+        com[c] += mass[i] * x[3 * i + c];
+        p[c] += mass[i] * v[3 * i + c];
+      }
+    }
+    for (let c = 0; c < 3; c++) { com[c] /= M; p[c] /= M; }
+
+    // Angular momentum L and inertia tensor I about the center of mass
+    const L = [0, 0, 0];
+    const I = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    for (const i of atoms) {
+      const r = [x[3 * i] - com[0], x[3 * i + 1] - com[1], x[3 * i + 2] - com[2]];
+      const u = [v[3 * i] - p[0], v[3 * i + 1] - p[1], v[3 * i + 2] - p[2]];
+      const m = mass[i];
+      L[0] += m * (r[1] * u[2] - r[2] * u[1]);
+      L[1] += m * (r[2] * u[0] - r[0] * u[2]);
+      L[2] += m * (r[0] * u[1] - r[1] * u[0]);
+      const r2 = r[0] * r[0] + r[1] * r[1] + r[2] * r[2];
+      for (let a = 0; a < 3; a++) {
+        for (let b = 0; b < 3; b++) I[3 * a + b] += m * ((a === b ? r2 : 0) - r[a] * r[b]);
+      }
+    }
+    const w = solve3(I, L);
+
+    for (const i of atoms) {
+      const r = [x[3 * i] - com[0], x[3 * i + 1] - com[1], x[3 * i + 2] - com[2]];
+      v[3 * i] -= p[0] + w[1] * r[2] - w[2] * r[1];
+      v[3 * i + 1] -= p[1] + w[2] * r[0] - w[0] * r[2];
+      v[3 * i + 2] -= p[2] + w[0] * r[1] - w[1] * r[0];
+    }
+  }
+}
+
+// Solve the 3×3 system A·w = b (Cramer's rule); zero if singular
+function solve3(A, b) {
+  const det = m => m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) +
+    m[2] * (m[3] * m[7] - m[4] * m[6]);
+  const d = det(A);
+  if (Math.abs(d) < 1e-9) return [0, 0, 0];
+  return [0, 1, 2].map(col => {
+    const m = [...A];
+    for (let row = 0; row < 3; row++) m[3 * row + col] = b[row];
+    return det(m) / d;
+  });
+}
+
+// ============================================================
+// Integration
+// ============================================================
+function accelerations(s, pairs) {
+  evaluate(s.system, pairs, s.x, s.a);
+  for (let i = 0; i < s.mass.length; i++) {
+    const k = -ACCEL / s.mass[i];   // 0 for fixed (absent) atoms
+    for (let c = 0; c < 3; c++) s.a[3 * i + c] *= k;
+  }
+}
+
+function kineticTemperature(s) {
+  let twiceKE = 0;
+  s.mass.forEach((m, i) => {
+    if (m === Infinity) return;
+    twiceKE += m * (s.v[3 * i] ** 2 + s.v[3 * i + 1] ** 2 + s.v[3 * i + 2] ** 2);
+  });
+  return twiceKE / ACCEL / (s.dof * K_BOLTZMANN);
+}
+
+// Velocity Verlet for a number of steps; the pair list is rebuilt once per call
+function integrate(s, steps) {
+  const { x, v, a } = s;
+  const pairs = buildPairs(s.system, x);
+  const half = 0.5 * TIMESTEP;
+
+  for (let step = 0; step < steps; step++) {
+    for (let c = 0; c < x.length; c++) {
+      v[c] += half * a[c];
+      x[c] += TIMESTEP * v[c];
+    }
+    accelerations(s, pairs);
+    for (let c = 0; c < x.length; c++) v[c] += half * a[c];
+
+    // Berendsen: scale toward the target temperature, capping speeds
+    const T = kineticTemperature(s);
+    const lambda = Math.sqrt(1 + (TIMESTEP / THERMOSTAT_TAU) * (target / Math.max(T, 1e-6) - 1));
+    for (let i = 0; i < s.mass.length; i++) {
+      let sq = 0;
+      for (let c = 0; c < 3; c++) {
+        v[3 * i + c] *= lambda;
+        sq += v[3 * i + c] ** 2;
+      }
+      if (sq > MAX_SPEED * MAX_SPEED) {
+        const cap = MAX_SPEED / Math.sqrt(sq);
+        for (let c = 0; c < 3; c++) v[3 * i + c] *= cap;
+      }
+    }
+    temperature = T;
+    time += TIMESTEP;
+  }
+}
+
+// Advance one tick's worth of steps and show the result. Holds off
+// while a rotamer change is animating (it owns those atoms).
+function advance() {
+  const chain = getChain();
+  if (chain.length === 0) {
+    setRunning(false);
+    return false;
+  }
+  if (isTransitioning()) return false;
+  if (dirty || !sim || sim.chain.length !== chain.length) rebuild(chain);
+  integrate(sim, STEPS_PER_TICK);
+  applyCoordinates(chain, sim.x);
+  return true;
+}
+
+// ============================================================
+// Public: per-tick update (fixed timestep) and single steps
+// ============================================================
+export function updateDynamics() {
+  if (!running || !advance()) return;
+  if (++ticks % REPORT_TICKS === 0) emitChange();
+}
+
+// One tick of simulation while paused; false when nothing moved
+export function stepDynamics() {
+  if (running || !advance()) return false;
+  emitChange();
+  return true;
+}
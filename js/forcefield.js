@@ -0,0 +1,332 @@
+// ============================================================
+// forcefield.js — Heavy-atom force field shared by Relax and live MD
+// Harmonic bonds and angles around the template (CCD ideal) geometry,
+// Lennard-Jones and Coulomb between non-bonded atoms. Flat residues
+// sit on a schematic grid, closer together than real residues, so
+// their contacts are felt at a stretched distance and each one is
+// tethered to its cell; folded segments also feel peptide links,
+// disulfides and each other at true scale.
+// Coordinates are flat Float64Arrays in Å, chain atoms in FULL order.
+// ============================================================
+
+import * as THREE from 'three';
+import { SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { getEntryAtomsWorld, setEntryAtomsWorld } from './chain.js';
+import { getDisulfides } from './disulfides.js';
+import { chargeAt } from './protonation.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+// --- Bonded terms (kcal/mol/Å², kcal/mol/rad²) ---
+const K_BOND = 300;
+const K_ANGLE = 60;
+
+// Links between residues (Engh & Huber 1991; disulfide from cystine)
+const PEPTIDE_BOND = 1.329;
+const DISULFIDE_BOND = 2.05;
+const LINK_ANGLES = {
+  'CA-C-N': 116.2, 'O-C-N': 122.7, 'C-N-CA': 121.7, 'C-N-CD': 128.4, 'CB-SG-SG': 104.2,
+};
+
+// --- Lennard-Jones (AMBER ff99: Rmin/2 in Å, well depth in kcal/mol) ---
+const LJ = {
+  C: { rHalf: 1.908, eps: 0.086 },
+  N: { rHalf: 1.824, eps: 0.170 },
+  O: { rHalf: 1.6612, eps: 0.210 },
+  S: { rHalf: 2.000, eps: 0.250 },
+};
+
+// --- Coulomb with a distance-dependent dielectric (ε = 4r) ---
+const COULOMB = 332.0637;
+const DIELECTRIC_SLOPE = 4;
+
+// 1-4 pairs (three bonds apart) are scaled as in AMBER
+const SCALE_14_LJ = 0.5;
+const SCALE_14_COULOMB = 1 / 1.2;
+const NONBONDED_CUTOFF = 10;   // Å, when the pair list is built
+
+// Grid cells are 2 Å apart where real neighbours sit 3.8 Å apart: a
+// pair with a flat residue in it feels the energy it would have at its
+// distance divided by this. Flat sidechains can still overlap their
+// neighbours outright, so these pairs also get a soft core: finite at
+// r = 0 (Beutler et al. 1994 for Lennard-Jones, r² + c² for Coulomb).
+const SCHEMATIC_SPACING = 0.5;
+const SOFT_CORE_LJ = 0.25;        // alpha, of rMin⁶
+const SOFT_CORE_COULOMB = 0.5;    // c, of rMin
+// Holds each flat residue's CA where the system was built (kcal/mol/Å²)
+const K_TETHER = 10;
+const CA = 1;
+
+// --- United-atom partial charges (polar hydrogens folded into their
+// heavy atom); residue entries override the backbone ---
+const BACKBONE_CHARGES = { N: -0.20, CA: 0.10, C: 0.55, O: -0.45 };
+const RESIDUE_CHARGES = {
+  P: { N: -0.30, CD: 0.10 },
+  S: { CB: 0.25, OG: -0.25 },
+  T: { CB: 0.25, OG1: -0.25 },
+  Y: { CZ: 0.25, OH: -0.25 },
+  N: { CG: 0.55, OD1: -0.55 },
+  Q: { CD: 0.55, OE1: -0.55 },
+  W: { CE2: 0.10, NE1: -0.10 },
+  H: { CG: 0.10, ND1: -0.10, CE1: 0.10, NE2: -0.10 },
+  M: { CG: 0.05, SD: -0.10, CE: 0.05 },
+};
+
+// Ionizable groups: their charge at the current pH, shared by these atoms
+const IONIZED_ATOMS = {
+  nTerm: ['N'], cTerm: ['O', 'OXT'],
+  D: ['OD1', 'OD2'], E: ['OE1', 'OE2'], K: ['NZ'], R: ['NE', 'NH1', 'NH2'],
+  H: ['ND1', 'NE2'], C: ['SG'], Y: ['OH'],
+};
+
+// ============================================================
+// Topology: atoms, bonds, angles and non-bonded pairs of the chain
+// ============================================================
+const templateAng = a => new THREE.Vector3(a.x, a.y, a.z || 0).divideScalar(ANG_SCALE);
+
+// Charges of the ionizable groups alone: each group's charge at the
+// current pH, shared by its atoms (FULL[letter].atoms order)
+export function formalCharges(entry) {
+  const names = FULL[entry.letter].atoms.map(a => a.name);
+  const q = names.map(() => 0);
+
+  const groups = [entry.letter];
+  if (!entry.prev) groups.push('nTerm');
+  if (!entry.next) groups.push('cTerm');
+  const bonded = getDisulfides().some(ss => ss.a === entry || ss.b === entry);
+  for (const group of groups) {
+    if (!IONIZED_ATOMS[group] || (group === 'C' && bonded)) continue;
+    const sites = IONIZED_ATOMS[group].map(n => names.indexOf(n)).filter(i => i >= 0);
+    for (const i of sites) q[i] += chargeAt(group) / sites.length;
+  }
+  return q;
+}
+
+function residueCharges(entry) {
+  const partial = { ...BACKBONE_CHARGES, ...RESIDUE_CHARGES[entry.letter] };
+  const formal = formalCharges(entry);
+  return FULL[entry.letter].atoms.map((a, i) => (partial[a.name] || 0) + formal[i]);
+}
+
+export function buildSystem(chain) {
+  const atoms = [];     // { entry, idx, el, name, folded, q }
+  const first = new Map();   // entry → global index of its atom 0
+  const index = (entry, idx) => first.get(entry) + idx;
+
+  for (const entry of chain) {
+    first.set(entry, atoms.length);
+    const q = residueCharges(entry);
+    FULL[entry.letter].atoms.forEach((a, idx) => atoms.push({
+      entry, idx, el: a.el, name: a.name, folded: !!entry.backbone, q: q[idx],
+      present: !(entry.next && a.name === 'OXT'),
+    }));
+  }
+
+  // Bonds: template bonds per residue, plus links between folded residues
+  const neighbours = atoms.map(() => []);
+  const bonds = [];
+  const addBond = (i, j, r0) => {
+    if (!atoms[i].present || !atoms[j].present) return;
+    bonds.push({ i, j, r0 });
+    neighbours[i].push(j);
+    neighbours[j].push(i);
+  };
+  for (const entry of chain) {
+    const tmpl = FULL[entry.letter].atoms;
+    for (const [a, b] of FULL[entry.letter].bonds) {
+      addBond(index(entry, a), index(entry, b), templateAng(tmpl[a]).distanceTo(templateAng(tmpl[b])));
+    }
+    if (entry.next && entry.backbone && entry.next.backbone) {
+      addBond(index(entry, 2), index(entry.next, 0), PEPTIDE_BOND);
+    }
+  }
+  const SG = FULL.C.atoms.findIndex(a => a.name === 'SG');
+  for (const ss of getDisulfides()) {
+    if (ss.a.backbone && ss.b.backbone) addBond(index(ss.a, SG), index(ss.b, SG), DISULFIDE_BOND);
+  }
+
+  // Angles around every atom: template geometry inside a residue,
+  // LINK_ANGLES across a link
+  const angles = [];
+  neighbours.forEach((nbs, j) => {
+    for (let a = 0; a < nbs.length; a++) {
+      for (let b = a + 1; b < nbs.length; b++) {
+        const i = nbs[a], k = nbs[b];
+        const entry = atoms[j].entry;
+        let theta0;
+        if (atoms[i].entry === entry && atoms[k].entry === entry) {
+          const tmpl = FULL[entry.letter].atoms;
+          const p = templateAng(tmpl[atoms[j].idx]);
+          theta0 = templateAng(tmpl[atoms[i].idx]).sub(p).angleTo(templateAng(tmpl[atoms[k].idx]).sub(p));
+        } else {
+          const deg = LINK_ANGLES[`${atoms[i].name}-${atoms[j].name}-${atoms[k].name}`] ??
+            LINK_ANGLES[`${atoms[k].name}-${atoms[j].name}-${atoms[i].name}`];
+          if (deg === undefined) continue;
+          theta0 = THREE.MathUtils.degToRad(deg);
+        }
+        angles.push({ i, j, k, theta0 });
+      }
+    }
+  });
+
+  // Bond-path length up to 3 from every atom (exclusions and 1-4 pairs)
+  const near = atoms.map((_, start) => {
+    const dist = new Map([[start, 0]]);
+    let frontier = [start];
+    for (let d = 1; d <= 3; d++) {
+      const nextFrontier = [];
+      for (const i of frontier) {
+        for (const j of neighbours[i]) {
+          if (dist.has(j)) continue;
+          dist.set(j, d);
+          nextFrontier.push(j);
+        }
+      }
+      frontier = nextFrontier;
+    }
+    return dist;
+  });
+
+  // Tethers: flat residues stay on their cells while their neighbours
+  // pull on them
+  const tethers = chain.filter(entry => !entry.backbone).map(entry => {
+    const ca = getEntryAtomsWorld(entry)[CA];
+    return { i: index(entry, CA), at: [ca.x, ca.y, ca.z].map(v => v / WORLD_PER_ANG) };
+  });
+
+  return { atoms, bonds, angles, near, tethers };
+}
+
+// Non-bonded pairs within the cutoff: inside a residue or between two
+// folded residues (true scale), or between a flat residue and any other
+// (schematic, see SCHEMATIC_SPACING)
+export function buildPairs(system, x) {
+  const { atoms, near } = system;
+  const pairs = [];
+  for (let i = 0; i < atoms.length; i++) {
+    if (!atoms[i].present) continue;
+    for (let j = i + 1; j < atoms.length; j++) {
+      if (!atoms[j].present) continue;
+      const s = atoms[i].entry !== atoms[j].entry && !(atoms[i].folded && atoms[j].folded)
+        ? SCHEMATIC_SPACING : 1;
+      const path = near[i].get(j);
+      if (path !== undefined && path < 3) continue;
+      const dx = x[3 * i] - x[3 * j], dy = x[3 * i + 1] - x[3 * j + 1], dz = x[3 * i + 2] - x[3 * j + 2];
+      if (dx * dx + dy * dy + dz * dz > (NONBONDED_CUTOFF * s) ** 2) continue;
+
+      // E(r / s): rMin shrinks by s, Coulomb 1/r² by s²
+      const scale14 = path === 3;
+      const soft = s !== 1;
+      const a = LJ[atoms[i].el], b = LJ[atoms[j].el];
+      const rMin = (a.rHalf + b.rHalf) * s;
+      const eps = Math.sqrt(a.eps * b.eps) * (scale14 ? SCALE_14_LJ : 1);
+      pairs.push({
+        i, j,
+        A: eps * rMin ** 12,
+        B: 2 * eps * rMin ** 6,
+        qq: COULOMB * atoms[i].q * atoms[j].q * (scale14 ? SCALE_14_COULOMB : 1) * s * s / DIELECTRIC_SLOPE,
+        c6: soft ? SOFT_CORE_LJ * rMin ** 6 : 0,
+        c2: soft ? (SOFT_CORE_COULOMB * rMin) ** 2 : 0,
+      });
+    }
+  }
+  return pairs;
+}
+
+// ============================================================
+// Energy and gradient (x: Float64Array of Å coordinates; grad, if
+// given, is overwritten with dE/dx). Returns the terms in kcal/mol.
+// ============================================================
+export function evaluate(system, pairs, x, grad) {
+  const e = { bond: 0, angle: 0, lj: 0, coulomb: 0, tether: 0, total: 0 };
+  if (grad) grad.fill(0);
+
+  for (const { i, j, r0 } of system.bonds) {
+    const dx = x[3 * i] - x[3 * j], dy = x[3 * i + 1] - x[3 * j + 1], dz = x[3 * i + 2] - x[3 * j + 2];
+    const r = Math.hypot(dx, dy, dz) || 1e-9;
+    const dr = r - r0;
+    e.bond += K_BOND * dr * dr;
+    if (!grad) continue;
+    const f = 2 * K_BOND * dr / r;
+    grad[3 * i] += f * dx; grad[3 * i + 1] += f * dy; grad[3 * i + 2] += f * dz;
+    grad[3 * j] -= f * dx; grad[3 * j + 1] -= f * dy; grad[3 * j + 2] -= f * dz;
+  }
+
+  for (const { i, j, k, theta0 } of system.angles) {
+    const ux = x[3 * i] - x[3 * j], uy = x[3 * i + 1] - x[3 * j + 1], uz = x[3 * i + 2] - x[3 * j + 2];
+    const vx = x[3 * k] - x[3 * j], vy = x[3 * k + 1] - x[3 * j + 1], vz = x[3 * k + 2] - x[3 * j + 2];
+    const lu = Math.hypot(ux, uy, uz) || 1e-9, lv = Math.hypot(vx, vy, vz) || 1e-9;
+    const cos = Math.min(1, Math.max(-1, (ux * vx + uy * vy + uz * vz) / (lu * lv)));
+    const theta = Math.acos(cos);
+    const dt = theta - theta0;
+    e.angle += K_ANGLE * dt * dt;
+    if (!grad) continue;
+    const sin = Math.max(Math.sqrt(1 - cos * cos), 1e-6);
+    const f = -2 * K_ANGLE * dt / sin;   // dE/dcos
+    const gi = [vx / (lu * lv) - cos * ux / (lu * lu), vy / (lu * lv) - cos * uy / (lu * lu), vz / (lu * lv) - cos * uz / (lu * lu)];
+    const gk = [ux / (lu * lv) - cos * vx / (lv * lv), uy / (lu * lv) - cos * vy / (lv * lv), uz / (lu * lv) - cos * vz / (lv * lv)];
+    for (let c = 0; c < 3; c++) {
+      grad[3 * i + c] += f * gi[c];
+      grad[3 * k + c] += f * gk[c];
+      grad[3 * j + c] -= f * (gi[c] + gk[c]);
+    }
+  }
+
+  for (const { i, j, A, B, qq, c6, c2 } of pairs) {
+    const dx = x[3 * i] - x[3 * j], dy = x[3 * i + 1] - x[3 * j + 1], dz = x[3 * i + 2] - x[3 * j + 2];
+    const r2 = Math.max(dx * dx + dy * dy + dz * dz, 0.01);
+    // Soft cores (zero for true-scale pairs): r⁶ + c6 and r² + c2
+    const inv6 = 1 / (r2 * r2 * r2 + c6), invC = 1 / (r2 + c2);
+    const lj = A * inv6 * inv6 - B * inv6;
+    const coul = qq * invC;
+    e.lj += lj;
+    e.coulomb += coul;
+    if (!grad) continue;
+    // dE/dr divided by r
+    const f = (-12 * A * inv6 * inv6 + 6 * B * inv6) * inv6 * r2 * r2 - 2 * coul * invC;
+    grad[3 * i] += f * dx; grad[3 * i + 1] += f * dy; grad[3 * i + 2] += f * dz;
+    grad[3 * j] -= f * dx; grad[3 * j + 1] -= f * dy; grad[3 * j + 2] -= f * dz;
+  }
+
+  for (const { i, at } of system.tethers) {
+    for (let c = 0; c < 3; c++) {
+      const d = x[3 * i + c] - at[c];
+      e.tether += K_TETHER * d * d;
+      if (grad) grad[3 * i + c] += 2 * K_TETHER * d;
+    }
+  }
+
+  e.total = e.bond + e.angle + e.lj + e.coulomb + e.tether;
+  return e;
+}
+
+// Electrostatic potential (kcal/mol/e) of a charge q at squared
+// distance r2 (Å²), with the same ε = 4r as the energy
+export function coulombPotential(q, r2) {
+  return COULOMB * q / (DIELECTRIC_SLOPE * r2);
+}
+
+// ============================================================
+// Chain coordinates in and out
+// ============================================================
+export function chainCoordinates(chain) {
+  const x = [];
+  for (const entry of chain) {
+    for (const a of getEntryAtomsWorld(entry)) x.push(a.x / WORLD_PER_ANG, a.y / WORLD_PER_ANG, a.z / WORLD_PER_ANG);
+  }
+  return Float64Array.from(x);
+}
+
+// Write coordinates back into each residue (see setEntryAtomsWorld)
+export function applyCoordinates(chain, x) {
+  let k = 0;
+  setEntryAtomsWorld(chain.map(entry => ({
+    entry,
+    atoms: FULL[entry.letter].atoms.map(() => {
+      const p = new THREE.Vector3(x[k], x[k + 1], x[k + 2]).multiplyScalar(WORLD_PER_ANG);
+      k += 3;
+      return p;
+    }),
+  })));
+}
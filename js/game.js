@@ -8,11 +8,27 @@ import { GameEvents, App } from './ui.js';
 // 3D modules
 import { updateControls, render3D, resize3D, updateParticles, controls, focusCamera, resetCamera, updateCameraAnim, scene, camera3D, renderer, cssRenderer } from './renderer3d.js';
 import { createGrid } from './grid3d.js';
-import { updateStructures3D } from './structures3d.js';
+import { updateStructures3D, areHydrogensShown, setHydrogensShown, refreshHydrogens, setRepresentation } from './structures3d.js';
+import { updateCartoon3D, setCartoonMode } from './cartoon.js';
+import { setColorScheme } from './colors.js';
+import { updateSurface3D, isSurfaceShown, setSurfaceShown, setSurfaceOpacity } from './surface.js';
+import { updateSasa } from './sasa.js';
+import { updateMeasurements3D, setMeasureMode, clearMeasurements, measurementsCSV, getMeasurements } from './measurements.js';
+import { updateAtomTooltip3D } from './tooltip.js';
 import { initInput, updateInput } from './input.js';
-import { getChain, clearChain, placeAminoAcid, placeSceneAminoAcid, getSequence, getChainLength, orientChainToCenter, orientSceneToCenter, computeScenePlacements, getStructureLateralRadius } from './chain.js';
+import { getChain, getSegments, clearChain, placeAminoAcid, placeSceneAminoAcid, getSequence, getChainLength, orientChainToCenter, orientSceneToCenter, computeScenePlacements, computeSerpentineCells, setEntryAtoms, getStructureLateralRadius } from './chain.js';
 import { syncWaters, updateWaters3D } from './water3d.js';
+import { updateDisulfides3D, getDisulfides, isOxidized, setOxidized } from './disulfides.js';
+import { peptideMass } from './properties.js';
+import { updateInteractions } from './interactions.js';
+import { updateClashes, isStrict, setStrict } from './clashes.js';
+import { minimizeChain } from './minimize.js';
+import { updateDynamics, stepDynamics, isRunning, setRunning, setTargetTemperature } from './dynamics.js';
+import { setPH } from './protonation.js';
 import { SCENES } from './scenes.js';
+import { recordEdit, undo, redo, jumpTo } from './history.js';
+import { serializeWorkspace, parseWorkspace, restoreWorkspace, readAutosave, startAutosave, listSlots, saveSlot, readSlot, deleteSlot, WORKSPACE_EXTENSION } from './workspace.js';
+import { exportPDB, parseStructureText, mapResidueToTemplate, residueLabel } from './pdb.js';
 import { cellToWorld } from './grid3d.js';
 import { FULL, STRUCT_SCALE } from './structures.js';
 import { SCALE } from './renderer3d.js';
@@ -89,18 +105,263 @@ GameEvents.on('gameStart', () => {
 GameEvents.on('chainChanged', () => {
   syncWaters(getChain());
   postGameState();
+  postChainStats();
+  updateInteractions();
+  updateClashes();
 });
 
+// --- A residue settled into a new pose (rotamer, arrow rotation) ---
+GameEvents.on('structureUpdated', () => {
+  updateInteractions();
+  updateClashes();
+});
+
+// --- Peptide-level data for the chain bar and properties panel ---
+// segments: one-letter codes per connected chain; MW counts S–S bonds
+function postChainStats() {
+  const segments = getSegments().map(seg => seg.map(e => e.letter));
+  const disulfides = getDisulfides().length;
+  GameEvents.emit('chainStats', {
+    segments,
+    mw: peptideMass(segments, disulfides),
+    disulfides,
+    oxidized: isOxidized(),
+  });
+}
+
+GameEvents.on('disulfidesChanged', () => {
+  postChainStats();
+  updateClashes();
+});
+
+// --- Strict placement: refuse moves that would clash badly ---
+GameEvents.on('toggleClashStrict', () => setStrict(!isStrict()));
+
+// --- Representation of every residue without an override ---
+GameEvents.on('setRepresentation', (data) => setRepresentation(data.mode));
+
+// Flat residues clash at the size they are drawn
+GameEvents.on('representationChanged', () => updateClashes());
+GameEvents.on('setResidueRepresentation', () => updateClashes());
+
+// --- Color scheme: element, category, hydropathy, charge, rainbow or accessibility ---
+GameEvents.on('setColorScheme', (data) => setColorScheme(data.scheme));
+
+// --- Molecular surface colored by electrostatic potential ---
+GameEvents.on('toggleSurface', () => setSurfaceShown(!isSurfaceShown()));
+GameEvents.on('setSurfaceOpacity', (data) => setSurfaceOpacity(data.opacity));
+
+// --- Cartoon trace: off, cartoon only, or cartoon plus sidechains ---
+GameEvents.on('setCartoonMode', (data) => setCartoonMode(data.mode));
+
+// --- Oxidize / reduce: form or break all S–S bonds ---
+GameEvents.on('toggleDisulfides', () => setOxidized(!isOxidized()));
+
+// --- Solution pH: charges restyle per frame, salt bridges need a recount ---
+GameEvents.on('setPH', (data) => setPH(data.pH));
+GameEvents.on('phChanged', () => {
+  updateInteractions();
+  refreshHydrogens();
+});
+
+// --- Explicit hydrogens on / off ---
+GameEvents.on('toggleHydrogens', () => setHydrogensShown(!areHydrogensShown()));
+
+// --- Undo / redo: dynamics pause first, closing the run as one edit ---
+function travel(step) {
+  if (isRunning()) setRunning(false);
+  if (!step()) return;
+  GameEvents.emit('chainChanged', {
+    sequence: getSequence(),
+    length: getChainLength(),
+  });
+}
+
+GameEvents.on('undo', () => travel(undo));
+GameEvents.on('redo', () => travel(redo));
+GameEvents.on('historyJump', (data) => travel(() => jumpTo(data.position)));
+
 // --- Clear the scene ---
 GameEvents.on('clearScene', () => {
+  recordEdit('Clear', () => {
+    if (getChainLength() === 0) return false;
+    clearChain();
+    return true;
+  });
+  syncWaters(getChain());
+  GameEvents.emit('chainChanged', {
+    sequence: getSequence(),
+    length: getChainLength(),
+  });
+});
+
+// --- Relax: energy-minimize the chain, report the energy change ---
+GameEvents.on('minimize', () => {
+  const result = recordEdit('Relax', () => minimizeChain());
+  if (!result) return;
+  GameEvents.emit('chainChanged', {
+    sequence: getSequence(),
+    length: getChainLength(),
+  });
+  GameEvents.emit('minimized', {
+    before: result.before.total,
+    after: result.after.total,
+    steps: result.steps,
+    converged: result.converged,
+  });
+});
+
+// --- Molecular dynamics: play / pause, single steps, thermostat ---
+GameEvents.on('toggleDynamics', () => {
+  const wasRunning = isRunning();
+  setRunning(!wasRunning);
+  // Pausing settles the pose: refresh stats, plots and waters
+  if (wasRunning) {
+    GameEvents.emit('chainChanged', {
+      sequence: getSequence(),
+      length: getChainLength(),
+    });
+  }
+});
+
+GameEvents.on('stepDynamics', () => {
+  recordEdit('Dynamics step', () => stepDynamics(), { merge: true });
+});
+GameEvents.on('setTemperature', (data) => setTargetTemperature(data.kelvin));
+
+// Salt bridges and clashes follow the moving atoms
+GameEvents.on('dynamicsChanged', () => {
+  updateInteractions();
+  updateClashes();
+});
+
+// --- Download the chain as a PDB file ---
+GameEvents.on('exportPDB', () => {
+  if (getChainLength() === 0) return;
+  downloadText(`peptide_${getSequence()}.pdb`, exportPDB(), 'chemical/x-pdb');
+});
+
+// --- Measurements: tool mode, clear, download as CSV ---
+GameEvents.on('setMeasureMode', (data) => setMeasureMode(data.mode));
+GameEvents.on('clearMeasurements', () => clearMeasurements());
+GameEvents.on('exportMeasurements', () => {
+  if (getMeasurements().length === 0) return;
+  downloadText(`measurements_${getSequence()}.csv`, measurementsCSV(), 'text/csv');
+});
+
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// --- Build a whole peptide along a serpentine path of adjacent cells ---
+// Replaces the current chain. Returns the placed entries (shorter than
+// letters if the grid runs out of room).
+function buildSerpentine(letters) {
   clearChain();
+  const cells = computeSerpentineCells(letters.length);
+  const entries = [];
+  for (let i = 0; i < cells.length; i++) {
+    const entry = placeAminoAcid(letters[i], cells[i].col, cells[i].row);
+    if (!entry) break;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+function finishBuild() {
   syncWaters(getChain());
   GameEvents.emit('chainChanged', {
     sequence: getSequence(),
     length: getChainLength(),
   });
+  resetCamera();
+}
+
+// --- Build a typed sequence (letters already validated by the UI) ---
+GameEvents.on('buildSequence', (data) => {
+  // Nothing to build: keep the current chain
+  if (!data.letters || data.letters.length === 0) return;
+  const entries = recordEdit('Build sequence', () => buildSerpentine(data.letters));
+  finishBuild();
+  if (entries.length < data.letters.length) {
+    GameEvents.emit('notify', {
+      kind: 'warning',
+      text: `Only the first ${entries.length} of ${data.letters.length} residues fit on the grid`,
+    });
+  }
+});
+
+// --- Import a PDB / mmCIF file, keeping its sidechain conformations ---
+GameEvents.on('importStructure', (data) => {
+  const residues = parseStructureText(data.text);
+  const mapped = [];
+  const skipped = [];
+  const incomplete = [];
+  for (const res of residues) {
+    const result = mapResidueToTemplate(res);
+    if (result.error) {
+      skipped.push({ label: residueLabel(res), resName: res.resName, reason: result.error });
+      continue;
+    }
+    if (result.missing.length > 0) incomplete.push(residueLabel(res));
+    mapped.push({ res, ...result });
+  }
+
+  if (mapped.length === 0) {
+    GameEvents.emit('notify', {
+      kind: 'error',
+      text: `${data.name}: no standard amino acids found`,
+    });
+    return;
+  }
+
+  recordEdit(`Import ${data.name}`, () => {
+    const entries = buildSerpentine(mapped.map(m => m.letter));
+    mapped.forEach((m, i) => {
+      if (entries[i]) {
+        setEntryAtoms(entries[i], m.atoms);
+      } else {
+        skipped.push({ label: residueLabel(m.res), resName: m.res.resName, reason: 'grid is full' });
+      }
+    });
+    return true;
+  });
+  finishBuild();
+
+  GameEvents.emit('notify', {
+    kind: skipped.length > 0 || incomplete.length > 0 ? 'warning' : 'info',
+    text: importReport(data.name, getChainLength(), skipped, incomplete),
+  });
 });
 
+// Summarise an import: skipped residues are grouped by name and reason
+// so a file full of waters does not produce a wall of text
+function importReport(name, placed, skipped, incomplete) {
+  const lines = [`${name}: imported ${placed} residue${placed === 1 ? '' : 's'}`];
+  const groups = new Map();
+  for (const s of skipped) {
+    const key = `${s.resName}|${s.reason}`;
+    if (!groups.has(key)) groups.set(key, { resName: s.resName, reason: s.reason, labels: [] });
+    groups.get(key).labels.push(s.label);
+  }
+  for (const g of groups.values()) {
+    const what = g.labels.length > 3 ? `${g.resName} \u00D7${g.labels.length}` : g.labels.join(', ');
+    lines.push(`Skipped ${what} (${g.reason})`);
+  }
+  if (incomplete.length > 0) {
+    const what = incomplete.length > 3 ? `${incomplete.length} residues` : incomplete.join(', ');
+    lines.push(`Missing atoms filled from ideal geometry: ${what}`);
+  }
+  return lines.join('\n');
+}
+
 // --- Reset camera to grid center ---
 GameEvents.on('resetView', () => resetCamera());
 
@@ -110,7 +371,8 @@ GameEvents.on('focusEntry', (data) => {
   const chain = getChain();
   if (data.index < 0 || data.index >= chain.length) return;
   const entry = chain[data.index];
-  const pos = cellToWorld(entry.col, entry.row);
+  // A folded residue has left its grid cell
+  const pos = entry.backbone ? entry.group.position : cellToWorld(entry.col, entry.row);
   focusCamera(pos.x, pos.z);
 });
 
@@ -119,22 +381,95 @@ GameEvents.on('loadScene', (data) => {
   const scene = SCENES.find(s => s.id === data.id);
   if (!scene) return;
 
-  clearChain();
+  recordEdit(`Lesson: ${scene.name}`, () => {
+    clearChain();
+    const placements = computeScenePlacements(scene.layout);
+    for (const p of placements) {
+      placeSceneAminoAcid(p.letter, p.worldX, p.worldZ);
+    }
+
+    // Orient all AAs so sidechain functional groups face each other
+    orientSceneToCenter();
+    return true;
+  });
   syncWaters(getChain());
 
-  const placements = computeScenePlacements(scene.layout);
-  for (const p of placements) {
-    placeSceneAminoAcid(p.letter, p.worldX, p.worldZ);
-  }
+  GameEvents.emit('chainChanged', {
+    sequence: getSequence(),
+    length: getChainLength(),
+  });
+  GameEvents.emit('sceneLoaded', { scene });
+});
 
-  // Orient all AAs so sidechain functional groups face each other
-  orientSceneToCenter();
+// ============================================================
+// Workspaces: autosave, named slots, .peptidelab.json files
+// ============================================================
 
+// Replace the chain, camera and lesson with a parsed workspace; recorded
+// for undo under label (the restored last session starts the history)
+function openWorkspace(workspace, label = null) {
+  if (isRunning()) setRunning(false);
+  let scene = null;
+  const restore = () => {
+    scene = restoreWorkspace(workspace);
+    return true;
+  };
+  if (label) recordEdit(label, restore);
+  else restore();
   GameEvents.emit('chainChanged', {
     sequence: getSequence(),
     length: getChainLength(),
   });
-  GameEvents.emit('sceneLoaded', { scene });
+  if (scene) GameEvents.emit('sceneLoaded', { scene });
+}
+
+function postWorkspaces() {
+  GameEvents.emit('workspacesChanged', { slots: listSlots() });
+}
+
+// --- Builder UI is up: bring back the last session, then keep saving it ---
+GameEvents.on('builderReady', () => {
+  const workspace = readAutosave();
+  if (workspace && workspace.residues.length > 0) openWorkspace(workspace);
+  startAutosave();
+});
+
+GameEvents.on('listWorkspaces', () => postWorkspaces());
+
+GameEvents.on('saveWorkspace', (data) => {
+  const ok = saveSlot(data.name);
+  GameEvents.emit('notify', ok
+    ? { kind: 'info', text: `Saved workspace \u201C${data.name}\u201D` }
+    : { kind: 'error', text: 'Could not save: browser storage is full or disabled' });
+  postWorkspaces();
+});
+
+GameEvents.on('openWorkspace', (data) => {
+  const result = readSlot(data.name);
+  if (result.error) {
+    GameEvents.emit('notify', { kind: 'error', text: `${data.name}: ${result.error}` });
+    return;
+  }
+  openWorkspace(result.workspace, `Open ${data.name}`);
+});
+
+GameEvents.on('deleteWorkspace', (data) => {
+  deleteSlot(data.name);
+  postWorkspaces();
+});
+
+GameEvents.on('downloadWorkspace', () => {
+  const name = getChainLength() > 0 ? `peptide_${getSequence()}` : 'workspace';
+  downloadText(name + WORKSPACE_EXTENSION, JSON.stringify(serializeWorkspace(), null, 1), 'application/json');
+});
+
+GameEvents.on('uploadWorkspace', (data) => {
+  const result = parseWorkspace(data.text);
+  if (result.error) {
+    GameEvents.emit('notify', { kind: 'error', text: `${data.name}: ${result.error}` });
+    return;
+  }
+  openWorkspace(result.workspace, `Open ${data.name}`);
 });
 
 // ============================================================
@@ -144,6 +479,7 @@ GameEvents.on('loadScene', (data) => {
 // --- Update (fixed timestep) ---
 function update(dt) {
   updateInput();
+  updateDynamics();
 }
 
 // --- Render ---
@@ -152,7 +488,13 @@ function render(alpha) {
   updateControls();
   updateParticles();
   updateStructures3D();
+  updateCartoon3D();
+  updateSurface3D();
+  updateSasa();
   updateWaters3D();
+  updateDisulfides3D();
+  updateMeasurements3D();
+  updateAtomTooltip3D();
   render3D();
 }
 
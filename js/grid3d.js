@@ -92,6 +92,12 @@ export function updateHover() {
   ring.visible = false;
 }
 
+// The pointer's ray, for picking things above the grid (e.g. atoms)
+export function pointerRay() {
+  raycaster.setFromCamera(mouse, camera3D);
+  return raycaster;
+}
+
 export function getHoveredCell() {
   return hoveredCell;
 }
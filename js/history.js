@@ -0,0 +1,190 @@
+// ============================================================
+// history.js — Undo / redo for chain edits
+// Every edit is recorded as a command with undo() and redo().
+// Rotations and rotamer changes are reversed in place on their
+// residue, found again by its grid cell. Edits that relink or
+// reorient neighbours (place, remove, move, folds, clear, lessons,
+// sequences, imports, relax, dynamics) restore chain snapshots instead.
+// ============================================================
+
+import { BIOME_BY_LETTER } from './constants.js';
+import { getChain, getEntryAt, getEntryCell, rotateEntry, cycleEntryRotamer, setEntryConformation, snapshotChain, restoreChain } from './chain.js';
+import { getStructureAtoms } from './structures3d.js';
+import { getRotamerCount } from './rotamers.js';
+import { GameEvents } from './ui.js';
+
+const HISTORY_LIMIT = 100;   // oldest commands are dropped beyond this
+
+// --- State ---
+let commands = [];   // { label, kind, undo, redo } oldest first
+let position = 0;    // commands[0 .. position) are applied; the rest can be redone
+let runStart = null; // snapshot taken when live dynamics started
+
+// A dynamics run, start to pause, is one edit
+GameEvents.on('dynamicsChanged', (data) => {
+  if (data.running && !runStart) {
+    runStart = snapshotChain();
+  } else if (!data.running && runStart) {
+    pushSnapshots('Dynamics', runStart, snapshotChain());
+    runStart = null;
+  }
+});
+
+// An edit made while dynamics runs splits the run around it
+function closeRun() {
+  if (!runStart) return false;
+  pushSnapshots('Dynamics', runStart, snapshotChain());
+  runStart = null;
+  return true;
+}
+
+function reopenRun(wasRunning) {
+  if (wasRunning) runStart = snapshotChain();
+}
+
+function emitChange() {
+  GameEvents.emit('historyChanged', {
+    labels: commands.map(c => c.label),
+    position,
+  });
+}
+
+function push(command) {
+  commands = commands.slice(0, position);
+  commands.push(command);
+  if (commands.length > HISTORY_LIMIT) commands.shift();
+  position = commands.length;
+  emitChange();
+}
+
+// Last applied command, if nothing has been undone since
+function top() {
+  return position === commands.length ? commands[position - 1] : null;
+}
+
+// e.g. "Lys 3" (numbered in the current chain order)
+export function residueName(entry) {
+  return `${BIOME_BY_LETTER[entry.letter].code3} ${getChain().indexOf(entry) + 1}`;
+}
+
+function entryAtCell(cell) {
+  const index = getEntryAt(cell.col, cell.row);
+  return index === null ? null : getChain()[index];
+}
+
+// ============================================================
+// Recording
+// ============================================================
+
+// Run an edit that may relink or reorient residues; it is recorded
+// (as snapshots before and after) when it returns something truthy.
+// merge: repeats of the same label extend the last command instead.
+export function recordEdit(label, edit, { merge = false } = {}) {
+  const running = closeRun();
+  const before = snapshotChain();
+  const result = edit();
+  if (result) {
+    const last = top();
+    if (merge && last && last.kind === 'snapshot' && last.label === label) {
+      last.after = snapshotChain();
+    } else {
+      pushSnapshots(label, before, snapshotChain());
+    }
+  }
+  reopenRun(running);
+  return result;
+}
+
+function pushSnapshots(label, before, after) {
+  const command = {
+    label,
+    kind: 'snapshot',
+    after,
+    undo: () => restoreChain(before),
+    redo: () => restoreChain(command.after),
+  };
+  push(command);
+}
+
+// Rotate a residue; repeated turns of one residue about one axis
+// merge into a single command
+export function recordRotation(entry, axis, angle) {
+  const running = closeRun();
+  rotateEntry(entry, axis, angle);
+  const cell = getEntryCell(entry);
+  const last = top();
+  if (last && last.kind === 'rotate' && last.axis === axis &&
+      last.cell.col === cell.col && last.cell.row === cell.row) {
+    last.angle += angle;
+    reopenRun(running);
+    return;
+  }
+  const turn = (a) => {
+    const e = entryAtCell(cell);
+    if (e) rotateEntry(e, axis, a);
+  };
+  const command = {
+    label: `Rotate ${residueName(entry)}`,
+    kind: 'rotate', cell, axis, angle,
+    undo: () => turn(-command.angle),
+    redo: () => turn(command.angle),
+  };
+  push(command);
+  reopenRun(running);
+}
+
+// Step a residue to its next rotamer; false when it has none
+export function recordRotamer(entry) {
+  if (getRotamerCount(entry.letter) === 0) return false;
+  const running = closeRun();
+  const before = { rotamer: entry.rotamer, atoms: getStructureAtoms(entry.refKey) };
+  cycleEntryRotamer(entry);
+  const after = { rotamer: entry.rotamer, atoms: getStructureAtoms(entry.refKey) };
+  const cell = getEntryCell(entry);
+  const apply = (state) => {
+    const e = entryAtCell(cell);
+    if (e) setEntryConformation(e, state.rotamer, state.atoms);
+  };
+  push({
+    label: `Rotamer ${residueName(entry)} (${after.rotamer + 1}/${getRotamerCount(entry.letter)})`,
+    kind: 'rotamer',
+    undo: () => apply(before),
+    redo: () => apply(after),
+  });
+  reopenRun(running);
+  return true;
+}
+
+// ============================================================
+// Public: undo, redo, jump to a point in the list
+// ============================================================
+export function canUndo() {
+  return position > 0;
+}
+
+export function canRedo() {
+  return position < commands.length;
+}
+
+export function undo() {
+  if (!canUndo()) return false;
+  commands[--position].undo();
+  emitChange();
+  return true;
+}
+
+export function redo() {
+  if (!canRedo()) return false;
+  commands[position++].redo();
+  emitChange();
+  return true;
+}
+
+// Undo or redo until the first `target` commands are applied
+export function jumpTo(target) {
+  if (target < 0 || target > commands.length || target === position) return false;
+  while (position > target) commands[--position].undo();
+  while (position < target) commands[position++].redo();
+  emitChange();
+  return true;
+}
@@ -0,0 +1,160 @@
+// ============================================================
+// hydrogens.js — Explicit hydrogens from geometric rules
+// The template (atomic_coords.js) holds heavy atoms only. Each heavy
+// atom gets valence minus bond order hydrogens (template bonds plus
+// peptide / disulfide links), adjusted for the protonation state of
+// ionizable groups, placed at ideal sp2 / sp3 angles.
+// ============================================================
+
+import * as THREE from 'three';
+import { FULL, ANG_SCALE } from './structures.js';
+import { placeAtom } from './backbone.js';
+
+const VALENCE = { C: 4, N: 3, O: 2, S: 2 };
+
+// X–H bond lengths (Å) and X–Y–H angles (degrees)
+const BOND_LENGTH = { C: 1.09, N: 1.01, O: 0.96, S: 1.34 };
+const TETRAHEDRAL = 109.5;
+const TRIGONAL = 120;
+const THIOL_ANGLE = 96;
+
+// Proton gained by a base / lost by an acid when the group is charged
+const BASE_SITE = { nTerm: 'N', K: 'NZ', R: 'NH1', H: 'ND1' };
+const ACID_SITE = { cTerm: 'OXT', D: 'OD2', E: 'OE2', C: 'SG', Y: 'OH' };
+
+// The template draws both imidazole N double-bonded; neutral His is
+// the HIE tautomer (proton on NE2), protonation adds one on ND1
+const HIS_RING = { ND1: 0, CE1: 1, NE2: 1 };
+
+const vec = a => new THREE.Vector3(a.x, a.y, a.z || 0);
+
+// PDB-style names: HA, HB2/HB3 (methylene), HB1-3 (methyl), HD21 ...
+function hydrogenName(parent, i, count) {
+  if (parent === 'N') return count === 1 ? 'H' : `H${i + 1}`;
+  if (parent === 'OXT') return 'HXT';
+  const base = 'H' + parent.slice(1);
+  if (count === 1) return base;
+  if (/\d$/.test(parent)) return base + (i + 1);
+  return base + (count === 2 ? i + 2 : i + 1);
+}
+
+// ============================================================
+// Hydrogen counts per heavy atom
+// ============================================================
+function hydrogenCounts(letter, ctx, present, order) {
+  const names = FULL[letter].atoms.map(a => a.name);
+  const counts = FULL[letter].atoms.map((a, i) =>
+    present(i) ? Math.max(VALENCE[a.el] - order[i], 0) : 0);
+
+  if (letter === 'H') {
+    for (const [name, n] of Object.entries(HIS_RING)) counts[names.indexOf(name)] = n;
+  }
+
+  const groups = [letter];
+  if (ctx.nTerminal) groups.push('nTerm');
+  if (ctx.cTerminal) groups.push('cTerm');
+  for (const group of groups) {
+    if (group === 'C' && ctx.ssBonded) continue;
+    if (!ctx.charged(group)) continue;
+    if (BASE_SITE[group]) counts[names.indexOf(BASE_SITE[group])] += 1;
+    if (ACID_SITE[group]) {
+      const i = names.indexOf(ACID_SITE[group]);
+      counts[i] = Math.max(counts[i] - 1, 0);
+    }
+  }
+  return counts;
+}
+
+// ============================================================
+// Geometry around one parent atom
+// ============================================================
+
+// Hydrogen directions for a parent with two or three heavy neighbours
+function fromNeighbours(x, nbs, h) {
+  const units = nbs.map(p => new THREE.Vector3().subVectors(p, x).normalize());
+  const away = units.reduce((s, u) => s.sub(u), new THREE.Vector3()).normalize();
+  if (h === 1) return [away];
+  // Methylene: the two H straddle the bisector, perpendicular to the heavy-atom plane
+  const half = (TETRAHEDRAL / 2) * Math.PI / 180;
+  const normal = new THREE.Vector3().crossVectors(units[0], units[1]).normalize();
+  return [1, -1].map(sign => away.clone().multiplyScalar(Math.cos(half))
+    .addScaledVector(normal, sign * Math.sin(half)));
+}
+
+// Torsions (about neighbour–parent, from a reference atom) for a
+// parent with a single heavy neighbour
+function terminalTorsions(el, planar, h) {
+  if (h === 3) return [60, 180, 300];        // staggered methyl / NH3+
+  if (h === 2) return planar ? [0, 180] : [60, 300];
+  return [planar && el === 'O' ? 0 : 180];   // carboxylic acid OH is syn
+}
+
+// ============================================================
+// Public: hydrogens of one residue
+// atoms: FULL[letter].atoms order, local game units
+// ctx: { nTerminal, cTerminal, prevC (preceding C, local game units, or
+//        null), ssBonded (Cys SG in a disulfide), charged(group) → bool }
+// Returns [{ name, el: 'H', parent, x, y, z }] in local game units.
+// ============================================================
+export function placeHydrogens(letter, atoms, ctx) {
+  const struct = FULL[letter];
+  const names = struct.atoms.map(a => a.name);
+  const oxt = names.indexOf('OXT');
+  const present = i => i !== oxt || ctx.cTerminal;
+
+  // Heavy neighbours and bond orders (peptide links count on N and C)
+  const neighbours = struct.atoms.map(() => []);
+  const order = struct.atoms.map(() => 0);
+  const partner = {};   // double-bond partner
+  for (const [a, b, isDouble] of struct.bonds) {
+    if (!present(a) || !present(b)) continue;
+    neighbours[a].push(b);
+    neighbours[b].push(a);
+    order[a] += isDouble ? 2 : 1;
+    order[b] += isDouble ? 2 : 1;
+    if (isDouble) {
+      partner[a] = b;
+      partner[b] = a;
+    }
+  }
+  const N = names.indexOf('N'), C = names.indexOf('C');
+  if (!ctx.nTerminal) order[N] += 1;
+  if (!ctx.cTerminal) order[C] += 1;
+  if (letter === 'C' && ctx.ssBonded) order[names.indexOf('SG')] += 1;
+
+  // sp2: in a double bond, or an N / O conjugated with one (amide, acid, phenol)
+  const planar = i => i in partner ||
+    (struct.atoms[i].el !== 'C' && neighbours[i].some(j => j in partner)) ||
+    (i === N && !ctx.nTerminal);
+
+  const pos = atoms.map(vec);
+  const counts = hydrogenCounts(letter, ctx, present, order);
+  const hydrogens = [];
+
+  counts.forEach((h, i) => {
+    if (h === 0) return;
+    const el = struct.atoms[i].el;
+    const length = BOND_LENGTH[el] * ANG_SCALE;
+    const nbs = neighbours[i].map(j => pos[j]);
+    if (i === N && ctx.prevC) nbs.push(vec(ctx.prevC));
+
+    let placed;
+    if (nbs.length >= 2) {
+      placed = fromNeighbours(pos[i], nbs, h).map(d => pos[i].clone().addScaledVector(d, length));
+    } else {
+      // Reference: the neighbour's double-bond partner, else any other neighbour
+      const a = neighbours[i][0];
+      const others = neighbours[a].filter(j => j !== i);
+      const ref = others.find(j => partner[a] === j) ?? others[0];
+      const angle = el === 'S' ? THIOL_ANGLE : planar(i) && el !== 'O' ? TRIGONAL : TETRAHEDRAL;
+      placed = terminalTorsions(el, planar(i), h)
+        .map(t => placeAtom(pos[ref], pos[a], pos[i], length, angle, t));
+    }
+
+    placed.forEach((p, k) => hydrogens.push({
+      name: hydrogenName(names[i], k, placed.length), el: 'H', parent: i,
+      x: p.x, y: p.y, z: p.z,
+    }));
+  });
+  return hydrogens;
+}
@@ -2,10 +2,16 @@
 // input.js — Mouse/keyboard/touch handling for sandbox builder
 // ============================================================
 
-import { updateHover, getHoveredCell, setHighlightValid, setDragMode, updatePointerCoords, hideHighlight } from './grid3d.js';
-import { placeAminoAcid, removeLastAminoAcid, removeAminoAcid, isOccupied, getSequence, getChainLength, getChain, getEntryAt, moveAminoAcid } from './chain.js';
-import { setRotamer } from './structures3d.js';
-import { cycleRotamer, getRotamerIndex, getRotamerCount } from './rotamers.js';
+import { updateHover, getHoveredCell, setHighlightValid, setDragMode, updatePointerCoords, hideHighlight, pointerRay } from './grid3d.js';
+import { placeAminoAcid, removeAminoAcid, isOccupied, getSequence, getChainLength, getChain, getEntryAt, moveAminoAcid, getLastPlaced, setBackbone, flattenSegment, getSegmentPosition, getSegmentRange, getChainDihedrals } from './chain.js';
+import { presetDihedrals, DEFAULT_DIHEDRALS } from './backbone.js';
+import { getRotamerCount } from './rotamers.js';
+import { blocksPlacement } from './clashes.js';
+import { getResidueRepresentation, setResidueRepresentation, pickAtom } from './structures3d.js';
+import { isMeasuring, addMeasureAtom, setMeasureMode } from './measurements.js';
+import { showAtomTooltip, hideAtomTooltip } from './tooltip.js';
+import { recordEdit, recordRotation, recordRotamer, residueName } from './history.js';
+import { BIOME_BY_LETTER, SS_PRESETS } from './constants.js';
 import { GameEvents } from './ui.js';
 import { getCanvas, controls } from './renderer3d.js';
 
@@ -14,8 +20,12 @@ const isMobile = window.matchMedia('(max-width: 768px)').matches;
 let selectedAA = null;    // letter selected in palette
 let paletteDrag = null;   // letter being dragged from palette
 let gridDrag = null;      // { chainIndex, originCol, originRow, startX, startY }
-let focusedIndex = null;  // chain index of clicked placed AA (for arrow rotation)
+let focusedEntry = null;  // clicked placed AA (for arrow rotation); chain indices shift as the polymer grows
 let canvasPointerDown = false; // true while mouse/touch is active on canvas
+let hoveredRefKey = null;  // placed AA under the pointer (highlighted in the Ramachandran plot)
+let blockedMemo = null;    // { key, blocked } — clash preview for the highlighted cell
+let measureDown = null;    // { x, y } — mousedown while measuring (a click, unless it moved)
+let pointerOnCanvas = false; // mouse over the 3D view, not the UI (atom picking)
 
 const DRAG_THRESHOLD = 5; // px movement before it counts as a drag
 const ROTATE_STEP = Math.PI / 12; // 15 degrees per arrow press
@@ -23,6 +33,7 @@ const ROTATE_STEP = Math.PI / 12; // 15 degrees per arrow press
 // --- Touch constants ---
 const TOUCH_DRAG_THRESHOLD = 10; // px
 const TAP_TIME_LIMIT = 250;      // ms
+const LONG_PRESS_TIME = 500;     // ms held still before the atom tooltip shows
 
 // --- Touch state ---
 let touchState = null;
@@ -40,35 +51,30 @@ GameEvents.on('startDrag', (data) => {
   GameEvents.emit('selectionChanged', { letter: selectedAA });
 });
 
-// --- Listen for delete/undo from ActionBar (mobile) ---
-GameEvents.on('deleteEntry', () => {
-  if (focusedIndex !== null) {
-    const removed = removeAminoAcid(focusedIndex);
-    if (removed) {
-      focusedIndex = null;
-      GameEvents.emit('focusEntry', { index: null });
-      GameEvents.emit('chainChanged', {
-        sequence: getSequence(),
-        length: getChainLength(),
-      });
-    }
+// --- Listen for delete from ActionBar (mobile) ---
+GameEvents.on('deleteEntry', () => deleteFocused());
+
+// --- Drop focus when the focused AA leaves the chain (undo, clear, lessons),
+// otherwise refresh what the info panel shows for it ---
+GameEvents.on('chainChanged', () => {
+  if (focusedEntry !== null && !getChain().includes(focusedEntry)) {
+    focusedEntry = null;
+    GameEvents.emit('focusEntry', { index: null });
+  } else if (focusedEntry !== null) {
+    // Segment position and fold may have changed under the focus
+    GameEvents.emit('entryUpdated', focusPayload(focusedEntry));
   }
+  emitDihedrals();
 });
 
-GameEvents.on('undoLast', () => {
-  const removed = removeLastAminoAcid();
-  if (removed) {
-    focusedIndex = null;
-    GameEvents.emit('chainChanged', {
-      sequence: getSequence(),
-      length: getChainLength(),
-    });
-  }
+// --- Focus requested from outside the canvas (Ramachandran plot) ---
+GameEvents.on('focusEntry', (data) => {
+  focusedEntry = data.index == null ? null : getChain()[data.index] || null;
 });
 
 GameEvents.on('deselect', () => {
-  if (focusedIndex !== null) {
-    focusedIndex = null;
+  if (focusedEntry !== null) {
+    focusedEntry = null;
     GameEvents.emit('focusEntry', { index: null });
   } else {
     selectedAA = null;
@@ -76,13 +82,106 @@ GameEvents.on('deselect', () => {
   }
 });
 
+// --- Cycle rotamer from the mobile ActionBar ---
+GameEvents.on('cycleRotamer', () => cycleRotamerOf(focusedEntry || getLastPlaced()));
+
+// --- Backbone edits from the info panel (apply to the focused AA's segment) ---
+GameEvents.on('applyBackbonePreset', (data) => {
+  if (focusedEntry === null) return;
+  const range = getSegmentRange(focusedEntry, data.from, data.to);
+  const preset = SS_PRESETS.find(p => p.id === data.preset);
+  recordEdit(`${preset.name} ${residueName(range[0])}\u2013${residueName(range[range.length - 1])}`, () => {
+    setBackbone(range, e => presetDihedrals(data.preset, e.letter));
+    return true;
+  });
+  backboneChanged();
+});
+
+GameEvents.on('setDihedrals', (data) => {
+  if (focusedEntry === null) return;
+  const { phi, psi, omega } = { ...DEFAULT_DIHEDRALS, ...focusedEntry.backbone, ...data };
+  recordEdit(`Dihedrals ${residueName(focusedEntry)}`, () => {
+    setBackbone([focusedEntry], () => ({ phi, psi, omega }));
+    return true;
+  });
+  backboneChanged();
+});
+
+GameEvents.on('flattenSegment', () => {
+  if (focusedEntry === null) return;
+  recordEdit(`Flatten ${residueName(focusedEntry)}`, () => {
+    flattenSegment(focusedEntry);
+    return true;
+  });
+  backboneChanged();
+});
+
+// --- Representation override from the info panel ---
+GameEvents.on('setResidueRepresentation', (data) => {
+  if (focusedEntry === null) return;
+  setResidueRepresentation(focusedEntry.refKey, data.mode);
+  GameEvents.emit('entryUpdated', focusPayload(focusedEntry));
+});
+
+function backboneChanged() {
+  GameEvents.emit('chainChanged', {
+    sequence: getSequence(),
+    length: getChainLength(),
+  });
+}
+
+// --- Focus a placed AA by chain index ---
+function focusEntryAt(index) {
+  focusedEntry = getChain()[index];
+  GameEvents.emit('focusEntry', focusPayload(focusedEntry));
+}
+
+// Panels (e.g. accessibility bars) focus a residue by chain index
+GameEvents.on('focusResidue', (data) => {
+  if (getChain()[data.index]) focusEntryAt(data.index);
+});
+
+// --- Measured phi/psi of every residue, for the Ramachandran plot ---
+// Each residue carries its focus payload so a plot click can focus it
+function emitDihedrals() {
+  const dihedrals = getChainDihedrals();
+  GameEvents.emit('dihedralsChanged', {
+    residues: getChain().map((e, i) => ({ ...focusPayload(e), phi: dihedrals[i].phi, psi: dihedrals[i].psi })),
+  });
+}
+
+function focusPayload(entry) {
+  return {
+    index: getChain().indexOf(entry),
+    letter: entry.letter,
+    refKey: entry.refKey,
+    rotamer: entry.rotamer,
+    rotamerCount: getRotamerCount(entry.letter),
+    backbone: entry.backbone,
+    segment: getSegmentPosition(entry),
+    representation: getResidueRepresentation(entry.refKey),
+  };
+}
+
+// --- Rotamer helper ---
+function cycleRotamerOf(entry) {
+  if (!entry || !recordRotamer(entry)) return;
+  GameEvents.emit('rotamerChanged', {
+    refKey: entry.refKey,
+    rotamer: entry.rotamer,
+    rotamerCount: getRotamerCount(entry.letter),
+  });
+  emitDihedrals();
+}
+
 // --- Place helper ---
 function tryPlace(letter) {
   const cell = getHoveredCell();
   if (!cell) return false;
   if (isOccupied(cell.col, cell.row)) return false;
+  if (refuseClash(letter, cell.col, cell.row)) return false;
 
-  const entry = placeAminoAcid(letter, cell.col, cell.row);
+  const entry = recordEdit(`Place ${BIOME_BY_LETTER[letter].code3}`, () => placeAminoAcid(letter, cell.col, cell.row));
   if (entry) {
     GameEvents.emit('chainChanged', {
       sequence: getSequence(),
@@ -99,11 +198,74 @@ function tryPlace(letter) {
   return false;
 }
 
+// --- Strict clash check before placing / moving; warns when refused ---
+function refuseClash(letter, col, row, entry = null) {
+  if (!blocksPlacement(letter, col, row, entry)) return false;
+  GameEvents.emit('notify', {
+    kind: 'warning',
+    text: 'That spot would clash badly with a neighbouring residue (strict clashes are on)',
+  });
+  return true;
+}
+
+function refuseMoveClash(chainIndex, cell) {
+  const entry = getChain()[chainIndex];
+  return refuseClash(entry.letter, cell.col, cell.row, entry);
+}
+
+// --- Move / delete helpers (recorded for undo) ---
+function moveEntry(chainIndex, cell) {
+  if (!recordEdit(`Move ${residueName(getChain()[chainIndex])}`, () => moveAminoAcid(chainIndex, cell.col, cell.row))) {
+    return false;
+  }
+  GameEvents.emit('chainChanged', {
+    sequence: getSequence(),
+    length: getChainLength(),
+  });
+  return true;
+}
+
+function deleteFocused() {
+  if (focusedEntry === null) return;
+  const removed = recordEdit(`Remove ${residueName(focusedEntry)}`, () => removeAminoAcid(getChain().indexOf(focusedEntry)));
+  if (removed) {
+    focusedEntry = null;
+    GameEvents.emit('focusEntry', { index: null });
+    GameEvents.emit('chainChanged', {
+      sequence: getSequence(),
+      length: getChainLength(),
+    });
+  }
+}
+
+// Cached per hovered cell: the preview builds a residue's world atoms
+// --- Measure tool: the atom under the pointer joins the next measurement ---
+function pickMeasureAtom() {
+  const hit = pickAtom(pointerRay());
+  if (hit) addMeasureAtom(hit.refKey, hit.atomIdx);
+}
+
+function isBlocked(letter, col, row, entry = null) {
+  const key = `${letter}:${col},${row}:${entry ? entry.refKey : ''}`;
+  if (!blockedMemo || blockedMemo.key !== key) {
+    blockedMemo = { key, blocked: blocksPlacement(letter, col, row, entry) };
+  }
+  return blockedMemo.blocked;
+}
+
+for (const event of ['chainChanged', 'structureUpdated', 'clashesChanged']) {
+  GameEvents.on(event, () => { blockedMemo = null; });
+}
+
 // --- Mousedown on canvas: prepare for click or drag on placed AA ---
 function onMouseDown(e) {
   if (e.button !== 0) return;
   if (e.target.closest('#ui-root')) return;
   canvasPointerDown = true;
+  if (isMeasuring()) {
+    measureDown = { x: e.clientX, y: e.clientY };
+    return;
+  }
 
   const cell = getHoveredCell();
   if (!cell) return;
@@ -123,6 +285,7 @@ function onMouseDown(e) {
 }
 
 function onMouseMove(e) {
+  pointerOnCanvas = e.target === getCanvas();
   if (!gridDrag || gridDrag.moved) return;
   const dx = e.clientX - gridDrag.startX;
   const dy = e.clientY - gridDrag.startY;
@@ -138,6 +301,12 @@ function onClick(e) {
   if (e.button !== 0) return;
   if (e.target.closest('#ui-root')) return;
   if (paletteDrag || gridDrag) return;
+  if (measureDown) {
+    const dx = e.clientX - measureDown.x, dy = e.clientY - measureDown.y;
+    measureDown = null;
+    if (dx * dx + dy * dy <= DRAG_THRESHOLD * DRAG_THRESHOLD) pickMeasureAtom();
+    return;
+  }
   if (!selectedAA) return;
 
   tryPlace(selectedAA);
@@ -149,18 +318,12 @@ function onMouseUp(e) {
   if (gridDrag) {
     if (gridDrag.moved) {
       const cell = getHoveredCell();
-      if (cell && !(cell.col === gridDrag.originCol && cell.row === gridDrag.originRow)) {
-        if (moveAminoAcid(gridDrag.chainIndex, cell.col, cell.row)) {
-          GameEvents.emit('chainChanged', {
-            sequence: getSequence(),
-            length: getChainLength(),
-          });
-        }
+      if (cell && !(cell.col === gridDrag.originCol && cell.row === gridDrag.originRow) &&
+          !refuseMoveClash(gridDrag.chainIndex, cell)) {
+        moveEntry(gridDrag.chainIndex, cell);
       }
     } else {
-      focusedIndex = gridDrag.chainIndex;
-      const focusedEntry = getChain()[focusedIndex];
-      GameEvents.emit('focusEntry', { index: focusedIndex, letter: focusedEntry.letter });
+      focusEntryAt(gridDrag.chainIndex);
     }
     setDragMode(false);
     controls.enabled = true;
@@ -182,6 +345,8 @@ function onMouseUp(e) {
 // ============================================================
 
 function onTouchStart(e) {
+  cancelLongPress();
+  hideAtomTooltip();
   if (e.touches.length !== 1) {
     touchState = null;
     canvasPointerDown = false;
@@ -199,7 +364,7 @@ function onTouchStart(e) {
   let originCol = null;
   let originRow = null;
 
-  if (cell) {
+  if (cell && !isMeasuring()) {
     const idx = getEntryAt(cell.col, cell.row);
     if (idx !== null) {
       isPlacedAA = true;
@@ -219,9 +384,22 @@ function onTouchStart(e) {
     chainIndex,
     originCol,
     originRow,
+    longPress: setTimeout(onLongPress, LONG_PRESS_TIME),
   };
 }
 
+// --- Long-press (held still): tooltip for the atom under the finger ---
+function onLongPress() {
+  if (!touchState || touchState.moved) return;
+  touchState.longPress = null;
+  const pick = pickAtom(pointerRay(), true);
+  if (pick) showAtomTooltip(pick);
+}
+
+function cancelLongPress() {
+  if (touchState?.longPress) clearTimeout(touchState.longPress);
+}
+
 function onTouchMove(e) {
   if (!touchState) return;
   if (e.touches.length !== 1) {
@@ -242,6 +420,7 @@ function onTouchMove(e) {
 
   if (!touchState.moved && dist > TOUCH_DRAG_THRESHOLD) {
     touchState.moved = true;
+    cancelLongPress();
     if (touchState.isPlacedAA) {
       setDragMode(true);
       controls.enabled = false;
@@ -257,6 +436,7 @@ function onTouchMove(e) {
 function onTouchEnd(e) {
   canvasPointerDown = false;
   if (!touchState) return;
+  cancelLongPress();
 
   let ended = null;
   for (let i = 0; i < e.changedTouches.length; i++) {
@@ -277,10 +457,10 @@ function onTouchEnd(e) {
     updatePointerCoords(ended.clientX, ended.clientY);
     updateHover();
 
-    if (touchState.isPlacedAA) {
-      focusedIndex = touchState.chainIndex;
-      const focusedEntry = getChain()[focusedIndex];
-      GameEvents.emit('focusEntry', { index: focusedIndex, letter: focusedEntry.letter });
+    if (isMeasuring()) {
+      pickMeasureAtom();
+    } else if (touchState.isPlacedAA) {
+      focusEntryAt(touchState.chainIndex);
     } else if (selectedAA) {
       tryPlace(selectedAA);
     }
@@ -288,14 +468,9 @@ function onTouchEnd(e) {
     updatePointerCoords(ended.clientX, ended.clientY);
     updateHover();
     const cell = getHoveredCell();
-    if (cell && !(cell.col === touchState.originCol && cell.row === touchState.originRow)) {
-      if (moveAminoAcid(touchState.chainIndex, cell.col, cell.row)) {
-        if (navigator.vibrate) navigator.vibrate(15);
-        GameEvents.emit('chainChanged', {
-          sequence: getSequence(),
-          length: getChainLength(),
-        });
-      }
+    if (cell && !(cell.col === touchState.originCol && cell.row === touchState.originRow) &&
+        !refuseMoveClash(touchState.chainIndex, cell)) {
+      if (moveEntry(touchState.chainIndex, cell) && navigator.vibrate) navigator.vibrate(15);
     }
     setDragMode(false);
     controls.enabled = true;
@@ -306,6 +481,7 @@ function onTouchEnd(e) {
 
 function onTouchCancel() {
   canvasPointerDown = false;
+  cancelLongPress();
   if (touchState && touchState.moved && touchState.isPlacedAA) {
     setDragMode(false);
     controls.enabled = true;
@@ -316,58 +492,54 @@ function onTouchCancel() {
 // --- Keyboard ---
 function onKeyDown(e) {
   // Arrow keys → rotate focused placed AA
-  if (focusedIndex !== null) {
-    const ch = getChain();
-    if (focusedIndex >= 0 && focusedIndex < ch.length) {
-      const entry = ch[focusedIndex];
-      if (e.code === 'ArrowLeft') {
-        e.preventDefault();
-        entry.group.rotation.y += ROTATE_STEP;
-      } else if (e.code === 'ArrowRight') {
-        e.preventDefault();
-        entry.group.rotation.y -= ROTATE_STEP;
-      } else if (e.code === 'ArrowUp') {
-        e.preventDefault();
-        entry.group.rotation.x += ROTATE_STEP;
-      } else if (e.code === 'ArrowDown') {
-        e.preventDefault();
-        entry.group.rotation.x -= ROTATE_STEP;
-      }
+  if (focusedEntry !== null) {
+    const entry = focusedEntry;
+    if (e.code === 'ArrowLeft') {
+      e.preventDefault();
+      recordRotation(entry, 'y', ROTATE_STEP);
+    } else if (e.code === 'ArrowRight') {
+      e.preventDefault();
+      recordRotation(entry, 'y', -ROTATE_STEP);
+    } else if (e.code === 'ArrowUp') {
+      e.preventDefault();
+      recordRotation(entry, 'x', ROTATE_STEP);
+    } else if (e.code === 'ArrowDown') {
+      e.preventDefault();
+      recordRotation(entry, 'x', -ROTATE_STEP);
+    }
+    if (e.code.startsWith('Arrow')) {
+      GameEvents.emit('structureUpdated', { refKey: entry.refKey });
+      // Turning a flat residue changes its phi/psi against its neighbours
+      if (!entry.backbone) emitDihedrals();
     }
   }
 
   // Backspace / X → delete focused AA
-  if (focusedIndex !== null && (e.code === 'Backspace' || e.code === 'KeyX')) {
+  if (focusedEntry !== null && (e.code === 'Backspace' || e.code === 'KeyX')) {
     e.preventDefault();
-    const removed = removeAminoAcid(focusedIndex);
-    if (removed) {
-      focusedIndex = null;
-      GameEvents.emit('focusEntry', { index: null });
-      GameEvents.emit('chainChanged', {
-        sequence: getSequence(),
-        length: getChainLength(),
-      });
-    }
+    deleteFocused();
     return;
   }
 
-  // Ctrl+Z / Cmd+Z / Delete → undo (remove last)
-  if ((e.ctrlKey && e.code === 'KeyZ') || (e.metaKey && e.code === 'KeyZ') || e.code === 'Delete') {
+  // Ctrl+Shift+Z / Cmd+Shift+Z / Ctrl+Y → redo; Ctrl+Z / Cmd+Z / Delete → undo
+  const mod = e.ctrlKey || e.metaKey;
+  if ((mod && e.shiftKey && e.code === 'KeyZ') || (e.ctrlKey && e.code === 'KeyY')) {
     e.preventDefault();
-    const removed = removeLastAminoAcid();
-    if (removed) {
-      focusedIndex = null;
-      GameEvents.emit('chainChanged', {
-        sequence: getSequence(),
-        length: getChainLength(),
-      });
-    }
+    GameEvents.emit('redo');
+    return;
+  }
+  if ((mod && e.code === 'KeyZ') || e.code === 'Delete') {
+    e.preventDefault();
+    GameEvents.emit('undo');
+    return;
   }
 
-  // Escape → deselect / unfocus
+  // Escape → leave the measure tool / deselect / unfocus
   if (e.code === 'Escape') {
-    if (focusedIndex !== null) {
-      focusedIndex = null;
+    if (isMeasuring()) {
+      setMeasureMode('off');
+    } else if (focusedEntry !== null) {
+      focusedEntry = null;
       GameEvents.emit('focusEntry', { index: null });
     } else {
       selectedAA = null;
@@ -379,17 +551,35 @@ function onKeyDown(e) {
 
   // R → cycle rotamer on focused or last placed structure
   if (e.code === 'KeyR') {
-    const ch = getChain();
-    const targetIdx = focusedIndex !== null ? focusedIndex : ch.length - 1;
-    if (targetIdx >= 0 && targetIdx < ch.length) {
-      const entry = ch[targetIdx];
-      const count = getRotamerCount(entry.letter);
-      if (count > 0) {
-        const idx = cycleRotamer(entry.letter);
-        setRotamer(entry.letter, idx, entry.refKey);
-      }
-    }
+    cycleRotamerOf(focusedEntry || getLastPlaced());
+  }
+
+  // H → show / hide hydrogens
+  if (e.code === 'KeyH') {
+    GameEvents.emit('toggleHydrogens');
+  }
+}
+
+// --- Report the placed AA under the pointer when it changes: the one
+// owning the atom under it (folded residues have left their cells),
+// else the one on the hovered cell ---
+function updateHoveredEntry(cell, pick) {
+  const chain = getChain();
+  let entry = pick ? chain.find(e => e.refKey === pick.refKey) : null;
+  if (!entry && cell) {
+    const idx = getEntryAt(cell.col, cell.row);
+    entry = idx === null ? null : chain[idx];
   }
+  const refKey = entry ? entry.refKey : null;
+  if (refKey === hoveredRefKey) return;
+  hoveredRefKey = refKey;
+  GameEvents.emit('hoverEntry', { refKey });
+}
+
+// --- Desktop: tooltip for the atom under the pointer ---
+function updateHoveredAtom(pick) {
+  if (pick) showAtomTooltip(pick);
+  else hideAtomTooltip();
 }
 
 // --- Per-frame hover update ---
@@ -403,8 +593,11 @@ export function updateInput() {
   }
 
   updateHover();
+  const pick = pointerOnCanvas && !isDragging && !paletteDrag ? pickAtom(pointerRay(), true) : null;
+  if (!isMobile) updateHoveredAtom(pick);
   const cell = getHoveredCell();
-  const active = paletteDrag || isDragging || selectedAA;
+  const active = paletteDrag || isDragging || (selectedAA && !isMeasuring());
+  updateHoveredEntry(cell, pick);
 
   if (!cell || !active) {
     if (isMobile) hideHighlight();
@@ -415,9 +608,12 @@ export function updateInput() {
     const originCol = gridDrag ? gridDrag.originCol : touchState.originCol;
     const originRow = gridDrag ? gridDrag.originRow : touchState.originRow;
     const sameCell = cell.col === originCol && cell.row === originRow;
-    setHighlightValid(sameCell || !isOccupied(cell.col, cell.row));
+    const entry = getChain()[gridDrag ? gridDrag.chainIndex : touchState.chainIndex];
+    setHighlightValid(sameCell ||
+      (!isOccupied(cell.col, cell.row) && !isBlocked(entry.letter, cell.col, cell.row, entry)));
   } else {
-    setHighlightValid(!isOccupied(cell.col, cell.row));
+    const letter = paletteDrag || selectedAA;
+    setHighlightValid(!isOccupied(cell.col, cell.row) && !isBlocked(letter, cell.col, cell.row));
   }
 }
 
@@ -0,0 +1,265 @@
+// ============================================================
+// interactions.js — Non-covalent interactions between placed residues
+// Salt bridges, hydrogen bonds and aromatic ring stacking, found on
+// world-space atom positions and drawn as dashed lines with labels.
+// Recomputed on demand (chain edits, settled rotamers), not per frame.
+// ============================================================
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { scene, SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE, BB_ATOMS } from './structures.js';
+import { getChain, getEntryAtomsWorld } from './chain.js';
+import { GameEvents } from './ui.js';
+import { chargeAt } from './protonation.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+const bbLen = BB_ATOMS.length;
+
+// A group counts as charged while it is mostly ionized at the current pH
+const CHARGED_MIN = 0.5;
+
+// --- Cutoffs (Å, degrees) ---
+const SALT_BRIDGE_MAX = 4.0;     // N…O between oppositely charged groups (Barlow & Thornton)
+const HBOND_MAX = 3.5;           // donor…acceptor heavy atoms
+const HBOND_MIN_ANGLE = 90;      // at donor and acceptor, from their bonded heavy atom
+const STACK_MAX = 5.5;           // ring centroid distance, parallel stacking
+const T_STACK_MAX = 6.0;         // ring centroid distance, edge-to-face
+const PARALLEL_MAX_ANGLE = 30;   // ring normals (parallel)
+const T_SHAPED_MIN_ANGLE = 60;   // ring normals (edge-to-face)
+
+// Residues whose CA atoms are further apart than two long sidechains
+// plus the largest cutoff cannot interact
+const PAIR_REACH = 22 * WORLD_PER_ANG;
+const CA = 1;
+
+// --- Sidechain donors / acceptors by residue (backbone N and O added below) ---
+const SC_DONORS = {
+  R: ['NE', 'NH1', 'NH2'], K: ['NZ'], N: ['ND2'], Q: ['NE2'], H: ['ND1', 'NE2'],
+  S: ['OG'], T: ['OG1'], Y: ['OH'], W: ['NE1'],
+};
+const SC_ACCEPTORS = {
+  D: ['OD1', 'OD2'], E: ['OE1', 'OE2'], N: ['OD1'], Q: ['OE1'], H: ['ND1', 'NE2'],
+  S: ['OG'], T: ['OG1'], Y: ['OH'],
+};
+
+// --- Aromatic rings (atom names) ---
+const RINGS = {
+  F: [['CG', 'CD1', 'CD2', 'CE1', 'CE2', 'CZ']],
+  Y: [['CG', 'CD1', 'CD2', 'CE1', 'CE2', 'CZ']],
+  W: [['CD2', 'CE2', 'CE3', 'CZ2', 'CZ3', 'CH2'], ['CG', 'CD1', 'NE1', 'CE2', 'CD2']],
+  H: [['CG', 'ND1', 'CD2', 'CE1', 'NE2']],
+};
+
+const COLORS = { saltBridge: 0xff55aa, hBond: 0x44ddff, stacking: 0xffaa33 };
+const NAMES = { saltBridge: 'salt bridge', hBond: 'H-bond' };
+
+// --- State ---
+const group = new THREE.Group();
+scene.add(group);
+let interactions = [];   // { kind, a, b, from, to, distance, name?, donor? }
+
+export function getInteractions() {
+  return interactions;
+}
+
+// ============================================================
+// Per-residue view: world atoms by name plus derived groups
+// ============================================================
+function residueView(entry) {
+  const atoms = getEntryAtomsWorld(entry).map(a => new THREE.Vector3(a.x, a.y, a.z));
+  const names = FULL[entry.letter].atoms.map(a => a.name);
+  const index = name => names.indexOf(name);
+
+  // Heavy-atom neighbours from the template bonds
+  const neighbours = atoms.map(() => []);
+  for (const [i, j] of FULL[entry.letter].bonds) {
+    neighbours[i].push(j);
+    neighbours[j].push(i);
+  }
+  const present = i => i >= 0 && !(names[i] === 'OXT' && entry.next);
+
+  const donors = [...(SC_DONORS[entry.letter] || []).map(index)];
+  if (entry.letter !== 'P') donors.push(index('N'));
+  const acceptors = [...(SC_ACCEPTORS[entry.letter] || []).map(index), index('O'), index('OXT')];
+
+  // Charged group: N/O atoms of the sidechain around FULL's chargeAtom
+  let charged = null;
+  const struct = FULL[entry.letter];
+  if (struct.charge !== 0 && struct.chargeAtom >= 0 &&
+      Math.abs(chargeAt(entry.letter)) >= CHARGED_MIN) {
+    const center = struct.atoms[struct.chargeAtom];
+    const members = [];
+    struct.atoms.forEach((a, i) => {
+      if (i < bbLen || (a.el !== 'N' && a.el !== 'O')) return;
+      const d = Math.hypot(a.x - center.x, a.y - center.y, (a.z || 0) - (center.z || 0));
+      if (d <= 2.5 * ANG_SCALE) members.push(i);
+    });
+    charged = { sign: Math.sign(struct.charge), center: struct.chargeAtom, members };
+  }
+
+  const rings = (RINGS[entry.letter] || []).map(ring => {
+    const pts = ring.map(name => atoms[index(name)]);
+    const centroid = pts.reduce((s, p) => s.add(p), new THREE.Vector3()).divideScalar(pts.length);
+    const k = Math.floor(pts.length / 3);
+    const normal = new THREE.Vector3().subVectors(pts[0], centroid)
+      .cross(new THREE.Vector3().subVectors(pts[k], centroid)).normalize();
+    return { centroid, normal };
+  });
+
+  return {
+    entry, atoms, neighbours, charged, rings,
+    donors: donors.filter(present),
+    acceptors: acceptors.filter(present),
+  };
+}
+
+// Angle X–Y…Z (degrees) for every heavy neighbour X of Y; the smallest counts
+function minAngle(view, idx, target) {
+  let min = 180;
+  for (const n of view.neighbours[idx]) {
+    const u = new THREE.Vector3().subVectors(view.atoms[n], view.atoms[idx]);
+    const v = new THREE.Vector3().subVectors(target, view.atoms[idx]);
+    min = Math.min(min, THREE.MathUtils.radToDeg(u.angleTo(v)));
+  }
+  return min;
+}
+
+// Backbone N–H…O=C needs at least i → i+3 (3₁₀ helix) along the chain
+function tooCloseInChain(a, b) {
+  for (const dir of ['next', 'prev']) {
+    let e = a.entry;
+    for (let steps = 0; e && steps < 3; steps++, e = e[dir]) {
+      if (e === b.entry) return true;
+    }
+  }
+  return false;
+}
+
+// ============================================================
+// Analysis
+// ============================================================
+function findSaltBridge(a, b) {
+  if (!a.charged || !b.charged || a.charged.sign === b.charged.sign) return null;
+  let best = Infinity;
+  for (const i of a.charged.members) {
+    for (const j of b.charged.members) {
+      best = Math.min(best, a.atoms[i].distanceTo(b.atoms[j]));
+    }
+  }
+  if (best / WORLD_PER_ANG > SALT_BRIDGE_MAX) return null;
+  return {
+    kind: 'saltBridge',
+    from: a.atoms[a.charged.center], to: b.atoms[b.charged.center],
+    distance: best / WORLD_PER_ANG,
+  };
+}
+
+function findHBonds(donor, acceptor, skipSidechains) {
+  const found = [];
+  for (const d of donor.donors) {
+    for (const k of acceptor.acceptors) {
+      const bothBackbone = d < bbLen && k < bbLen;
+      const bothSidechain = d >= bbLen && k >= bbLen;
+      if (bothSidechain && skipSidechains) continue;
+      if (bothBackbone && tooCloseInChain(donor, acceptor)) continue;
+      const dist = donor.atoms[d].distanceTo(acceptor.atoms[k]) / WORLD_PER_ANG;
+      if (dist > HBOND_MAX) continue;
+      if (minAngle(donor, d, acceptor.atoms[k]) < HBOND_MIN_ANGLE) continue;
+      if (minAngle(acceptor, k, donor.atoms[d]) < HBOND_MIN_ANGLE) continue;
+      found.push({
+        kind: 'hBond', from: donor.atoms[d], to: acceptor.atoms[k], distance: dist,
+        donor: d < bbLen ? donor.entry.refKey : null,
+      });
+    }
+  }
+  return found;
+}
+
+function findStacking(a, b) {
+  let best = null;
+  for (const ra of a.rings) {
+    for (const rb of b.rings) {
+      const dist = ra.centroid.distanceTo(rb.centroid) / WORLD_PER_ANG;
+      let angle = THREE.MathUtils.radToDeg(ra.normal.angleTo(rb.normal));
+      if (angle > 90) angle = 180 - angle;
+      let name = null;
+      if (angle <= PARALLEL_MAX_ANGLE && dist <= STACK_MAX) name = '\u03C0-stack';
+      else if (angle >= T_SHAPED_MIN_ANGLE && dist <= T_STACK_MAX) name = 'T-stack';
+      if (name && (!best || dist < best.distance)) {
+        best = { kind: 'stacking', from: ra.centroid, to: rb.centroid, distance: dist, name };
+      }
+    }
+  }
+  return best;
+}
+
+export function analyzeInteractions() {
+  const views = getChain().map(residueView);
+  const found = [];
+  for (let i = 0; i < views.length; i++) {
+    for (let j = i + 1; j < views.length; j++) {
+      const a = views[i], b = views[j];
+      if (a.atoms[CA].distanceTo(b.atoms[CA]) > PAIR_REACH) continue;
+      const salt = findSaltBridge(a, b);
+      if (salt) found.push({ ...salt, a: a.entry, b: b.entry });
+      // Sidechain H-bonds inside a salt bridge are part of it
+      for (const hb of [...findHBonds(a, b, !!salt), ...findHBonds(b, a, !!salt)]) {
+        found.push({ ...hb, a: a.entry, b: b.entry });
+      }
+      const stack = findStacking(a, b);
+      if (stack) found.push({ ...stack, a: a.entry, b: b.entry });
+    }
+  }
+
+  // A backbone N–H has one hydrogen: keep only its closest acceptor
+  const bestByDonor = new Map();
+  for (const it of found) {
+    if (!it.donor) continue;
+    const best = bestByDonor.get(it.donor);
+    if (!best || it.distance < best.distance) bestByDonor.set(it.donor, it);
+  }
+  return found.filter(it => !it.donor || bestByDonor.get(it.donor) === it);
+}
+
+// ============================================================
+// Drawing
+// ============================================================
+function clearDrawing() {
+  for (const obj of [...group.children]) {
+    group.remove(obj);   // fires 'removed' so CSS2D labels leave the DOM
+    obj.geometry?.dispose();
+    obj.material?.dispose();
+  }
+}
+
+function drawInteraction(it) {
+  const geo = new THREE.BufferGeometry().setFromPoints([it.from, it.to]);
+  const mat = new THREE.LineDashedMaterial({
+    color: COLORS[it.kind], dashSize: 0.18, gapSize: 0.12, transparent: true, opacity: 0.9,
+  });
+  const line = new THREE.Line(geo, mat);
+  line.computeLineDistances();
+  group.add(line);
+
+  const div = document.createElement('div');
+  div.className = 'interaction-label interaction-' + it.kind;
+  div.textContent = `${it.name || NAMES[it.kind]} ${it.distance.toFixed(1)} \u00C5`;
+  const label = new CSS2DObject(div);
+  label.position.addVectors(it.from, it.to).multiplyScalar(0.5);
+  group.add(label);
+}
+
+// Recompute and redraw everything
+export function updateInteractions() {
+  clearDrawing();
+  interactions = analyzeInteractions();
+  for (const it of interactions) drawInteraction(it);
+
+  const count = kind => interactions.filter(it => it.kind === kind).length;
+  GameEvents.emit('interactionsChanged', {
+    saltBridges: count('saltBridge'),
+    hBonds: count('hBond'),
+    stacking: count('stacking'),
+  });
+}
@@ -0,0 +1,209 @@
+// ============================================================
+// measurements.js — Distance, angle and dihedral measurements
+// Picked atoms are kept as (residue, atom index), so a measurement
+// follows rotamer changes, moves and dynamics; it is dropped when
+// one of its residues is removed. Drawn as dashed lines through the
+// picked atoms with a label, refreshed every frame.
+// ============================================================
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { MEASURE_MODES, BIOME_BY_LETTER } from './constants.js';
+import { scene, SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { getChain, atomWorld } from './chain.js';
+import { dihedral } from './backbone.js';
+import { GameEvents } from './ui.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+const DEG = Math.PI / 180;
+
+const LINE_COLOR = 0xffe066;
+const MARKER_RADIUS = 0.12;   // world units, around atoms picked toward the next measurement
+
+const lineMaterial = new THREE.LineDashedMaterial({
+  color: LINE_COLOR, dashSize: 0.12, gapSize: 0.08, depthTest: false, transparent: true,
+});
+const markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+const markerMaterial = new THREE.MeshBasicMaterial({
+  color: LINE_COLOR, transparent: true, opacity: 0.5, depthTest: false,
+});
+
+// --- State ---
+const group = new THREE.Group();
+scene.add(group);
+let mode = 'off';
+let pending = [];        // { entry, atom, marker } picked toward the next measurement
+let measurements = [];   // { id, kind, atoms: [{ entry, atom }], value, line, label }
+let nextId = 1;
+
+export function getMeasureMode() {
+  return mode;
+}
+
+export function setMeasureMode(value) {
+  if (mode === value || !MEASURE_MODES.some(m => m.id === value)) return;
+  mode = value;
+  clearPending();
+  emitChange();
+}
+
+export function isMeasuring() {
+  return mode !== 'off';
+}
+
+export function getMeasurements() {
+  return measurements;
+}
+
+// Residues removed (or an OXT gone behind a new peptide bond): drop
+// whatever measured them
+GameEvents.on('chainChanged', () => {
+  const chain = new Set(getChain());
+  const present = p => chain.has(p.entry) && !(p.entry.next && atomName(p) === 'OXT');
+  const kept = measurements.filter(m => m.atoms.every(present));
+  if (kept.length === measurements.length && pending.every(present)) return;
+  for (const m of measurements) if (!kept.includes(m)) removeDrawing(m);
+  measurements = kept;
+  clearPending();
+  emitChange();
+});
+
+function emitChange() {
+  GameEvents.emit('measurementsChanged', {
+    mode,
+    picked: pending.length,
+    needed: atomsNeeded(),
+    measurements: measurements.map(m => ({ id: m.id, kind: m.kind, text: valueText(m) })),
+  });
+}
+
+function atomsNeeded() {
+  return MEASURE_MODES.find(m => m.id === mode).atoms || 0;
+}
+
+// ============================================================
+// Values: Å for distances, degrees for angles and dihedrals
+// ============================================================
+function atomName(p) {
+  return FULL[p.entry.letter].atoms[p.atom].name;
+}
+
+function measure(kind, points) {
+  const [a, b, c, d] = points;
+  switch (kind) {
+    case 'distance':
+      return a.distanceTo(b) / WORLD_PER_ANG;
+    case 'angle':
+      return new THREE.Vector3().subVectors(a, b).angleTo(new THREE.Vector3().subVectors(c, b)) / DEG;
+    case 'dihedral':
+      return dihedral(a, b, c, d);
+  }
+}
+
+function valueText(m) {
+  return m.kind === 'distance' ? `${m.value.toFixed(2)} \u00C5` : `${m.value.toFixed(1)}\u00B0`;
+}
+
+// e.g. "Leu3:CA" (residue numbers follow the current chain order)
+function atomLabel(p) {
+  return `${BIOME_BY_LETTER[p.entry.letter].code3}${getChain().indexOf(p.entry) + 1}:${atomName(p)}`;
+}
+
+// ============================================================
+// Picking
+// ============================================================
+
+// Add an atom toward the next measurement; the last pick completes it
+export function addMeasureAtom(refKey, atom) {
+  const entry = getChain().find(e => e.refKey === refKey);
+  if (mode === 'off' || !entry) return;
+  if (pending.some(p => p.entry === entry && p.atom === atom)) return;
+
+  const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+  marker.renderOrder = 2;
+  marker.position.copy(atomWorld(entry, atom));
+  group.add(marker);
+  pending.push({ entry, atom, marker });
+
+  if (pending.length === atomsNeeded()) {
+    const m = { id: nextId++, kind: mode, atoms: pending.map(({ entry, atom }) => ({ entry, atom })) };
+    clearPending();
+    drawMeasurement(m);
+    measurements.push(m);
+  }
+  emitChange();
+}
+
+function clearPending() {
+  for (const p of pending) group.remove(p.marker);
+  pending = [];
+}
+
+// ============================================================
+// Drawing
+// ============================================================
+function drawMeasurement(m) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * m.atoms.length), 3));
+  m.line = new THREE.Line(geo, lineMaterial);
+  m.line.renderOrder = 2;   // over the atoms it joins
+  group.add(m.line);
+
+  const div = document.createElement('div');
+  div.className = 'measure-label';
+  m.label = new CSS2DObject(div);
+  group.add(m.label);
+  placeMeasurement(m);
+}
+
+function removeDrawing(m) {
+  group.remove(m.line);
+  group.remove(m.label);   // fires 'removed' so the label leaves the DOM
+  m.line.geometry.dispose();
+}
+
+// Follow the atoms; the label sits mid-distance, on the angle's vertex
+// or mid-way along a dihedral's central bond
+function placeMeasurement(m) {
+  const points = m.atoms.map(p => atomWorld(p.entry, p.atom));
+  const position = m.line.geometry.attributes.position;
+  points.forEach((p, i) => position.setXYZ(i, p.x, p.y, p.z));
+  position.needsUpdate = true;
+  m.line.computeLineDistances();
+  m.line.geometry.computeBoundingSphere();
+
+  m.value = measure(m.kind, points);
+  const [a, b, c] = points;
+  if (m.kind === 'distance') m.label.position.addVectors(a, b).multiplyScalar(0.5);
+  else if (m.kind === 'angle') m.label.position.copy(b);
+  else m.label.position.addVectors(b, c).multiplyScalar(0.5);
+  const text = valueText(m);
+  if (m.label.element.textContent !== text) m.label.element.textContent = text;
+}
+
+// ============================================================
+// Public: clear, export (CSV) and per-frame update
+// ============================================================
+export function clearMeasurements() {
+  if (measurements.length === 0 && pending.length === 0) return;
+  for (const m of measurements) removeDrawing(m);
+  measurements = [];
+  clearPending();
+  emitChange();
+}
+
+export function measurementsCSV() {
+  const rows = measurements.map(m => [
+    m.kind,
+    m.atoms.map(atomLabel).join(' '),
+    m.kind === 'distance' ? m.value.toFixed(3) : m.value.toFixed(2),
+    m.kind === 'distance' ? 'angstrom' : 'degrees',
+  ].join(','));
+  return ['type,atoms,value,unit', ...rows].join('\n') + '\n';
+}
+
+export function updateMeasurements3D() {
+  for (const p of pending) p.marker.position.copy(atomWorld(p.entry, p.atom));
+  for (const m of measurements) placeMeasurement(m);
+}
@@ -0,0 +1,107 @@
+// ============================================================
+// minimize.js — Energy minimization ("relax") of the placed peptide
+// Runs FIRE on the force field in forcefield.js and writes the
+// relaxed atoms back into each residue.
+// ============================================================
+
+import { getChain } from './chain.js';
+import { buildSystem, buildPairs, evaluate, chainCoordinates, applyCoordinates } from './forcefield.js';
+
+// --- FIRE (Bitzek et al. 2006); time in arbitrary units, unit masses ---
+const FIRE = {
+  dt: 0.01, dtMax: 0.05, nMin: 5, fInc: 1.1, fDec: 0.5, alpha: 0.1, fAlpha: 0.99,
+};
+const MAX_STEP = 0.1;          // Å per atom per step
+const MAX_STEPS = 1000;
+const FORCE_TOLERANCE = 0.5;   // kcal/mol/Å, largest atomic force
+
+// ============================================================
+// FIRE minimization; absent atoms (OXT of a linked residue) stay put
+// ============================================================
+function relax(system, pairs, x) {
+  const n = system.atoms.length;
+  const grad = new Float64Array(3 * n);
+  const v = new Float64Array(3 * n);
+  const movable = system.atoms.map(a => a.present);
+  let { dt, alpha } = FIRE;
+  let positive = 0;
+  let steps = 0;
+  let converged = false;
+
+  for (; steps < MAX_STEPS; steps++) {
+    evaluate(system, pairs, x, grad);
+    let maxForce = 0;
+    for (let a = 0; a < n; a++) {
+      if (!movable[a]) { grad[3 * a] = grad[3 * a + 1] = grad[3 * a + 2] = 0; continue; }
+      maxForce = Math.max(maxForce, Math.hypot(grad[3 * a], grad[3 * a + 1], grad[3 * a + 2]));
+    }
+    if (maxForce < FORCE_TOLERANCE) {
+      converged = true;
+      break;
+    }
+
+    // Power P = F·v decides whether to keep going downhill
+    let power = 0, vNorm = 0, fNorm = 0;
+    for (let c = 0; c < 3 * n; c++) {
+      power -= grad[c] * v[c];
+      vNorm += v[c] * v[c];
+      fNorm += grad[c] * grad[c];
+    }
+    if (power > 0) {
+      const mix = alpha * Math.sqrt(vNorm / fNorm);
+      for (let c = 0; c < 3 * n; c++) v[c] = (1 - alpha) * v[c] - mix * grad[c];
+      if (++positive > FIRE.nMin) {
+        dt = Math.min(dt * FIRE.fInc, FIRE.dtMax);
+        alpha *= FIRE.fAlpha;
+      }
+    } else {
+      v.fill(0);
+      dt *= FIRE.fDec;
+      alpha = FIRE.alpha;
+      positive = 0;
+    }
+
+    // Semi-implicit Euler step, capped per atom
+    for (let a = 0; a < n; a++) {
+      let sq = 0;
+      for (let c = 0; c < 3; c++) {
+        v[3 * a + c] -= grad[3 * a + c] * dt;
+        sq += (v[3 * a + c] * dt) ** 2;
+      }
+      const cap = Math.min(1, MAX_STEP / (Math.sqrt(sq) || 1));
+      for (let c = 0; c < 3; c++) x[3 * a + c] += v[3 * a + c] * dt * cap;
+    }
+  }
+  return { steps, converged };
+}
+
+// ============================================================
+// Public
+// ============================================================
+
+// Energy terms of the current structure (kcal/mol), or null when empty
+export function chainEnergy() {
+  const chain = getChain();
+  if (chain.length === 0) return null;
+  const system = buildSystem(chain);
+  const x = chainCoordinates(chain);
+  return evaluate(system, buildPairs(system, x), x, null);
+}
+
+// Relax the whole chain and write the new atoms back into each
+// residue. Returns { before, after, steps, converged } (energies as
+// from chainEnergy), or null when there is nothing to relax. after is
+// measured afresh on the written-back structure (new pair list), so it
+// is what the next Relax starts from.
+export function minimizeChain() {
+  const chain = getChain();
+  if (chain.length === 0) return null;
+  const system = buildSystem(chain);
+  const x = chainCoordinates(chain);
+  const pairs = buildPairs(system, x);
+
+  const before = evaluate(system, pairs, x, null);
+  const { steps, converged } = relax(system, pairs, x);
+  applyCoordinates(chain, x);
+  return { before, after: chainEnergy(), steps, converged };
+}
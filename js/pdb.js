@@ -0,0 +1,353 @@
+// ============================================================
+// pdb.js — PDB export / PDB + mmCIF import of peptides
+// Coordinates are converted between 3D world units and Angstroms
+// ============================================================
+
+import { AMINO_ACIDS } from './atomic_coords.js';
+import { FULL, ANG_SCALE, STRUCT_SCALE } from './structures.js';
+import { SCALE } from './renderer3d.js';
+import { getChain, getSegments, getEntryAtomsWorld, getPeptideBonds } from './chain.js';
+import { getDisulfides } from './disulfides.js';
+
+// World units per Angstrom (Å → game units → world units)
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+const STANDARD_RESIDUES = new Set(Object.values(AMINO_ACIDS).map(aa => aa.code3));
+
+// ============================================================
+// Fixed-column formatting helpers
+// ============================================================
+function padLeft(value, width) {
+  return String(value).padStart(width).slice(-width);
+}
+
+function fixed(value, width, digits) {
+  return padLeft(value.toFixed(digits), width);
+}
+
+// PDB atom names: 1-letter elements start in column 14, 4-char names in 13
+function formatAtomName(name, el) {
+  if (name.length >= 4 || el.length === 2) return name.padEnd(4).slice(0, 4);
+  return (' ' + name).padEnd(4);
+}
+
+function atomRecord(serial, atom) {
+  const record = STANDARD_RESIDUES.has(atom.resName) ? 'ATOM  ' : 'HETATM';
+  return record +
+    padLeft(serial, 5) + ' ' +
+    formatAtomName(atom.name, atom.el) + ' ' +
+    atom.resName + ' ' +
+    atom.chainId +
+    padLeft(atom.resSeq, 4) + '    ' +
+    fixed(atom.x, 8, 3) + fixed(atom.y, 8, 3) + fixed(atom.z, 8, 3) +
+    fixed(1, 6, 2) + fixed(0, 6, 2) +
+    ' '.repeat(10) + padLeft(atom.el, 2);
+}
+
+function seqresRecords(chainId, resNames) {
+  const lines = [];
+  for (let i = 0; i < resNames.length; i += 13) {
+    lines.push('SEQRES' + ' ' + padLeft(lines.length + 1, 3) + ' ' + chainId + ' ' +
+      padLeft(resNames.length, 4) + '  ' + resNames.slice(i, i + 13).join(' '));
+  }
+  return lines;
+}
+
+// SSBOND: residue pairs joined by a disulfide (same asymmetric unit)
+function ssbondRecord(n, a, b, length) {
+  return 'SSBOND' + ' ' + padLeft(n, 3) +
+    ' CYS ' + a.chainId + ' ' + padLeft(a.resSeq, 4) + ' ' +
+    '   CYS ' + b.chainId + ' ' + padLeft(b.resSeq, 4) + ' ' +
+    ' '.repeat(23) + '  1555' + ' ' + '  1555' + ' ' + fixed(length, 5, 2);
+}
+
+function conectRecords(serial, partners) {
+  const lines = [];
+  for (let i = 0; i < partners.length; i += 4) {
+    lines.push('CONECT' + padLeft(serial, 5) +
+      partners.slice(i, i + 4).map(p => padLeft(p, 5)).join(''));
+  }
+  return lines;
+}
+
+// ============================================================
+// Export the current chain as PDB text
+// One model; each connected segment is its own chain (A, B, ...)
+// with residues numbered from 1, N- to C-terminus
+// ============================================================
+const CHAIN_IDS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+export function exportPDB() {
+  const segments = getSegments();
+  const lines = ['REMARK   1 GENERATED BY PEPTIDELAB'];
+
+  segments.forEach((seg, s) => {
+    lines.push(...seqresRecords(CHAIN_IDS[s % CHAIN_IDS.length], seg.map(e => AMINO_ACIDS[e.letter].code3)));
+  });
+
+  // Chain ID and residue number of every entry
+  const resIds = new Map();
+  segments.forEach((seg, s) => {
+    seg.forEach((entry, i) => resIds.set(entry, { chainId: CHAIN_IDS[s % CHAIN_IDS.length], resSeq: i + 1 }));
+  });
+  const disulfides = getDisulfides();
+  disulfides.forEach((ss, i) => {
+    lines.push(ssbondRecord(i + 1, resIds.get(ss.a), resIds.get(ss.b), ss.length));
+  });
+
+  // serials.get(entry)[atomIdx] → PDB serial number (absent if omitted)
+  const serials = new Map();
+  let serial = 1;
+
+  segments.forEach((seg, s) => {
+    const chainId = CHAIN_IDS[s % CHAIN_IDS.length];
+    seg.forEach((entry, i) => {
+      const resName = AMINO_ACIDS[entry.letter].code3;
+      const resSerials = [];
+      getEntryAtomsWorld(entry).forEach((a, ai) => {
+        // OXT only at the C-terminus; internal carboxyls are peptide bonds
+        if (a.name === 'OXT' && entry.next) return;
+        resSerials[ai] = serial;
+        lines.push(atomRecord(serial, {
+          name: a.name, el: a.el, resName, chainId, resSeq: i + 1,
+          x: a.x / WORLD_PER_ANG, y: a.y / WORLD_PER_ANG, z: a.z / WORLD_PER_ANG,
+        }));
+        serial++;
+      });
+      serials.set(entry, resSerials);
+    });
+
+    const last = seg.length - 1;
+    lines.push('TER   ' + padLeft(serial, 5) + '      ' +
+      AMINO_ACIDS[seg[last].letter].code3 + ' ' + chainId + padLeft(last + 1, 4));
+    serial++;
+  });
+
+  // Connectivity: intra-residue bonds from FULL plus peptide and S–S bonds
+  const partners = {};
+  const link = (a, b) => {
+    if (a == null || b == null) return;
+    (partners[a] ||= []).push(b);
+    (partners[b] ||= []).push(a);
+  };
+  const chain = getChain();
+  for (const entry of chain) {
+    const res = serials.get(entry);
+    for (const [a, b] of FULL[entry.letter].bonds) link(res[a], res[b]);
+  }
+  for (const pb of getPeptideBonds()) {
+    link(serials.get(chain[pb.c])[2], serials.get(chain[pb.n])[0]);
+  }
+  const sg = FULL.C.atoms.findIndex(a => a.name === 'SG');
+  for (const ss of disulfides) {
+    link(serials.get(ss.a)[sg], serials.get(ss.b)[sg]);
+  }
+  for (const s of Object.keys(partners).map(Number).sort((a, b) => a - b)) {
+    lines.push(...conectRecords(s, partners[s]));
+  }
+
+  lines.push('END');
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================
+// Import: parse ATOM/HETATM records from PDB or mmCIF text
+// Returns residues in file order (first model, first altLoc):
+// [{ resName, chainId, resSeq, iCode, hetero, atoms: { name → { el, x, y, z } } }]
+// ============================================================
+export function parseStructureText(text) {
+  const isCif = /^\s*data_/m.test(text) && text.includes('_atom_site.');
+  const records = isCif ? parseMmCifAtoms(text) : parsePdbAtoms(text);
+
+  const residues = [];
+  let current = null;
+  for (const r of records) {
+    if (r.altLoc && r.altLoc !== 'A' && r.altLoc !== '1') continue;
+    const key = `${r.chainId}|${r.resSeq}|${r.iCode}|${r.resName}`;
+    if (!current || current.key !== key) {
+      current = {
+        key, resName: r.resName, chainId: r.chainId, resSeq: r.resSeq,
+        iCode: r.iCode, hetero: r.hetero, atoms: {},
+      };
+      residues.push(current);
+    }
+    if (!current.atoms[r.name]) {
+      current.atoms[r.name] = { el: r.el, x: r.x, y: r.y, z: r.z };
+    }
+  }
+  return residues;
+}
+
+function parsePdbAtoms(text) {
+  const records = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('ENDMDL')) break;
+    const rec = line.slice(0, 6);
+    if (rec !== 'ATOM  ' && rec !== 'HETATM') continue;
+    const name = line.slice(12, 16).trim();
+    records.push({
+      hetero: rec === 'HETATM',
+      name,
+      altLoc: line[16]?.trim() || '',
+      resName: line.slice(17, 20).trim(),
+      chainId: line[21]?.trim() || '',
+      resSeq: parseInt(line.slice(22, 26), 10),
+      iCode: line[26]?.trim() || '',
+      x: parseFloat(line.slice(30, 38)),
+      y: parseFloat(line.slice(38, 46)),
+      z: parseFloat(line.slice(46, 54)),
+      el: line.slice(76, 78).trim() || name.replace(/[^A-Z]/gi, '')[0],
+    });
+  }
+  return records;
+}
+
+// Split an mmCIF data row into tokens, honouring quoted values
+function cifTokens(line) {
+  return (line.match(/'[^']*'|"[^"]*"|\S+/g) || [])
+    .map(t => (t[0] === "'" || t[0] === '"') ? t.slice(1, -1) : t);
+}
+
+function parseMmCifAtoms(text) {
+  const lines = text.split(/\r?\n/);
+  const records = [];
+
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].trim() !== 'loop_' || !lines[i + 1]?.trim().startsWith('_atom_site.')) { i++; continue; }
+
+    // Column header
+    const cols = [];
+    i++;
+    while (i < lines.length && lines[i].trim().startsWith('_atom_site.')) {
+      cols.push(lines[i].trim().slice('_atom_site.'.length));
+      i++;
+    }
+    const col = (...names) => {
+      for (const n of names) { const c = cols.indexOf(n); if (c >= 0) return c; }
+      return -1;
+    };
+    const cGroup = col('group_PDB');
+    const cEl = col('type_symbol');
+    const cName = col('auth_atom_id', 'label_atom_id');
+    const cAlt = col('label_alt_id');
+    const cRes = col('auth_comp_id', 'label_comp_id');
+    const cChain = col('auth_asym_id', 'label_asym_id');
+    const cSeq = col('auth_seq_id', 'label_seq_id');
+    const cIns = col('pdbx_PDB_ins_code');
+    const cX = col('Cartn_x'), cY = col('Cartn_y'), cZ = col('Cartn_z');
+    const cModel = col('pdbx_PDB_model_num');
+    const value = (row, c) => (c >= 0 && row[c] !== '?' && row[c] !== '.') ? row[c] : '';
+
+    // Rows (may wrap across lines)
+    let row = [];
+    let firstModel = null;
+    for (; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (line === '' || line === '#' || line === 'loop_' || line.startsWith('_') || line.startsWith('data_')) break;
+      row.push(...cifTokens(line));
+      if (row.length < cols.length) continue;
+
+      const model = value(row, cModel);
+      if (firstModel === null) firstModel = model;
+      if (model === firstModel) {
+        const name = value(row, cName);
+        records.push({
+          hetero: value(row, cGroup) === 'HETATM',
+          name,
+          altLoc: value(row, cAlt),
+          resName: value(row, cRes),
+          chainId: value(row, cChain),
+          resSeq: parseInt(value(row, cSeq), 10),
+          iCode: value(row, cIns),
+          x: parseFloat(row[cX]),
+          y: parseFloat(row[cY]),
+          z: parseFloat(row[cZ]),
+          el: value(row, cEl) || name[0],
+        });
+      }
+      row = [];
+    }
+    break;
+  }
+  return records;
+}
+
+// ============================================================
+// Import: map a parsed residue onto the FULL template
+// The file's N/CA/C frame is superposed onto the template's so the
+// backbone matches the builder and the sidechain keeps its real
+// conformation. Returns { letter, atoms, missing } or { error }.
+// ============================================================
+
+// Common force-field / protonation variants of the 20 residue names
+const RESIDUE_ALIASES = {
+  HID: 'HIS', HIE: 'HIS', HIP: 'HIS', HSD: 'HIS', HSE: 'HIS', HSP: 'HIS',
+  CYX: 'CYS', CYM: 'CYS', ASH: 'ASP', GLH: 'GLU', LYN: 'LYS',
+};
+
+const LETTER_BY_CODE3 = {};
+for (const [letter, aa] of Object.entries(AMINO_ACIDS)) LETTER_BY_CODE3[aa.code3] = letter;
+
+function basis(n, ca, c) {
+  const u = normalize(sub(c, ca));
+  const w0 = sub(n, ca);
+  const v = normalize(sub(w0, scale(u, dot(w0, u))));
+  return [u, v, cross(u, v)];
+}
+
+export function mapResidueToTemplate(residue) {
+  const code3 = RESIDUE_ALIASES[residue.resName] || residue.resName;
+  const letter = LETTER_BY_CODE3[code3];
+  if (!letter) return { error: 'not a standard amino acid' };
+
+  const fileN = residue.atoms.N, fileCA = residue.atoms.CA, fileC = residue.atoms.C;
+  if (!fileN || !fileCA || !fileC) return { error: 'missing backbone atoms' };
+
+  // File coordinates in game units (Å × ANG_SCALE)
+  const toGame = a => ({ x: a.x * ANG_SCALE, y: a.y * ANG_SCALE, z: a.z * ANG_SCALE });
+  const fN = toGame(fileN), fCA = toGame(fileCA), fC = toGame(fileC);
+
+  const template = FULL[letter].atoms;
+  const tN = template[0], tCA = template[1], tC = template[2];
+  const fileBasis = basis(fN, fCA, fC);
+  const tmplBasis = basis(tN, tCA, tC);
+
+  const missing = [];
+  const atoms = template.map(t => {
+    const src = residue.atoms[t.name];
+    if (!src) {
+      missing.push(t.name);
+      return { ...t };
+    }
+    const d = sub(toGame(src), fCA);
+    const k = fileBasis.map(axis => dot(d, axis));
+    return {
+      el: t.el, name: t.name,
+      x: tCA.x + tmplBasis[0].x * k[0] + tmplBasis[1].x * k[1] + tmplBasis[2].x * k[2],
+      y: tCA.y + tmplBasis[0].y * k[0] + tmplBasis[1].y * k[1] + tmplBasis[2].y * k[2],
+      z: tCA.z + tmplBasis[0].z * k[0] + tmplBasis[1].z * k[1] + tmplBasis[2].z * k[2],
+    };
+  });
+
+  // OXT is only present at the file's C-terminus; anything else is real
+  const missingHeavy = missing.filter(n => n !== 'OXT');
+  return { letter, atoms, missing: missingHeavy };
+}
+
+// Readable residue label for import reports, e.g. "ZN A101"
+export function residueLabel(residue) {
+  return `${residue.resName} ${residue.chainId}${residue.resSeq}${residue.iCode}`;
+}
+
+// --- Small vector helpers ---
+function sub(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }; }
+function scale(a, k) { return { x: a.x * k, y: a.y * k, z: a.z * k }; }
+function dot(a, b) { return a.x * b.x + a.y * b.y + a.z * b.z; }
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+function normalize(a) {
+  const len = Math.sqrt(dot(a, a)) || 1;
+  return scale(a, 1 / len);
+}
@@ -0,0 +1,199 @@
+// ============================================================
+// properties.js — Sequence-level physicochemical properties
+// (ExPASy ProtParam conventions). Peptides are given as segments:
+// arrays of one-letter codes, one per connected chain, each with
+// its own free N- and C-terminus.
+// ============================================================
+
+import { BIOME_BY_LETTER } from './constants.js';
+
+// --- Elemental composition of the free amino acids ---
+const FORMULA = {
+  A: { C: 3, H: 7, N: 1, O: 2 },          R: { C: 6, H: 14, N: 4, O: 2 },
+  N: { C: 4, H: 8, N: 2, O: 3 },          D: { C: 4, H: 7, N: 1, O: 4 },
+  C: { C: 3, H: 7, N: 1, O: 2, S: 1 },    E: { C: 5, H: 9, N: 1, O: 4 },
+  Q: { C: 5, H: 10, N: 2, O: 3 },         G: { C: 2, H: 5, N: 1, O: 2 },
+  H: { C: 6, H: 9, N: 3, O: 2 },          I: { C: 6, H: 13, N: 1, O: 2 },
+  L: { C: 6, H: 13, N: 1, O: 2 },         K: { C: 6, H: 14, N: 2, O: 2 },
+  M: { C: 5, H: 11, N: 1, O: 2, S: 1 },   F: { C: 9, H: 11, N: 1, O: 2 },
+  P: { C: 5, H: 9, N: 1, O: 2 },          S: { C: 3, H: 7, N: 1, O: 3 },
+  T: { C: 4, H: 9, N: 1, O: 3 },          W: { C: 11, H: 12, N: 2, O: 2 },
+  Y: { C: 9, H: 11, N: 1, O: 3 },         V: { C: 5, H: 11, N: 1, O: 2 },
+};
+
+const ELEMENTS = ['C', 'H', 'N', 'O', 'S'];
+const MONO_MASS = { C: 12.0, H: 1.0078250319, N: 14.0030740052, O: 15.9949146221, S: 31.97207069 };
+const AVERAGE_MASS = { C: 12.0107, H: 1.00794, N: 14.0067, O: 15.9994, S: 32.065 };
+
+// --- Ionizable groups (EMBOSS pKa set) ---
+export const PKA = {
+  nTerm: 8.6, cTerm: 3.6,
+  K: 10.8, R: 12.5, H: 6.5,
+  D: 3.9, E: 4.1, C: 8.5, Y: 10.1,
+};
+const POSITIVE = ['K', 'R', 'H'];
+const NEGATIVE = ['D', 'E', 'C', 'Y'];
+
+// --- Extinction coefficients at 280 nm (Pace et al. 1995), M⁻¹ cm⁻¹ ---
+const EXT_TRP = 5500;
+const EXT_TYR = 1490;
+const EXT_CYSTINE = 125;
+
+// --- Dipeptide instability weights (Guruprasad et al. 1990), DIWV[x][y] for x followed by y ---
+const DIWV = {
+  A: { A: 1.0, C: 44.94, E: 1.0, D: -7.49, G: 1.0, F: 1.0, I: 1.0, H: -7.49, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 20.26, S: 1.0, R: 1.0, T: 1.0, W: 1.0, V: 1.0, Y: 1.0 },
+  C: { A: 1.0, C: 1.0, E: 1.0, D: 20.26, G: 1.0, F: 1.0, I: 1.0, H: 33.60, K: 1.0, M: 33.60, L: 20.26, N: 1.0, Q: -6.54, P: 20.26, S: 1.0, R: 1.0, T: 33.60, W: 24.68, V: -6.54, Y: 1.0 },
+  E: { A: 1.0, C: 44.94, E: 33.60, D: 20.26, G: 1.0, F: 1.0, I: 20.26, H: -6.54, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 20.26, P: 20.26, S: 20.26, R: 1.0, T: 1.0, W: -14.03, V: 1.0, Y: 1.0 },
+  D: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: 1.0, F: -6.54, I: 1.0, H: 1.0, K: -7.49, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 1.0, S: 20.26, R: -6.54, T: -14.03, W: 1.0, V: 1.0, Y: 1.0 },
+  G: { A: -7.49, C: 1.0, E: -6.54, D: 1.0, G: 13.34, F: 1.0, I: -7.49, H: 1.0, K: -7.49, M: 1.0, L: 1.0, N: -7.49, Q: 1.0, P: 1.0, S: 1.0, R: 1.0, T: -7.49, W: 13.34, V: 1.0, Y: -7.49 },
+  F: { A: 1.0, C: 1.0, E: 1.0, D: 13.34, G: 1.0, F: 1.0, I: 1.0, H: 1.0, K: -14.03, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 20.26, S: 1.0, R: 1.0, T: 1.0, W: 1.0, V: 1.0, Y: 33.601 },
+  I: { A: 1.0, C: 1.0, E: 44.94, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 13.34, K: -7.49, M: 1.0, L: 20.26, N: 1.0, Q: 1.0, P: -1.88, S: 1.0, R: 1.0, T: 1.0, W: 1.0, V: -7.49, Y: 1.0 },
+  H: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: -9.37, F: -9.37, I: 44.94, H: 1.0, K: 24.68, M: 1.0, L: 1.0, N: 24.68, Q: 1.0, P: -1.88, S: 1.0, R: 1.0, T: -6.54, W: -1.88, V: 1.0, Y: 44.94 },
+  K: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: -7.49, F: 1.0, I: -7.49, H: 1.0, K: 1.0, M: 33.60, L: -7.49, N: 1.0, Q: 24.64, P: -6.54, S: 1.0, R: 33.60, T: 1.0, W: 1.0, V: -7.49, Y: 1.0 },
+  M: { A: 13.34, C: 1.0, E: 1.0, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 58.28, K: 1.0, M: -1.88, L: 1.0, N: 1.0, Q: -6.54, P: 44.94, S: 44.94, R: -6.54, T: -1.88, W: 1.0, V: 1.0, Y: 24.68 },
+  L: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 1.0, K: -7.49, M: 1.0, L: 1.0, N: 1.0, Q: 33.60, P: 20.26, S: 1.0, R: 20.26, T: 1.0, W: 24.68, V: 1.0, Y: 1.0 },
+  N: { A: 1.0, C: -1.88, E: 1.0, D: 1.0, G: -14.03, F: -14.03, I: 44.94, H: 1.0, K: 24.68, M: 1.0, L: 1.0, N: 1.0, Q: -6.54, P: -1.88, S: 1.0, R: 1.0, T: -7.49, W: -9.37, V: 1.0, Y: 1.0 },
+  Q: { A: 1.0, C: -6.54, E: 20.26, D: 20.26, G: 1.0, F: -6.54, I: 1.0, H: 1.0, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 20.26, P: 20.26, S: 44.94, R: 1.0, T: 1.0, W: 1.0, V: -6.54, Y: -6.54 },
+  P: { A: 20.26, C: -6.54, E: 18.38, D: -6.54, G: 1.0, F: 20.26, I: 1.0, H: 1.0, K: 1.0, M: -6.54, L: 1.0, N: 1.0, Q: 20.26, P: 20.26, S: 20.26, R: -6.54, T: 1.0, W: -1.88, V: 20.26, Y: 1.0 },
+  S: { A: 1.0, C: 33.60, E: 20.26, D: 1.0, G: 1.0, F: 1.0, I: 1.0, H: 1.0, K: 1.0, M: 1.0, L: 1.0, N: 1.0, Q: 20.26, P: 44.94, S: 20.26, R: 20.26, T: 1.0, W: 1.0, V: 1.0, Y: 1.0 },
+  R: { A: 1.0, C: 1.0, E: 1.0, D: 1.0, G: -7.49, F: 1.0, I: 1.0, H: 20.26, K: 1.0, M: 1.0, L: 1.0, N: 13.34, Q: 20.26, P: 20.26, S: 44.94, R: 58.28, T: 1.0, W: 58.28, V: 1.0, Y: -6.54 },
+  T: { A: 1.0, C: 1.0, E: 20.26, D: 1.0, G: -7.49, F: 13.34, I: 1.0, H: 1.0, K: 1.0, M: 1.0, L: 1.0, N: -14.03, Q: -6.54, P: 1.0, S: 1.0, R: 1.0, T: 1.0, W: -14.03, V: 1.0, Y: 1.0 },
+  W: { A: -14.03, C: 1.0, E: 1.0, D: 1.0, G: -9.37, F: 1.0, I: 1.0, H: 24.68, K: 1.0, M: 24.68, L: 13.34, N: 13.34, Q: 1.0, P: 1.0, S: 1.0, R: 1.0, T: -14.03, W: 1.0, V: -7.49, Y: 1.0 },
+  V: { A: 1.0, C: 1.0, E: 1.0, D: -14.03, G: -7.49, F: 1.0, I: 1.0, H: 1.0, K: -1.88, M: 1.0, L: 1.0, N: 1.0, Q: 1.0, P: 20.26, S: 1.0, R: 1.0, T: -7.49, W: 1.0, V: 1.0, Y: -6.54 },
+  Y: { A: 24.68, C: 1.0, E: -6.54, D: 24.68, G: -7.49, F: 1.0, I: 1.0, H: 13.34, K: 1.0, M: 44.94, L: 1.0, N: 1.0, Q: 1.0, P: 13.34, S: 1.0, R: -15.91, T: -7.49, W: -9.37, V: 1.0, Y: 13.34 },
+};
+
+function countLetters(segments) {
+  const counts = {};
+  for (const seg of segments) {
+    for (const letter of seg) counts[letter] = (counts[letter] || 0) + 1;
+  }
+  return counts;
+}
+
+const residueCount = segments => segments.reduce((n, seg) => n + seg.length, 0);
+
+// ============================================================
+// Composition and mass
+// ============================================================
+
+// Each peptide bond releases H2O; each disulfide releases H2
+export function peptideFormula(segments, disulfides = 0) {
+  const formula = { C: 0, H: 0, N: 0, O: 0, S: 0 };
+  for (const seg of segments) {
+    for (const letter of seg) {
+      for (const el of ELEMENTS) formula[el] += FORMULA[letter][el] || 0;
+    }
+    const peptideBonds = Math.max(seg.length - 1, 0);
+    formula.H -= 2 * peptideBonds;
+    formula.O -= peptideBonds;
+  }
+  formula.H -= 2 * disulfides;
+  return formula;
+}
+
+// Hill notation: C, H, then the rest alphabetically
+export function formulaText(formula) {
+  return ELEMENTS.filter(el => formula[el] > 0)
+    .map(el => el + (formula[el] > 1 ? formula[el] : ''))
+    .join('');
+}
+
+export function formulaMass(formula, monoisotopic = false) {
+  const table = monoisotopic ? MONO_MASS : AVERAGE_MASS;
+  return ELEMENTS.reduce((m, el) => m + formula[el] * table[el], 0);
+}
+
+// Average molecular weight of the built peptide(s)
+export function peptideMass(segments, disulfides = 0) {
+  return formulaMass(peptideFormula(segments, disulfides));
+}
+
+// ============================================================
+// Charge and isoelectric point (Henderson–Hasselbalch)
+// ============================================================
+
+// Positive fraction of a base / negative fraction of an acid at pH
+export function protonatedFraction(pKa, pH) {
+  return 1 / (1 + Math.pow(10, pH - pKa));
+}
+
+export function deprotonatedFraction(pKa, pH) {
+  return 1 / (1 + Math.pow(10, pKa - pH));
+}
+
+// Signed charge of one ionizable group ('nTerm', 'cTerm' or a residue
+// letter) at pH; 0 for residues without one
+export function groupCharge(group, pH) {
+  if (group === 'nTerm' || POSITIVE.includes(group)) return protonatedFraction(PKA[group], pH);
+  if (group === 'cTerm' || NEGATIVE.includes(group)) return -deprotonatedFraction(PKA[group], pH);
+  return 0;
+}
+
+// Cysteines in a disulfide have no free thiol to ionize
+export function netCharge(segments, pH, disulfides = 0) {
+  const counts = countLetters(segments);
+  const termini = segments.filter(seg => seg.length > 0).length;
+  let charge = termini * (protonatedFraction(PKA.nTerm, pH) - deprotonatedFraction(PKA.cTerm, pH));
+  for (const letter of POSITIVE) charge += (counts[letter] || 0) * protonatedFraction(PKA[letter], pH);
+  for (const letter of NEGATIVE) {
+    let n = counts[letter] || 0;
+    if (letter === 'C') n = Math.max(n - 2 * disulfides, 0);
+    charge -= n * deprotonatedFraction(PKA[letter], pH);
+  }
+  return charge;
+}
+
+// Net charge falls monotonically with pH: bisect for the zero crossing
+export function isoelectricPoint(segments, disulfides = 0) {
+  let lo = 0, hi = 14;
+  while (hi - lo > 0.001) {
+    const mid = (lo + hi) / 2;
+    if (netCharge(segments, mid, disulfides) > 0) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ============================================================
+// Sequence indices
+// ============================================================
+
+// Grand average of hydropathy (Kyte–Doolittle, from BIOMES)
+export function gravy(segments) {
+  const n = residueCount(segments);
+  if (n === 0) return 0;
+  let sum = 0;
+  for (const seg of segments) {
+    for (const letter of seg) sum += parseFloat(BIOME_BY_LETTER[letter].properties.hydropathy);
+  }
+  return sum / n;
+}
+
+// Molar extinction coefficient at 280 nm in water
+export function extinctionCoefficient(segments, cystines = 0) {
+  const counts = countLetters(segments);
+  return (counts.W || 0) * EXT_TRP + (counts.Y || 0) * EXT_TYR + cystines * EXT_CYSTINE;
+}
+
+// Relative volume of aliphatic sidechains (Ikai 1980)
+export function aliphaticIndex(segments) {
+  const n = residueCount(segments);
+  if (n === 0) return 0;
+  const counts = countLetters(segments);
+  const molePercent = letter => 100 * (counts[letter] || 0) / n;
+  return molePercent('A') + 2.9 * molePercent('V') + 3.9 * (molePercent('I') + molePercent('L'));
+}
+
+// Above 40 the peptide is predicted unstable in vitro
+export function instabilityIndex(segments) {
+  const n = residueCount(segments);
+  if (n === 0) return 0;
+  let sum = 0;
+  for (const seg of segments) {
+    for (let i = 0; i + 1 < seg.length; i++) sum += DIWV[seg[i]][seg[i + 1]];
+  }
+  return (10 / n) * sum;
+}
+
+export const INSTABILITY_THRESHOLD = 40;
@@ -0,0 +1,28 @@
+// ============================================================
+// protonation.js — Solution pH shared by the whole scene
+// Charge indicators, forcefields and salt bridges read each
+// group's protonation state from here (Henderson–Hasselbalch).
+// ============================================================
+
+import { PH_MIN, PH_MAX, DEFAULT_PH } from './constants.js';
+import { groupCharge } from './properties.js';
+import { GameEvents } from './ui.js';
+
+let pH = DEFAULT_PH;
+
+export function getPH() {
+  return pH;
+}
+
+export function setPH(value) {
+  if (!Number.isFinite(value)) return;
+  const next = Math.min(PH_MAX, Math.max(PH_MIN, value));
+  if (next === pH) return;
+  pH = next;
+  GameEvents.emit('phChanged', { pH });
+}
+
+// Signed charge of a group ('nTerm', 'cTerm' or a residue letter) at the current pH
+export function chargeAt(group) {
+  return groupCharge(group, pH);
+}
@@ -0,0 +1,91 @@
+// ============================================================
+// ramachandran.js — Ramachandran region maps (phi/psi, degrees)
+// Favoured and allowed regions for general residues, glycine and
+// proline, as polygons traced from the MolProbity contours
+// (Lovell et al. 2003). Everything outside "allowed" is disallowed.
+// ============================================================
+
+// Glycine has no sidechain, so its map is symmetric under
+// (phi, psi) → (-phi, -psi); only the phi < 0 half is listed
+function withMirror(polys) {
+  return [...polys, ...polys.map(poly => poly.map(([phi, psi]) => [-phi, -psi]))];
+}
+
+const GENERAL = {
+  favoured: [
+    // β-sheet / polyproline II (wraps through psi ±180)
+    [[-180, 180], [-45, 180], [-45, 125], [-60, 105], [-95, 100], [-130, 105], [-160, 95], [-180, 95]],
+    [[-180, -180], [-45, -180], [-60, -165], [-180, -165]],
+    // Right-handed α-helix
+    [[-110, -70], [-45, -70], [-35, -50], [-40, -20], [-60, -5], [-90, 5], [-115, -20]],
+    // Left-handed α-helix
+    [[45, 25], [70, 20], [80, 50], [60, 70], [45, 55]],
+  ],
+  allowed: [
+    [[-180, 180], [-25, 180], [-30, 120], [-50, 60], [-60, 40], [-100, 40], [-140, 50], [-180, 50]],
+    [[-180, -180], [-30, -180], [-45, -150], [-180, -150]],
+    [[-180, -80], [-30, -80], [-15, -40], [-20, 0], [-45, 40], [-100, 40], [-140, 20], [-180, 20]],
+    [[40, 0], [90, 0], [100, 40], [75, 95], [45, 80], [35, 40]],
+  ],
+};
+
+const GLYCINE = {
+  favoured: withMirror([
+    [[-100, -60], [-50, -60], [-45, -20], [-60, 0], [-95, -10]],
+    [[-180, 180], [-60, 180], [-65, 150], [-180, 150]],
+    [[-180, -180], [-120, -180], [-120, -150], [-180, -150]],
+  ]),
+  allowed: withMirror([
+    [[-180, -180], [-40, -180], [-30, -20], [-30, 40], [-40, 100], [-40, 180], [-180, 180]],
+  ]),
+};
+
+// The pyrrolidine ring pins proline phi near -63°
+const PROLINE = {
+  favoured: [
+    [[-90, -50], [-50, -50], [-45, -15], [-55, 0], [-90, -10]],
+    [[-90, 180], [-50, 180], [-50, 120], [-90, 110]],
+    [[-90, -180], [-50, -180], [-50, -170], [-90, -170]],
+  ],
+  allowed: [
+    [[-105, -70], [-35, -70], [-35, 180], [-105, 180]],
+    [[-105, -180], [-35, -180], [-35, -165], [-105, -165]],
+  ],
+};
+
+export const RAMA_MAPS = [
+  { id: 'general', name: 'General', regions: GENERAL },
+  { id: 'gly', name: 'Glycine', regions: GLYCINE },
+  { id: 'pro', name: 'Proline', regions: PROLINE },
+];
+
+export function ramaMapId(letter) {
+  if (letter === 'G') return 'gly';
+  if (letter === 'P') return 'pro';
+  return 'general';
+}
+
+function regionsFor(letter) {
+  const id = ramaMapId(letter);
+  return RAMA_MAPS.find(m => m.id === id).regions;
+}
+
+// Even-odd ray casting
+function inPolygon(phi, psi, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i], [xj, yj] = poly[j];
+    if ((yi > psi) !== (yj > psi) && phi < (xj - xi) * (psi - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// 'favoured' | 'allowed' | 'disallowed'
+export function classifyRama(letter, phi, psi) {
+  const regions = regionsFor(letter);
+  if (regions.favoured.some(p => inPolygon(phi, psi, p))) return 'favoured';
+  if (regions.allowed.some(p => inPolygon(phi, psi, p))) return 'allowed';
+  return 'disallowed';
+}
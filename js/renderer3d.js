@@ -101,6 +101,21 @@ export function resetCamera() {
   GameEvents.emit('cameraReset');
 }
 
+// Camera pose as plain arrays (saved with workspaces)
+export function getCameraState() {
+  return {
+    position: camera3D.position.toArray(),
+    target: controls.target.toArray(),
+  };
+}
+
+export function setCameraState(state) {
+  cameraAnim = null;
+  camera3D.position.fromArray(state.position);
+  controls.target.fromArray(state.target);
+  controls.update();
+}
+
 export function updateCameraAnim() {
   if (!cameraAnim) return;
   const t = Math.min((performance.now() - cameraAnim.startTime) / cameraAnim.duration, 1);
@@ -250,14 +250,12 @@ function rodriguesRotate(point, origin, axisDir, angleRad) {
 }
 
 // ============================================================
-// Measure reference chi angles from the aligned FULL atoms
+// Measure chi angles (default: the aligned FULL atoms)
 // ============================================================
-function measureReferenceChi(letter) {
+function measureReferenceChi(letter, atoms = FULL[letter].atoms) {
   const defs = CHI_DEFS[letter];
   if (!defs) return [];
-  const struct = FULL[letter];
   const bbLen = BB_ATOMS.length;
-  const atoms = struct.atoms;
 
   const chis = [];
   for (let i = 0; i < defs.length; i++) {
@@ -304,16 +302,17 @@ for (const letter of Object.keys(CHI_DEFS)) {
 
 // ============================================================
 // Compute rotamer positions: deep-copy atoms, apply chi deltas
+// baseAtoms (default FULL) keeps its backbone; only the sidechain
+// is rotated to the target chi angles
 // ============================================================
-export function computeRotamerPositions(letter, rotamerIdx) {
-  const struct = FULL[letter];
+export function computeRotamerPositions(letter, rotamerIdx, baseAtoms) {
   const defs = CHI_DEFS[letter];
   const targetChis = ROTAMER_STATES[letter][rotamerIdx];
-  const reference = refChis[letter];
+  const reference = baseAtoms ? measureReferenceChi(letter, baseAtoms) : refChis[letter];
   const bbLen = BB_ATOMS.length;
 
   // Deep copy all atoms
-  const atoms = struct.atoms.map(a => ({ ...a }));
+  const atoms = (baseAtoms || FULL[letter].atoms).map(a => ({ ...a }));
 
   // Apply each chi rotation sequentially
   for (let i = 0; i < defs.length; i++) {
@@ -367,24 +366,31 @@ export function getNearbyStructure(px, py) {
 }
 
 // ============================================================
-// Rotamer state management
+// Rotamer cycling — the current index lives on each chain entry
+// (entry.rotamer; null for a custom conformation such as an import)
 // ============================================================
-const currentRotamer = {}; // letter -> index
-
-export function cycleRotamer(letter) {
-  if (!ROTAMER_STATES[letter]) return 0;
-  const count = ROTAMER_STATES[letter].length;
-  const cur = currentRotamer[letter] || 0;
-  const next = (cur + 1) % count;
-  currentRotamer[letter] = next;
-  return next;
-}
-
-export function getRotamerIndex(letter) {
-  return currentRotamer[letter] || 0;
+export function nextRotamer(letter, current) {
+  const count = getRotamerCount(letter);
+  if (count === 0) return 0;
+  return current == null ? 0 : (current + 1) % count;
 }
 
 export function getRotamerCount(letter) {
   if (!ROTAMER_STATES[letter]) return 0;
   return ROTAMER_STATES[letter].length;
 }
+
+// A relaxed or thermally wiggling sidechain still counts as its rotamer
+// while every chi stays in the rotamer's staggered well (wells sit 120
+// degrees apart)
+const CHI_TOLERANCE = 60;   // degrees
+
+// True when local atoms (FULL order) sit in rotamer rotamerIdx
+export function matchesRotamer(letter, rotamerIdx, atoms) {
+  if (getRotamerCount(letter) === 0) return true;
+  const target = ROTAMER_STATES[letter][rotamerIdx];
+  return measureReferenceChi(letter, atoms).every((chi, i) => {
+    const d = Math.abs(chi - target[i]) % 360;
+    return Math.min(d, 360 - d) <= CHI_TOLERANCE;
+  });
+}
@@ -0,0 +1,181 @@
+// ============================================================
+// sasa.js — Solvent accessible surface area (Shrake–Rupley)
+// Each heavy atom's van der Waals sphere, grown by a water probe,
+// is dotted with test points; points outside every neighbouring
+// sphere are accessible. Relative accessibility divides a residue's
+// area by its maximum in a Gly-X-Gly tripeptide (Tien et al. 2013).
+// The flat grid is schematic (cells are closer than real residues),
+// so a residue on a cell and its neighbours bury each other as if the
+// distance between them were stretched out to true scale; folded
+// residues and lesson exhibits (laid out at atomic spacing) bury each
+// other as they are.
+// ============================================================
+
+import { BIOME_BY_LETTER, SASA_BURIED_MAX, SASA_EXPOSED_MIN } from './constants.js';
+import { SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { getChain, getEntryAtomsWorld } from './chain.js';
+import { getDisulfides } from './disulfides.js';
+import { chargeAt } from './protonation.js';
+import { GameEvents } from './ui.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+// --- van der Waals radii (Bondi 1964) and the water probe, Å ---
+const VDW_RADIUS = { C: 1.70, N: 1.55, O: 1.52, S: 1.80 };
+const PROBE_RADIUS = 1.4;
+const SPHERE_POINTS = 96;
+
+// Grid cells are 2 Å apart where real neighbours sit 3.8 Å apart (as in
+// forcefield.js): between a residue on a cell and another, spheres and
+// distances shrink by this together
+const SCHEMATIC_SPACING = 0.5;
+
+// Theoretical maximum SASA in Gly-X-Gly, Å² (Tien et al. 2013)
+const MAX_AREA = {
+  A: 129, R: 274, N: 195, D: 193, C: 167, E: 223, Q: 225, G: 104, H: 224, I: 197,
+  L: 201, K: 236, M: 224, F: 240, P: 159, S: 155, T: 172, W: 285, Y: 263, V: 174,
+};
+
+// --- Flags (relative accessibility thresholds in constants.js) ---
+const HYDROPHOBIC_MIN = 1.8;       // Kyte–Doolittle: A, M, C, F, L, V, I
+const CHARGED_MIN = 0.5;           // sidechain charge at the current pH
+
+const UPDATE_INTERVAL = 300;       // ms between recomputes while things move
+
+// Unit test points on a golden-section spiral
+const SPHERE = Array.from({ length: SPHERE_POINTS }, (_, k) => {
+  const z = 1 - (2 * k + 1) / SPHERE_POINTS;
+  const rho = Math.sqrt(1 - z * z);
+  const theta = k * Math.PI * (3 - Math.sqrt(5));
+  return [rho * Math.cos(theta), rho * Math.sin(theta), z];
+});
+
+// --- State ---
+let residues = [];   // { index, refKey, letter, entry, area, relative, flag }
+let dirty = true;
+let lastUpdate = 0;
+
+// Per-residue accessibility in chain order
+export function getAccessibility() {
+  return residues;
+}
+
+// Relative accessibility of one residue, or null before it is measured
+export function residueAccessibility(entry) {
+  return residues.find(r => r.entry === entry)?.relative ?? null;
+}
+
+for (const event of ['chainChanged', 'structureUpdated', 'disulfidesChanged', 'phChanged', 'dynamicsChanged']) {
+  GameEvents.on(event, () => { dirty = true; });
+}
+
+// ============================================================
+// Shrake–Rupley
+// ============================================================
+function collectAtoms(chain) {
+  const atoms = [];
+  chain.forEach((entry, res) => {
+    getEntryAtomsWorld(entry).forEach((a, i) => {
+      // OXT only exists at a free C-terminus
+      if (entry.next && FULL[entry.letter].atoms[i].name === 'OXT') return;
+      atoms.push({
+        x: a.x / WORLD_PER_ANG, y: a.y / WORLD_PER_ANG, z: a.z / WORLD_PER_ANG,
+        r: (VDW_RADIUS[a.el] || VDW_RADIUS.C) + PROBE_RADIUS,
+        res, onCell: !entry.backbone && entry.gridCol == null,
+      });
+    });
+  });
+  return atoms;
+}
+
+// Atoms whose spheres can overlap, from a cell grid: { near, schematic }
+// with the atoms seen at true scale and those seen at SCHEMATIC_SPACING
+function neighbourLists(atoms) {
+  const size = 2 * Math.max(...atoms.map(a => a.r));
+  const key = (x, y, z) => `${Math.floor(x / size)},${Math.floor(y / size)},${Math.floor(z / size)}`;
+  const cells = new Map();
+  atoms.forEach((a, i) => {
+    const k = key(a.x, a.y, a.z);
+    if (!cells.has(k)) cells.set(k, []);
+    cells.get(k).push(i);
+  });
+
+  return atoms.map((a, i) => {
+    const near = [], schematic = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const j of cells.get(key(a.x + dx * size, a.y + dy * size, a.z + dz * size)) || []) {
+            const b = atoms[j];
+            if (j === i) continue;
+            const trueScale = b.res === a.res || !(a.onCell || b.onCell);
+            const reach = (a.r + b.r) * (trueScale ? 1 : SCHEMATIC_SPACING);
+            if ((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2 >= reach * reach) continue;
+            (trueScale ? near : schematic).push(b);
+          }
+        }
+      }
+    }
+    return { near, schematic };
+  });
+}
+
+// Accessible area of every atom, Å²
+function atomAreas(atoms) {
+  const neighbours = neighbourLists(atoms);
+  const s = SCHEMATIC_SPACING;
+  return atoms.map((a, i) => {
+    const { near, schematic } = neighbours[i];
+    let open = 0;
+    for (const [ux, uy, uz] of SPHERE) {
+      const px = a.x + a.r * ux, py = a.y + a.r * uy, pz = a.z + a.r * uz;
+      if (near.some(b => (px - b.x) ** 2 + (py - b.y) ** 2 + (pz - b.z) ** 2 < b.r * b.r)) continue;
+      // The same point on the shrunken sphere
+      const qx = a.x + s * a.r * ux, qy = a.y + s * a.r * uy, qz = a.z + s * a.r * uz;
+      if (!schematic.some(b => (qx - b.x) ** 2 + (qy - b.y) ** 2 + (qz - b.z) ** 2 < (s * b.r) ** 2)) open++;
+    }
+    return 4 * Math.PI * a.r * a.r * open / SPHERE_POINTS;
+  });
+}
+
+// 'exposedHydrophobic', 'buriedCharge' or null
+function flagFor(entry, relative, bonded) {
+  const hydropathy = parseFloat(BIOME_BY_LETTER[entry.letter].properties.hydropathy);
+  if (hydropathy >= HYDROPHOBIC_MIN && relative >= SASA_EXPOSED_MIN) return 'exposedHydrophobic';
+  const charge = bonded.has(entry) ? 0 : chargeAt(entry.letter);
+  if (Math.abs(charge) >= CHARGED_MIN && relative <= SASA_BURIED_MAX) return 'buriedCharge';
+  return null;
+}
+
+function measure(chain) {
+  const atoms = collectAtoms(chain);
+  const areas = atoms.length ? atomAreas(atoms) : [];
+  const totals = chain.map(() => 0);
+  atoms.forEach((a, i) => { totals[a.res] += areas[i]; });
+  const bonded = new Set(getDisulfides().flatMap(ss => [ss.a, ss.b]));
+
+  return chain.map((entry, index) => {
+    const relative = totals[index] / MAX_AREA[entry.letter];
+    return {
+      index, refKey: entry.refKey, letter: entry.letter, entry,
+      area: totals[index], relative, flag: flagFor(entry, relative, bonded),
+    };
+  });
+}
+
+// ============================================================
+// Public: per-frame update (recomputes at most every UPDATE_INTERVAL)
+// ============================================================
+export function updateSasa() {
+  if (!dirty) return;
+  const now = Date.now();
+  if (now - lastUpdate < UPDATE_INTERVAL) return;
+  lastUpdate = now;
+  dirty = false;
+  residues = measure(getChain());
+  GameEvents.emit('sasaChanged', {
+    residues: residues.map(({ entry, ...r }) => r),
+    total: residues.reduce((s, r) => s + r.area, 0),
+  });
+}
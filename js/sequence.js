@@ -0,0 +1,95 @@
+// ============================================================
+// sequence.js — Parse typed peptide sequences
+// Accepts FASTA, one-letter ("ACDEFG") or three-letter
+// ("Ala-Cys-Asp", "ALA CYS ASP", "H-Ala-Cys-OH") input.
+// Returns { letters: ['A', 'C', ...] } or { error: '...' }.
+// ============================================================
+
+import { BIOMES, BIOME_BY_LETTER } from './constants.js';
+
+const LETTER_BY_CODE3 = {};
+BIOMES.forEach(b => { LETTER_BY_CODE3[b.code3.toUpperCase()] = b.letter; });
+
+// IUPAC codes that are valid in FASTA but are not one of the 20 residues
+const AMBIGUOUS_CODES = {
+  B: 'Asx (Asp or Asn)',
+  Z: 'Glx (Glu or Gln)',
+  J: 'Xle (Leu or Ile)',
+  X: 'an unknown residue',
+  U: 'selenocysteine',
+  O: 'pyrrolysine',
+};
+
+const NO_SEQUENCE = 'Enter a sequence, e.g. ACDEFG or Ala-Cys-Asp';
+
+export function parseSequence(text) {
+  // FASTA: drop header and comment lines; only the first record is used
+  const lines = text.split(/\r?\n/);
+  const body = [];
+  let records = 0;
+  for (const line of lines) {
+    const t = line.trim();
+    if (t.startsWith('>')) {
+      if (++records > 1) break;
+      continue;
+    }
+    if (t.startsWith(';')) continue;
+    body.push(t);
+  }
+  const seq = body.join(' ').trim();
+  if (seq === '') return { error: NO_SEQUENCE };
+
+  const result = isThreeLetter(seq) ? parseThreeLetter(seq) : parseOneLetter(seq);
+  // Gaps, stop codons or line numbers alone hold no residues
+  if (result.letters && result.letters.length === 0) return { error: NO_SEQUENCE };
+  return result;
+}
+
+// Three-letter input is either dash-separated ("Ala-Cys"), written as
+// capitalised codes run together ("AlaCysAsp"), space-separated codes
+// ("ALA CYS ASP") or a lone code in any case ("GLU"). Blocks that do not
+// start with a known code ("ACDEF GHIKL", or aligned FASTA with gaps:
+// "ACD-EFG") are one-letter sequences.
+function isThreeLetter(seq) {
+  if (/^([A-Z][a-z]{2})+$/.test(seq)) return true;
+  const tokens = seq.split(/[\s,\-]+/).filter(Boolean);
+  const first = tokens.length > 1 && tokens[0].toUpperCase() === 'H' ? tokens[1] : tokens[0];
+  return !!LETTER_BY_CODE3[(first || '').toUpperCase()];
+}
+
+function parseThreeLetter(seq) {
+  let tokens = /[\s,\-]/.test(seq) || LETTER_BY_CODE3[seq.toUpperCase()]
+    ? seq.split(/[\s,\-]+/).filter(Boolean)
+    : seq.match(/[A-Z][a-z]{2}/g);
+
+  // Terminal groups in "H-Ala-Cys-OH" notation
+  if (tokens.length > 1 && tokens[0].toUpperCase() === 'H') tokens = tokens.slice(1);
+  if (tokens.length > 1 && tokens[tokens.length - 1].toUpperCase() === 'OH') tokens = tokens.slice(0, -1);
+
+  const letters = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const letter = LETTER_BY_CODE3[tokens[i].toUpperCase()];
+    if (!letter) {
+      return { error: `Unknown residue "${tokens[i]}" at position ${i + 1}` };
+    }
+    letters.push(letter);
+  }
+  return { letters };
+}
+
+function parseOneLetter(seq) {
+  // Whitespace, digits (FASTA / GenBank line numbering) and alignment
+  // gaps '-' are ignored, as is a trailing stop codon '*'
+  const clean = seq.replace(/[\s\d-]/g, '').replace(/\*$/, '');
+  const letters = [];
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i].toUpperCase();
+    if (BIOME_BY_LETTER[ch]) {
+      letters.push(ch);
+      continue;
+    }
+    const what = AMBIGUOUS_CODES[ch] ? ` (${AMBIGUOUS_CODES[ch]} is not supported)` : '';
+    return { error: `Unknown amino acid "${clean[i]}" at position ${i + 1}${what}` };
+  }
+  return { letters };
+}
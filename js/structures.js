@@ -15,7 +15,7 @@ export { SCALE as STRUCT_SCALE };
 const STRUCT_Y_OFF = -10; // Cα placed slightly above biome center
 
 // Scale from Angstroms to game coordinate units (~matching old pixel scale)
-const ANG_SCALE = 10;
+export const ANG_SCALE = 10;
 
 // BB_ATOMS exported for .length (sidechain index offset in structures3d.js)
 export const BB_ATOMS = [
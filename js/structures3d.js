@@ -1,11 +1,19 @@
 // ============================================================
 // structures3d.js — 3D molecular structures (atoms, bonds, charges)
+// Each structure is a group (its pose in the world) whose atoms and
+// bonds are drawn as instances of shared batches: one InstancedMesh
+// per sphere / stick geometry and material, one LineSegments for
+// wireframe. Charge decorations stay per structure on shared materials.
 // ============================================================
 
 import * as THREE from 'three';
-import { FULL, ACOL, ARAD, STRUCT_SCALE, BB_ATOMS } from './structures.js';
-import { SCALE } from './renderer3d.js';
+import { DEFAULT_REPRESENTATION } from './constants.js';
+import { FULL, ACOL, ARAD, STRUCT_SCALE, ANG_SCALE, BB_ATOMS } from './structures.js';
+import { scene, SCALE } from './renderer3d.js';
 import { computeRotamerPositions } from './rotamers.js';
+import { GameEvents } from './ui.js';
+import { chargeAt } from './protonation.js';
+import { placeHydrogens } from './hydrogens.js';
 
 // Atom element colors for 3D
 const ELEM_COLORS = {
@@ -23,23 +31,246 @@ const ELEM_EMISSIVE = {
   S: new THREE.Color(0x666600),
 };
 
-// Shared geometries
-const atomGeos = {};
-function getAtomGeo(el) {
-  if (!atomGeos[el]) {
-    const r = ARAD[el] * STRUCT_SCALE * SCALE * 0.8;
-    atomGeos[el] = new THREE.SphereGeometry(Math.max(r, 0.08), 8, 6);
+// --- Representations: sphere radius per element and stick radius
+// (world units). Spacefill draws van der Waals spheres and no bonds;
+// licorice and wireframe color each half-bond by its atom ---
+const VDW_RADIUS = { C: 1.70, N: 1.55, O: 1.52, S: 1.80, H: 1.10 };   // Bondi, Å
+const LICORICE_RADIUS = 0.1;
+const H_BOND_SCALE = 0.6;   // X–H sticks are thinner
+
+const REPR_STYLES = {
+  ballStick: { atomRadius: el => Math.max(ARAD[el] * STRUCT_SCALE * SCALE * 0.8, 0.08), bondRadius: 0.04, doubleBonds: true },
+  spacefill: { atomRadius: el => VDW_RADIUS[el] * ANG_SCALE * STRUCT_SCALE * SCALE, bondRadius: 0 },
+  licorice: { atomRadius: el => LICORICE_RADIUS * (el === 'H' ? H_BOND_SCALE : 1), bondRadius: LICORICE_RADIUS, halfBonds: true },
+  wireframe: { atomRadius: null, bondRadius: 0, lines: true, halfBonds: true },
+};
+
+// Shared geometries (spheres and unit-height sticks, by radius)
+const sphereGeos = {};
+function getSphereGeo(r) {
+  if (!sphereGeos[r]) {
+    sphereGeos[r] = r > 0.5 ? new THREE.SphereGeometry(r, 20, 14) : new THREE.SphereGeometry(r, 8, 6);
+  }
+  return sphereGeos[r];
+}
+
+const stickGeos = {};
+function getStickGeo(r) {
+  if (!stickGeos[r]) stickGeos[r] = new THREE.CylinderGeometry(r, r, 1, 6);
+  return stickGeos[r];
+}
+
+const boxGeos = {};
+function getBoxGeo(x, y, z) {
+  const key = `${x},${y},${z}`;
+  if (!boxGeos[key]) boxGeos[key] = new THREE.BoxGeometry(x, y, z);
+  return boxGeos[key];
+}
+
+const PICK_RADIUS = 0.08;   // wireframe atoms: never drawn, still pickable
+const STICK_COLOR = new THREE.Color(0x777777);
+const SECONDARY_STICK_COLOR = new THREE.Color(0x888888);
+const H_STICK_COLOR = new THREE.Color(0x999999);
+
+// ============================================================
+// Instanced batches. A structure owns slots (instance indices) in
+// them and writes world transforms and colors; a hidden slot gets a
+// zero matrix. Batches double in capacity when full.
+// ============================================================
+const INITIAL_CAPACITY = 64;
+const ZERO_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+const batchRoot = new THREE.Group();
+scene.add(batchRoot);
+const batches = new Map();   // key → { key, make, object, capacity, used, free, owners, lines, spheres, hidden }
+const touched = new Set();   // batches written since the last flush
+
+// make(capacity) builds the batch object; the geometry and material
+// it uses are created once, so growing only replaces the buffers
+function getBatch(key, factory, opts = {}) {
+  if (!batches.has(key)) {
+    const batch = { key, make: factory(), capacity: INITIAL_CAPACITY, used: 0, free: [], owners: [],
+                    lines: !!opts.lines, spheres: !!opts.spheres, hidden: !!opts.hidden };
+    setBatchObject(batch, batch.make(INITIAL_CAPACITY));
+    batches.set(key, batch);
   }
-  return atomGeos[el];
+  return batches.get(key);
 }
 
-const bondGeo = new THREE.CylinderGeometry(0.04, 0.04, 1, 6);
+function setBatchObject(batch, object) {
+  if (batch.object) {
+    batchRoot.remove(batch.object);
+    if (batch.lines) batch.object.geometry.dispose();
+    else batch.object.dispose();
+  }
+  object.frustumCulled = false;   // instances move; a stale bound would cull them
+  object.visible = !batch.hidden;
+  object.userData.batch = batch;
+  if (batch.lines) {
+    object.geometry.setDrawRange(0, 2 * batch.used);
+  } else {
+    object.count = batch.used;
+    object.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    object.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(3 * batch.capacity), 3);
+  }
+  batch.object = object;
+  batchRoot.add(object);
+}
+
+function sphereBatch(radius, emissive) {
+  return getBatch(`sphere:${radius}:${emissive}`, () => {
+    const geo = getSphereGeo(radius);
+    const mat = new THREE.MeshStandardMaterial({ roughness: 0.5, metalness: 0.1, emissive, emissiveIntensity: 0.3 });
+    return capacity => new THREE.InstancedMesh(geo, mat, capacity);
+  }, { spheres: true });
+}
+
+function pickBatch() {
+  return getBatch('pick', () => {
+    const geo = getSphereGeo(PICK_RADIUS);
+    const mat = new THREE.MeshBasicMaterial();
+    return capacity => new THREE.InstancedMesh(geo, mat, capacity);
+  }, { spheres: true, hidden: true });
+}
+
+function stickBatch(radius) {
+  return getBatch(`stick:${radius}`, () => {
+    const geo = getStickGeo(radius);
+    const mat = new THREE.MeshStandardMaterial({ roughness: 0.5, metalness: 0.1 });
+    return capacity => new THREE.InstancedMesh(geo, mat, capacity);
+  });
+}
+
+function lineBatch() {
+  return getBatch('lines', () => {
+    const mat = new THREE.LineBasicMaterial({ vertexColors: true });
+    return capacity => {
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6 * capacity), 3).setUsage(THREE.DynamicDrawUsage));
+      geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(6 * capacity), 3).setUsage(THREE.DynamicDrawUsage));
+      return new THREE.LineSegments(geo, mat);
+    };
+  }, { lines: true });
+}
+
+function growBatch(batch) {
+  const old = batch.object;
+  batch.capacity *= 2;
+  const object = batch.make(batch.capacity);
+  setBatchObject(batch, object);
+  if (batch.lines) {
+    for (const name of ['position', 'color']) {
+      object.geometry.attributes[name].array.set(old.geometry.attributes[name].array);
+    }
+  } else {
+    object.instanceMatrix.array.set(old.instanceMatrix.array);
+    object.instanceColor.array.set(old.instanceColor.array);
+  }
+  touched.add(batch);
+}
+
+// owner: { refKey, atomIdx, hydrogen } for spheres (picking), else null
+function allocSlot(batch, owner = null) {
+  let index = batch.free.pop();
+  if (index === undefined) {
+    if (batch.used === batch.capacity) growBatch(batch);
+    index = batch.used++;
+  }
+  batch.owners[index] = owner;
+  return { batch, index };
+}
+
+function freeSlot(slot) {
+  const { batch, index } = slot;
+  if (batch.lines) batch.object.geometry.attributes.position.array.fill(0, 6 * index, 6 * index + 6);
+  else batch.object.setMatrixAt(index, ZERO_MATRIX);
+  batch.owners[index] = null;
+  batch.free.push(index);
+  touched.add(batch);
+}
+
+// --- Items: a sphere, stick or line in structure-local space ---
+// { slot, local (Matrix4) or ends ([a, b] for lines), color, shown }
+function makeItem(batch, color, owner = null) {
+  const item = { slot: allocSlot(batch, owner), color: color.clone(), shown: true };
+  if (batch.lines) item.ends = [new THREE.Vector3(), new THREE.Vector3()];
+  else item.local = new THREE.Matrix4();
+  return item;
+}
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _dir = new THREE.Vector3();
+const _mid = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _world = new THREE.Matrix4();
+const _va = new THREE.Vector3();
+const _vb = new THREE.Vector3();
+
+function placeSphere(item, pos) {
+  item.local.makeTranslation(pos.x, pos.y, pos.z);
+}
+
+// Stretch a stick (unit height along y) or a line from a to b
+function placeStick(item, a, b) {
+  if (item.ends) {
+    item.ends[0].copy(a);
+    item.ends[1].copy(b);
+    return;
+  }
+  const len = _dir.subVectors(b, a).length();
+  if (len < 0.001) return;
+  _quat.setFromUnitVectors(_up, _dir.divideScalar(len));
+  item.local.compose(_mid.addVectors(a, b).multiplyScalar(0.5), _quat, _scale.set(1, len, 1));
+}
+
+// Write one item's world transform (group world × local) and color
+function writeItem(item, world) {
+  const { batch, index } = item.slot;
+  if (batch.lines) {
+    const { position, color } = batch.object.geometry.attributes;
+    if (item.shown) {
+      _va.copy(item.ends[0]).applyMatrix4(world).toArray(position.array, 6 * index);
+      _vb.copy(item.ends[1]).applyMatrix4(world).toArray(position.array, 6 * index + 3);
+    } else {
+      position.array.fill(0, 6 * index, 6 * index + 6);
+    }
+    item.color.toArray(color.array, 6 * index);
+    item.color.toArray(color.array, 6 * index + 3);
+  } else {
+    batch.object.setMatrixAt(index, item.shown ? _world.multiplyMatrices(world, item.local) : ZERO_MATRIX);
+    batch.object.setColorAt(index, item.color);
+  }
+  touched.add(batch);
+}
+
+function flushBatches() {
+  for (const batch of touched) {
+    const object = batch.object;
+    if (batch.lines) {
+      object.geometry.attributes.position.needsUpdate = true;
+      object.geometry.attributes.color.needsUpdate = true;
+      object.geometry.setDrawRange(0, 2 * batch.used);
+    } else {
+      object.count = batch.used;
+      object.instanceMatrix.needsUpdate = true;
+      object.instanceColor.needsUpdate = true;
+      object.boundingSphere = null;   // recomputed for the next raycast
+    }
+  }
+  touched.clear();
+}
+
+// Groups that are neutral at pH 7 but ionize at high pH (thiolate,
+// phenolate); their indicators stay hidden until the pH gets there
+const LATENT_CHARGE = { C: 'SG', Y: 'OH' };
+
+// Below this fraction a charge sign is hidden altogether
+const CHARGE_VISIBLE_MIN = 0.02;
 
-// Store animated elements for per-frame updates
-const chargeIndicators = [];
-const phFlashElements = [];
-const forcefields = [];
-let phFlashCharge = null;
+// Explicit hydrogens follow the majority species of each ionizable group
+const PROTONATION_MAJORITY = 0.5;
+let hydrogensShown = false;
 
 // --- Forcefield shader ---
 const ffVertexShader = `
@@ -69,12 +300,44 @@ void main() {
 `;
 
 const ffGeometry = new THREE.SphereGeometry(1.0, 32, 24);
+const glowGeometry = new THREE.SphereGeometry(0.12, 8, 6);
+
+// Charge decorations share a material per kind of group (a letter,
+// 'nTerm', 'cTerm'): opacity and glow follow its charged fraction,
+// which is the same for every residue of that kind
+const decorMaterials = {};
+function decorMaterial(key, make) {
+  if (!decorMaterials[key]) decorMaterials[key] = make();
+  return decorMaterials[key];
+}
+
+function forcefieldMaterial(color) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uColor: { value: new THREE.Color(color) },
+      uTime: { value: 0.0 },
+      uIntensity: { value: 0.0 },
+    },
+    vertexShader: ffVertexShader,
+    fragmentShader: ffFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+  });
+}
 
 const S = STRUCT_SCALE * SCALE;
+const CA = 1;   // backbone atom index (see BB_ATOMS)
 
-// structureRefs[key] = { atomMeshes, bondData, chargeGroup, ffMesh, glowMeshes, plusGroup, hisFFMesh, mirror }
+// structureRefs[key] = { refKey, letter, group, atomItems, bondData, chargeGroup, chargeMat, ffMesh, ffMat,
+//   glowMeshes, glowMat, plusGroup, plusMat, hisFFMesh, hisFFMat, termini, nTerminal, cTerminal, prevC,
+//   ionizable, hydrogens, mirror, oxtIdx, representation, cartoon, color, worldMatrix, dirty }
 const structureRefs = {};
 
+// Global representation; refs.representation (null = global) overrides it
+let representation = DEFAULT_REPRESENTATION;
+
 // Smooth rotamer transitions
 const activeTransitions = {};
 export const currentAtoms = {};
@@ -94,94 +357,32 @@ export function buildStructureGroup(letter, opts = {}) {
   const baseY = (opts.y3d !== undefined ? opts.y3d : 0.3);
   const baseZ = opts.z3d || 0;
 
-  const atomMeshes = [];
-  const bondData = [];
-
-  // --- Atoms ---
-  for (let ai = 0; ai < struct.atoms.length; ai++) {
-    const atom = struct.atoms[ai];
-    const lx = atom.x * S * mx;
-    const ly = atom.y * S;
-    const lz = (atom.z || 0) * S;
-
-    const mat = new THREE.MeshStandardMaterial({
-      color: ELEM_COLORS[atom.el] || ELEM_COLORS.C,
-      roughness: 0.5,
-      metalness: 0.1,
-      emissive: ELEM_EMISSIVE[atom.el] || new THREE.Color(0x000000),
-      emissiveIntensity: 0.3,
-    });
-
-    const mesh = new THREE.Mesh(getAtomGeo(atom.el), mat);
-    mesh.position.set(lx, ly, lz);
-    mesh.castShadow = true;
-    group.add(mesh);
-    atomMeshes.push(mesh);
-  }
+  // Keyed by a unique key (supports multiple of the same letter)
+  const refKey = opts.refKey || letter;
+  const refs = { refKey, letter, group, atomItems: [], bondData: [], mirror: mx, chargeGroup: null, ffMesh: null,
+                 glowMeshes: null, plusGroup: null, hisFFMesh: null, ionizable: true,
+                 nTerminal: true, cTerminal: true, prevC: null, hydrogens: null, representation: null, cartoon: null,
+                 color: null, worldMatrix: new THREE.Matrix4(), dirty: true,
+                 oxtIdx: struct.atoms.findIndex(a => a.name === 'OXT') };
+  addAtomsAndBonds(refs, struct.atoms);
 
-  // --- Bonds ---
-  for (const [a, b, isDouble] of struct.bonds) {
-    const atomA = struct.atoms[a];
-    const atomB = struct.atoms[b];
-
-    const ax = atomA.x * S * mx;
-    const ay = atomA.y * S;
-    const az = (atomA.z || 0) * S;
-    const bx = atomB.x * S * mx;
-    const by = atomB.y * S;
-    const bz = (atomB.z || 0) * S;
-
-    const primaryMesh = addBondReturning(group, ax, ay, az, bx, by, bz, false);
-    bondData.push({ mesh: primaryMesh, fromIdx: a, toIdx: b, isSecondary: false });
-
-    if (isDouble) {
-      const bondDir = new THREE.Vector3(bx - ax, by - ay, bz - az);
-      const up = new THREE.Vector3(0, 1, 0);
-      const perp = new THREE.Vector3().crossVectors(bondDir, up);
-      if (perp.lengthSq() < 0.0001) {
-        perp.crossVectors(bondDir, new THREE.Vector3(1, 0, 0));
-      }
-      perp.normalize().multiplyScalar(0.06);
-      const secMesh = addBondReturning(group, ax + perp.x, ay + perp.y, az + perp.z,
-                      bx + perp.x, by + perp.y, bz + perp.z, true);
-      bondData.push({ mesh: secMesh, fromIdx: a, toIdx: b, isSecondary: true });
-    }
+  // --- Charge indicator (K, R, D, E; latent for C, Y) ---
+  let chargeSign = Math.sign(struct.charge);
+  let chargeAtom = struct.chargeAtom;
+  if (chargeSign === 0 && LATENT_CHARGE[letter]) {
+    chargeSign = -1;
+    chargeAtom = struct.atoms.findIndex(a => a.name === LATENT_CHARGE[letter]);
   }
-
-  const refs = { atomMeshes, bondData, mirror: mx, chargeGroup: null, ffMesh: null,
-                 glowMeshes: null, plusGroup: null, hisFFMesh: null };
-
-  // --- Charge indicator ---
-  if (struct.charge !== 0 && struct.chargeAtom >= 0) {
-    const ca = struct.atoms[struct.chargeAtom];
-    const cx = ca.x * S * mx;
-    const cy = ca.y * S + ARAD[ca.el] * S + 0.15;
-    const caz = (ca.z || 0) * S;
-
-    const chargeGroup = new THREE.Group();
-    const chargeMat = new THREE.MeshStandardMaterial({
-      color: struct.charge > 0 ? 0xffdd55 : 0xff8877,
-      emissive: struct.charge > 0 ? 0xffdd55 : 0xff8877,
-      emissiveIntensity: 0.6,
-      roughness: 0.3,
-    });
-
-    const hBar = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.03, 0.03), chargeMat);
-    chargeGroup.add(hBar);
-
-    if (struct.charge > 0) {
-      const vBar = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.2, 0.03), chargeMat);
-      chargeGroup.add(vBar);
-    }
-
-    chargeGroup.position.set(cx, cy, caz);
+  if (chargeSign !== 0 && chargeAtom >= 0) {
+    const { sign: chargeGroup, mat: chargeMat } = buildChargeSign(chargeSign > 0, 0.2, letter);
+    placeChargeSign(chargeGroup, struct.atoms[chargeAtom], refs);
     group.add(chargeGroup);
-    chargeIndicators.push(chargeMat);
     refs.chargeGroup = chargeGroup;
-    refs.chargeAtomIdx = struct.chargeAtom;
+    refs.chargeMat = chargeMat;
+    refs.chargeAtomIdx = chargeAtom;
 
     // Charge forcefield
-    const caIdx = struct.chargeAtom;
+    const caIdx = chargeAtom;
     const fgIndices = [caIdx];
     for (const [a, b] of struct.bonds) {
       if (a === caIdx) fgIndices.push(b);
@@ -205,34 +406,27 @@ export function buildStructureGroup(letter, opts = {}) {
     }
     ffR += 0.25;
 
-    const ffColor = struct.charge > 0
-      ? new THREE.Color(0xffcc33)
-      : new THREE.Color(0xff5544);
-    const ffMat = new THREE.ShaderMaterial({
-      uniforms: {
-        uColor: { value: ffColor },
-        uTime: { value: 0.0 },
-        uIntensity: { value: 1.0 },
-      },
-      vertexShader: ffVertexShader,
-      fragmentShader: ffFragmentShader,
-      transparent: true,
-      depthWrite: false,
-      side: THREE.DoubleSide,
-      blending: THREE.AdditiveBlending,
-    });
+    const ffMat = decorMaterial(`ff:${letter}`, () => forcefieldMaterial(chargeSign > 0 ? 0xffcc33 : 0xff5544));
     const ffMesh = new THREE.Mesh(ffGeometry, ffMat);
     ffMesh.position.set(ffCX, ffCY, ffCZ);
     ffMesh.scale.setScalar(ffR);
     group.add(ffMesh);
-    forcefields.push({ mat: ffMat, type: struct.charge > 0 ? 'pos' : 'neg' });
     refs.ffMesh = ffMesh;
+    refs.ffMat = ffMat;
     refs.ffIndices = fgIndices;
   }
 
-  // --- Histidine pH flash ---
+  // --- Histidine imidazolium (protonated near pH 6) ---
   if (letter === 'H') {
     const bbLen = BB_ATOMS.length;
+    const glowMat = decorMaterial('hisGlow', () => new THREE.MeshStandardMaterial({
+      color: 0xaaccff,
+      emissive: 0xaaccff,
+      emissiveIntensity: 0,
+      transparent: true,
+      opacity: 0.4,
+      roughness: 0.2,
+    }));
     const glowMeshes = [];
     for (const idx of [2, 5]) {
       const atom = struct.atoms[bbLen + idx];
@@ -240,58 +434,37 @@ export function buildStructureGroup(letter, opts = {}) {
       const ly = atom.y * S;
       const lz = (atom.z || 0) * S;
 
-      const glowGeo = new THREE.SphereGeometry(0.12, 8, 6);
-      const glowMat = new THREE.MeshStandardMaterial({
-        color: 0xaaccff,
-        emissive: 0xaaccff,
-        emissiveIntensity: 0,
-        transparent: true,
-        opacity: 0.4,
-        roughness: 0.2,
-      });
-      const glow = new THREE.Mesh(glowGeo, glowMat);
+      const glow = new THREE.Mesh(glowGeometry, glowMat);
       glow.position.set(lx, ly, lz);
       group.add(glow);
-      phFlashElements.push(glowMat);
       glowMeshes.push({ mesh: glow, scIdx: idx });
     }
     refs.glowMeshes = glowMeshes;
+    refs.glowMat = glowMat;
 
     const ringAtom = struct.atoms[bbLen + 4];
     const rx = ringAtom.x * S * mx;
     const ry = ringAtom.y * S + 0.2;
-    const plusMat = new THREE.MeshStandardMaterial({
+    const plusMat = decorMaterial('hisPlus', () => new THREE.MeshStandardMaterial({
       color: 0xffdd55,
       emissive: 0xffdd55,
       emissiveIntensity: 0,
       transparent: true,
       opacity: 0,
-    });
-    const plusH = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.02, 0.02), plusMat);
-    const plusV = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.15, 0.02), plusMat);
+    }));
+    const plusH = new THREE.Mesh(getBoxGeo(0.15, 0.02, 0.02), plusMat);
+    const plusV = new THREE.Mesh(getBoxGeo(0.02, 0.15, 0.02), plusMat);
     const plusGroup = new THREE.Group();
     plusGroup.add(plusH);
     plusGroup.add(plusV);
     const rz = (ringAtom.z || 0) * S;
     plusGroup.position.set(rx, ry, rz);
     group.add(plusGroup);
-    phFlashCharge = plusMat;
     refs.plusGroup = plusGroup;
+    refs.plusMat = plusMat;
     refs.plusScIdx = 4;
 
-    const hisFFMat = new THREE.ShaderMaterial({
-      uniforms: {
-        uColor: { value: new THREE.Color(0x4488ff) },
-        uTime: { value: 0.0 },
-        uIntensity: { value: 0.0 },
-      },
-      vertexShader: ffVertexShader,
-      fragmentShader: ffFragmentShader,
-      transparent: true,
-      depthWrite: false,
-      side: THREE.DoubleSide,
-      blending: THREE.AdditiveBlending,
-    });
+    const hisFFMat = decorMaterial('hisFF', () => forcefieldMaterial(0x4488ff));
     let hSumX = 0, hSumY = 0, hSumZ = 0;
     for (let ri = 1; ri <= 5; ri++) {
       hSumX += struct.atoms[bbLen + ri].x * S * mx;
@@ -313,51 +486,227 @@ export function buildStructureGroup(letter, opts = {}) {
     hisFFMesh.position.set(hisCX, hisCY, hisCZ);
     hisFFMesh.scale.setScalar(hisR);
     group.add(hisFFMesh);
-    forcefields.push({ mat: hisFFMat, type: 'his' });
     refs.hisFFMesh = hisFFMesh;
+    refs.hisFFMat = hisFFMat;
+  }
+
+  // --- Terminal charges: NH3+ on N, COO- on OXT (shown at free termini) ---
+  refs.termini = [
+    { group: 'nTerm', atomIdx: struct.atoms.findIndex(a => a.name === 'N') },
+    { group: 'cTerm', atomIdx: refs.oxtIdx },
+  ].filter(t => t.atomIdx >= 0);
+  for (const t of refs.termini) {
+    const { sign, mat } = buildChargeSign(t.group === 'nTerm', 0.15, t.group);
+    placeChargeSign(sign, struct.atoms[t.atomIdx], refs);
+    group.add(sign);
+    t.sign = sign;
+    t.mat = mat;
   }
 
-  // Store refs keyed by a unique key (support multiple of same letter)
-  const refKey = opts.refKey || letter;
   structureRefs[refKey] = refs;
+  syncHydrogens(refKey);
 
   group.position.set(baseX, baseY, baseZ);
   return group;
 }
 
-function addBondReturning(group, ax, ay, az, bx, by, bz, isSecondary) {
-  const dir = new THREE.Vector3(bx - ax, by - ay, bz - az);
-  const len = dir.length();
-  if (len < 0.001) return null;
+// Plus or minus sign (transparent, so it can fade with the charged
+// fraction); key names the charged group whose material it shares
+function buildChargeSign(positive, size, key) {
+  const color = positive ? 0xffdd55 : 0xff8877;
+  const mat = decorMaterial(`sign:${key}`, () => new THREE.MeshStandardMaterial({
+    color,
+    emissive: color,
+    emissiveIntensity: 0.6,
+    roughness: 0.3,
+    transparent: true,
+  }));
+  const sign = new THREE.Group();
+  sign.add(new THREE.Mesh(getBoxGeo(size, 0.03, 0.03), mat));
+  if (positive) sign.add(new THREE.Mesh(getBoxGeo(0.03, size, 0.03), mat));
+  return { sign, mat };
+}
+
+// Float a charge sign just above its atom (clear of a spacefill sphere)
+function placeChargeSign(sign, atom, refs) {
+  const style = styleOf(refs);
+  const lift = Math.max(style.atomRadius ? style.atomRadius(atom.el) : 0, ARAD[atom.el] * S);
+  sign.position.set(atom.x * S * refs.mirror, atom.y * S + lift + 0.15, (atom.z || 0) * S);
+}
+
+// ============================================================
+// Atoms and bonds, drawn in the structure's representation. Every
+// atom keeps an instance (a hidden pick sphere in wireframe) so
+// indices stay aligned.
+// ============================================================
+function styleOf(refs) {
+  if (refs.cartoon === 'mixed') return REPR_STYLES.licorice;
+  return REPR_STYLES[refs.representation || representation];
+}
+
+// Element colors unless a color scheme paints the whole structure
+function atomColor(refs, el) {
+  return refs.color || ELEM_COLORS[el] || ELEM_COLORS.C;
+}
+
+// Element glow is a material property, so it picks the batch
+function atomBatch(refs, style, el) {
+  if (!style.atomRadius) return pickBatch();
+  const emissive = !refs.color && ELEM_EMISSIVE[el] ? ELEM_EMISSIVE[el].getHex() : 0x000000;
+  return sphereBatch(style.atomRadius(el), emissive);
+}
+
+function atomLocal(atom, mx) {
+  return new THREE.Vector3(atom.x * S * mx, atom.y * S, (atom.z || 0) * S);
+}
+
+// OXT is only drawn at a free C-terminus. Under a cartoon the trace
+// stands in for the backbone: all of it, or all but CA in mixed mode.
+function atomShown(refs, idx) {
+  if (refs.cartoon === 'cartoon') return false;
+  if (refs.cartoon === 'mixed' && idx < BB_ATOMS.length && idx !== CA) return false;
+  return idx !== refs.oxtIdx || refs.cTerminal;
+}
 
-  const mat = new THREE.MeshStandardMaterial({
-    color: isSecondary ? 0x888888 : 0x777777,
-    roughness: 0.5,
-    metalness: 0.1,
+function addAtomsAndBonds(refs, atoms) {
+  const style = styleOf(refs);
+  const struct = FULL[refs.letter];
+  const mx = refs.mirror;
+
+  refs.dirty = true;
+  struct.atoms.forEach((tmpl, ai) => {
+    const owner = { refKey: refs.refKey, atomIdx: ai, hydrogen: null };
+    const item = makeItem(atomBatch(refs, style, tmpl.el), atomColor(refs, tmpl.el), owner);
+    item.shown = atomShown(refs, ai);
+    placeSphere(item, atomLocal(atoms[ai], mx));
+    refs.atomItems.push(item);
   });
 
-  const mesh = new THREE.Mesh(bondGeo, mat);
-  mesh.scale.y = len;
-  mesh.position.set((ax + bx) / 2, (ay + by) / 2, (az + bz) / 2);
+  if (!style.bondRadius && !style.lines) return;
+  const batch = style.lines ? lineBatch() : stickBatch(style.bondRadius);
+  for (const [a, b, isDouble] of struct.bonds) {
+    const pieces = style.halfBonds
+      ? [{ half: 'from', el: struct.atoms[a].el }, { half: 'to', el: struct.atoms[b].el }]
+      : [{}, ...(isDouble && style.doubleBonds ? [{ isSecondary: true }] : [])];
+    for (const piece of pieces) {
+      const bd = { fromIdx: a, toIdx: b, isSecondary: !!piece.isSecondary, half: piece.half || null };
+      const color = piece.el ? atomColor(refs, piece.el) : (bd.isSecondary ? SECONDARY_STICK_COLOR : STICK_COLOR);
+      bd.item = makeItem(batch, color);
+      bd.item.shown = atomShown(refs, a) && atomShown(refs, b);
+      placeBond(bd, atoms, mx);
+      refs.bondData.push(bd);
+    }
+  }
+}
+
+function removeAtomsAndBonds(refs) {
+  for (const item of [...refs.atomItems, ...refs.bondData.map(bd => bd.item)]) freeSlot(item.slot);
+  refs.atomItems = [];
+  refs.bondData = [];
+}
+
+// Stretch a bond over its span: the whole bond, one half, or
+// (second line of a double bond) offset sideways
+function placeBond(bd, atoms, mx) {
+  const a = atomLocal(atoms[bd.fromIdx], mx);
+  const b = atomLocal(atoms[bd.toIdx], mx);
+
+  if (bd.isSecondary) {
+    const bondDir = new THREE.Vector3().subVectors(b, a);
+    const perp = new THREE.Vector3().crossVectors(bondDir, new THREE.Vector3(0, 1, 0));
+    if (perp.lengthSq() < 0.0001) {
+      perp.crossVectors(bondDir, new THREE.Vector3(1, 0, 0));
+    }
+    perp.normalize().multiplyScalar(0.06);
+    a.add(perp);
+    b.add(perp);
+  }
+  if (bd.half === 'from') b.lerp(a, 0.5);
+  else if (bd.half === 'to') a.lerp(b, 0.5);
 
-  const axis = new THREE.Vector3(0, 1, 0);
-  const quat = new THREE.Quaternion().setFromUnitVectors(axis, dir.normalize());
-  mesh.quaternion.copy(quat);
+  placeStick(bd.item, a, b);
+}
 
-  group.add(mesh);
-  return mesh;
+// ============================================================
+// Explicit hydrogens: recomputed from the heavy atoms, the chain
+// links and the protonation state; instances are reallocated only
+// when the set of hydrogens changes
+// ============================================================
+function hydrogenContext(refs) {
+  return {
+    nTerminal: refs.nTerminal,
+    cTerminal: refs.cTerminal,
+    prevC: refs.prevC,
+    ssBonded: !refs.ionizable,
+    charged: group => Math.abs(chargeAt(group)) >= PROTONATION_MAJORITY,
+  };
 }
 
-function updateBondMesh(mesh, ax, ay, az, bx, by, bz) {
-  const dir = new THREE.Vector3(bx - ax, by - ay, bz - az);
-  const len = dir.length();
-  if (len < 0.001) return;
+function removeHydrogenItems(refs) {
+  if (!refs.hydrogens) return;
+  for (const h of refs.hydrogens.items) {
+    freeSlot(h.atom.slot);
+    if (h.bond) freeSlot(h.bond.slot);
+  }
+  refs.hydrogens = null;
+}
 
-  mesh.scale.y = len;
-  mesh.position.set((ax + bx) / 2, (ay + by) / 2, (az + bz) / 2);
-  const axis = new THREE.Vector3(0, 1, 0);
-  const quat = new THREE.Quaternion().setFromUnitVectors(axis, dir.normalize());
-  mesh.quaternion.copy(quat);
+function syncHydrogens(refKey) {
+  const refs = structureRefs[refKey];
+  if (!refs) return;
+  if (!hydrogensShown) {
+    removeHydrogenItems(refs);
+    return;
+  }
+
+  const atoms = currentAtoms[refKey] || FULL[refs.letter].atoms;
+  const hydrogens = placeHydrogens(refs.letter, atoms, hydrogenContext(refs));
+  const names = hydrogens.map(h => h.name).join(' ');
+  if (refs.hydrogens && refs.hydrogens.names !== names) removeHydrogenItems(refs);
+
+  if (!refs.hydrogens) {
+    const style = styleOf(refs);
+    const atomBatch = style.atomRadius ? sphereBatch(style.atomRadius('H'), 0x000000) : pickBatch();
+    const bondBatch = style.lines ? lineBatch()
+      : style.bondRadius > 0 ? stickBatch(style.bondRadius * H_BOND_SCALE) : null;
+    const items = hydrogens.map(h => {
+      const shown = atomShown(refs, h.parent);
+      const atom = makeItem(atomBatch, atomColor(refs, 'H'), { refKey, atomIdx: h.parent, hydrogen: h.name });
+      atom.shown = shown;
+      const bond = bondBatch && makeItem(bondBatch, H_STICK_COLOR);
+      if (bond) bond.shown = shown;
+      return { atom, bond, parent: h.parent };
+    });
+    refs.hydrogens = { names, items };
+  }
+
+  const mx = refs.mirror;
+  hydrogens.forEach((h, i) => {
+    const { atom, bond } = refs.hydrogens.items[i];
+    const pos = new THREE.Vector3(h.x * S * mx, h.y * S, h.z * S);
+    placeSphere(atom, pos);
+    if (bond) placeStick(bond, atomLocal(atoms[h.parent], mx), pos);
+  });
+  refs.dirty = true;
+}
+
+// ============================================================
+// Public: show or hide explicit hydrogens on every structure
+// ============================================================
+export function areHydrogensShown() {
+  return hydrogensShown;
+}
+
+export function setHydrogensShown(value) {
+  if (hydrogensShown === value) return;
+  hydrogensShown = value;
+  refreshHydrogens();
+  GameEvents.emit('hydrogensChanged', { shown: hydrogensShown });
+}
+
+// Re-place every structure's hydrogens (e.g. after a pH change)
+export function refreshHydrogens() {
+  for (const refKey of Object.keys(structureRefs)) syncHydrogens(refKey);
 }
 
 // ============================================================
@@ -369,39 +718,16 @@ function rebuildStructureGroup(refKey, newAtoms) {
   const mx = refs.mirror;
   const bbLen = BB_ATOMS.length;
 
-  for (let i = 0; i < refs.atomMeshes.length; i++) {
-    const atom = newAtoms[i];
-    refs.atomMeshes[i].position.set(atom.x * S * mx, atom.y * S, (atom.z || 0) * S);
-  }
-
-  for (const bd of refs.bondData) {
-    const atomA = newAtoms[bd.fromIdx];
-    const atomB = newAtoms[bd.toIdx];
-    let ax = atomA.x * S * mx, ay = atomA.y * S, az = (atomA.z || 0) * S;
-    let bx = atomB.x * S * mx, by = atomB.y * S, bz = (atomB.z || 0) * S;
-
-    if (bd.isSecondary) {
-      const bondDir = new THREE.Vector3(bx - ax, by - ay, bz - az);
-      const up = new THREE.Vector3(0, 1, 0);
-      const perp = new THREE.Vector3().crossVectors(bondDir, up);
-      if (perp.lengthSq() < 0.0001) {
-        perp.crossVectors(bondDir, new THREE.Vector3(1, 0, 0));
-      }
-      perp.normalize().multiplyScalar(0.06);
-      ax += perp.x; ay += perp.y; az += perp.z;
-      bx += perp.x; by += perp.y; bz += perp.z;
-    }
-
-    updateBondMesh(bd.mesh, ax, ay, az, bx, by, bz);
+  for (let i = 0; i < refs.atomItems.length; i++) {
+    placeSphere(refs.atomItems[i], atomLocal(newAtoms[i], mx));
   }
+  for (const bd of refs.bondData) placeBond(bd, newAtoms, mx);
+  refs.dirty = true;
 
   if (refs.chargeGroup && refs.chargeAtomIdx >= 0) {
-    const ca = newAtoms[refs.chargeAtomIdx];
-    const cx = ca.x * S * mx;
-    const cy = ca.y * S + ARAD[ca.el] * S + 0.15;
-    const caz = (ca.z || 0) * S;
-    refs.chargeGroup.position.set(cx, cy, caz);
+    placeChargeSign(refs.chargeGroup, newAtoms[refs.chargeAtomIdx], refs);
   }
+  for (const t of refs.termini) placeChargeSign(t.sign, newAtoms[t.atomIdx], refs);
 
   if (refs.ffMesh && refs.ffIndices) {
     let sumX = 0, sumY = 0, sumZ = 0;
@@ -458,6 +784,8 @@ function rebuildStructureGroup(refKey, newAtoms) {
     refs.hisFFMesh.position.set(hisCX, hisCY, hisCZ);
     refs.hisFFMesh.scale.setScalar(hisR);
   }
+
+  syncHydrogens(refKey);
 }
 
 // ============================================================
@@ -466,7 +794,7 @@ function rebuildStructureGroup(refKey, newAtoms) {
 // ============================================================
 export function setRotamer(letter, rotamerIdx, refKey) {
   const key = refKey || letter;
-  const toAtoms = computeRotamerPositions(letter, rotamerIdx);
+  const toAtoms = computeRotamerPositions(letter, rotamerIdx, getStructureAtoms(key));
   const fromAtoms = currentAtoms[key]
     ? currentAtoms[key].map(a => ({ ...a }))
     : FULL[letter].atoms.map(a => ({ ...a }));
@@ -479,10 +807,195 @@ export function setRotamer(letter, rotamerIdx, refKey) {
   };
 }
 
+// True while any rotamer transition is still animating
+export function isTransitioning() {
+  return Object.keys(activeTransitions).length > 0;
+}
+
+// ============================================================
+// Public: settled local atoms of a structure (the target of a running
+// transition, else the current pose; undefined = FULL template)
+// ============================================================
+export function getStructureAtoms(refKey) {
+  if (activeTransitions[refKey]) return activeTransitions[refKey].toAtoms;
+  return currentAtoms[refKey];
+}
+
+// ============================================================
+// Public: replace a structure's atom positions immediately
+// (e.g. an imported sidechain conformation). atoms follow the
+// FULL[letter].atoms order in local game units.
+// ============================================================
+export function setStructureAtoms(refKey, atoms) {
+  if (!structureRefs[refKey]) return;
+  delete activeTransitions[refKey];
+  currentAtoms[refKey] = atoms;
+  rebuildStructureGroup(refKey, atoms);
+}
+
+// ============================================================
+// Public: show/hide the terminal carboxylate OXT. Internal residues
+// lose OXT when their C forms a peptide bond to the next residue.
+// Terminal charges are only carried by a free N- / C-terminus.
+// prevC: the preceding residue's C in local game units (places the
+// amide H), or null at an N-terminus.
+// ============================================================
+export function setTerminalState(refKey, { cTerminal, nTerminal = true, prevC = null }) {
+  const refs = structureRefs[refKey];
+  if (!refs) return;
+  refs.cTerminal = cTerminal;
+  refs.nTerminal = nTerminal;
+  refs.prevC = prevC;
+  if (refs.oxtIdx >= 0) {
+    refs.atomItems[refs.oxtIdx].shown = atomShown(refs, refs.oxtIdx);
+    for (const bd of refs.bondData) {
+      if (bd.fromIdx === refs.oxtIdx || bd.toIdx === refs.oxtIdx) {
+        bd.item.shown = atomShown(refs, bd.fromIdx) && atomShown(refs, bd.toIdx);
+      }
+    }
+    refs.dirty = true;
+  }
+  syncHydrogens(refKey);
+}
+
+// ============================================================
+// Public: mark a sidechain as unable to ionize (a cysteine whose
+// SG is in a disulfide has no thiol left)
+// ============================================================
+export function setIonizable(refKey, ionizable) {
+  const refs = structureRefs[refKey];
+  if (!refs || refs.ionizable === ionizable) return;
+  refs.ionizable = ionizable;
+  syncHydrogens(refKey);
+}
+
+// ============================================================
+// Public: representation, global and per structure. Switching
+// rebuilds atoms and bonds in place from the current pose, so
+// rotamers, rotations and folds are kept.
+// ============================================================
+export function getRepresentation() {
+  return representation;
+}
+
+export function setRepresentation(mode) {
+  if (!REPR_STYLES[mode] || mode === representation) return;
+  representation = mode;
+  for (const [refKey, refs] of Object.entries(structureRefs)) {
+    if (!refs.representation) applyRepresentation(refKey);
+  }
+  GameEvents.emit('representationChanged', { mode });
+}
+
+// Override of one structure, or null when it follows the global mode
+export function getResidueRepresentation(refKey) {
+  return structureRefs[refKey]?.representation || null;
+}
+
+export function setResidueRepresentation(refKey, mode) {
+  const refs = structureRefs[refKey];
+  if (!refs || (mode && !REPR_STYLES[mode])) return;
+  if (refs.representation === (mode || null)) return;
+  refs.representation = mode || null;
+  applyRepresentation(refKey);
+}
+
+// Radius a structure's atoms are drawn at under its representation,
+// or under mode (world units); refKey null for the global mode.
+// Wireframe atoms are line ends: they take the pick radius.
+export function drawnAtomRadius(refKey, el, mode = structureRefs[refKey]?.representation || representation) {
+  const style = REPR_STYLES[mode];
+  return style.atomRadius ? style.atomRadius(el) : PICK_RADIUS;
+}
+
+// Cartoon trace over a structure (set by cartoon.js): null for atoms
+// only, 'cartoon' to hide them all, 'mixed' to keep sidechain sticks
+export function setCartoonState(refKey, mode) {
+  const refs = structureRefs[refKey];
+  if (!refs || refs.cartoon === mode) return;
+  refs.cartoon = mode;
+  applyRepresentation(refKey);
+}
+
+// ============================================================
+// Public: one color for the whole structure (from a color scheme),
+// or null for element colors. Repaints the instances in place;
+// switching to or from element colors moves the atoms to batches
+// with or without the element glow.
+// ============================================================
+export function setStructureColor(refKey, color) {
+  const refs = structureRefs[refKey];
+  if (!refs || color === refs.color || (color && refs.color && color.equals(refs.color))) return;
+  const glowChanged = !color !== !refs.color;
+  refs.color = color;
+  if (glowChanged) {
+    applyRepresentation(refKey);
+    return;
+  }
+  const atoms = FULL[refs.letter].atoms;
+  refs.atomItems.forEach((item, i) => item.color.copy(atomColor(refs, atoms[i].el)));
+  for (const bd of refs.bondData) {
+    if (bd.half) bd.item.color.copy(atomColor(refs, atoms[bd.half === 'from' ? bd.fromIdx : bd.toIdx].el));
+  }
+  if (refs.hydrogens) {
+    for (const h of refs.hydrogens.items) h.atom.color.copy(atomColor(refs, 'H'));
+  }
+  refs.dirty = true;
+}
+
+function applyRepresentation(refKey) {
+  const refs = structureRefs[refKey];
+  removeAtomsAndBonds(refs);
+  removeHydrogenItems(refs);
+  const atoms = currentAtoms[refKey] || FULL[refs.letter].atoms;
+  addAtomsAndBonds(refs, atoms);
+  rebuildStructureGroup(refKey, atoms);
+}
+
+// ============================================================
+// Atom picking (measurements, hover tooltip)
+// ============================================================
+// Nearest pickable atom along a ray: { refKey, atomIdx, hydrogen,
+// distance } or null. Hydrogens (when asked for) report their name and
+// the index of their heavy atom. Wireframe atoms are undrawn pick
+// spheres, so they still pick; hidden atoms have zero-size instances.
+export function pickAtom(raycaster, withHydrogens = false) {
+  syncInstances();
+  const targets = [...batches.values()].filter(b => b.spheres).map(b => b.object);
+  for (const hit of raycaster.intersectObjects(targets, false)) {
+    const owner = hit.object.userData.batch.owners[hit.instanceId];
+    if (!owner || (owner.hydrogen && !withHydrogens)) continue;
+    return { ...owner, distance: hit.distance };
+  }
+  return null;
+}
+
+// World position of a picked atom as it moves (rotamers, dynamics),
+// or null once it is gone or hidden
+export function pickedAtomWorld(pick) {
+  const refs = structureRefs[pick.refKey];
+  if (!refs || !atomShown(refs, pick.atomIdx)) return null;
+  let pos;
+  if (pick.hydrogen) {
+    const i = refs.hydrogens ? refs.hydrogens.names.split(' ').indexOf(pick.hydrogen) : -1;
+    if (i < 0) return null;
+    pos = new THREE.Vector3().setFromMatrixPosition(refs.hydrogens.items[i].atom.local);
+  } else {
+    pos = atomLocal((currentAtoms[pick.refKey] || FULL[refs.letter].atoms)[pick.atomIdx], refs.mirror);
+  }
+  refs.group.updateMatrixWorld();
+  return pos.applyMatrix4(refs.group.matrixWorld);
+}
+
 // ============================================================
 // Remove a structure ref (for undo)
 // ============================================================
 export function removeStructureRef(refKey) {
+  const refs = structureRefs[refKey];
+  if (refs) {
+    removeAtomsAndBonds(refs);
+    removeHydrogenItems(refs);
+  }
   delete structureRefs[refKey];
   delete activeTransitions[refKey];
   delete currentAtoms[refKey];
@@ -520,37 +1033,68 @@ export function updateStructures3D() {
       currentAtoms[key] = tr.toAtoms;
       rebuildStructureGroup(key, tr.toAtoms);
       delete activeTransitions[key];
+      GameEvents.emit('structureUpdated', { refKey: key });
     }
   }
 
-  // Pulse charge indicators
-  const pulse = 0.3 + Math.sin(now / 300) * 0.4;
-  for (const mat of chargeIndicators) {
-    mat.emissiveIntensity = Math.max(0, pulse);
-  }
+  // Charged fractions at the current pH set opacity and forcefield
+  // strength; charge signs keep pulsing on top
+  const pulse = Math.max(0, 0.3 + Math.sin(now / 300) * 0.4);
+  const ffTime = now / 1000;
+  const terminal = { nTerm: Math.abs(chargeAt('nTerm')), cTerm: Math.abs(chargeAt('cTerm')) };
 
-  // Histidine pH flash
-  const t = (Math.sin(now / 2000) + 1) / 2;
-  for (const mat of phFlashElements) {
-    mat.emissiveIntensity = t * 0.6;
-    mat.opacity = 0.2 + t * 0.4;
-  }
-  if (phFlashCharge) {
-    if (t > 0.5) {
-      phFlashCharge.emissiveIntensity = (t - 0.5) * 1.5;
-      phFlashCharge.opacity = (t - 0.5) * 1.5;
-    } else {
-      phFlashCharge.emissiveIntensity = 0;
-      phFlashCharge.opacity = 0;
+  // Materials are shared per kind of group, so they take its charged
+  // fraction; a residue that cannot ionize hides its decorations
+  for (const refs of Object.values(structureRefs)) {
+    const q = Math.abs(chargeAt(refs.letter));
+    const shown = refs.ionizable && q >= CHARGE_VISIBLE_MIN;
+
+    if (refs.chargeGroup) {
+      refs.chargeGroup.visible = shown;
+      refs.ffMesh.visible = shown;
+      refs.chargeMat.opacity = q;
+      refs.chargeMat.emissiveIntensity = pulse;
+      refs.ffMat.uniforms.uTime.value = ffTime;
+      refs.ffMat.uniforms.uIntensity.value = q;
     }
-  }
 
-  // Animate forcefields
-  const ffTime = now / 1000;
-  for (const ff of forcefields) {
-    ff.mat.uniforms.uTime.value = ffTime;
-    if (ff.type === 'his') {
-      ff.mat.uniforms.uIntensity.value = t;
+    if (refs.glowMeshes) {
+      refs.glowMat.emissiveIntensity = q * 0.6;
+      refs.glowMat.opacity = 0.2 + q * 0.4;
+      refs.plusGroup.visible = shown;
+      refs.plusMat.emissiveIntensity = q;
+      refs.plusMat.opacity = q;
+      refs.hisFFMat.uniforms.uTime.value = ffTime;
+      refs.hisFFMat.uniforms.uIntensity.value = q;
+    }
+
+    for (const t of refs.termini) {
+      const free = t.group === 'nTerm' ? refs.nTerminal : refs.cTerminal;
+      t.sign.visible = free && terminal[t.group] >= CHARGE_VISIBLE_MIN;
+      t.mat.opacity = terminal[t.group];
+      t.mat.emissiveIntensity = pulse;
     }
   }
+  syncInstances();
+}
+
+// Instances follow their groups' poses (chain moves, folds, dynamics):
+// rewrite the structures that moved or changed, then upload
+function syncInstances() {
+  for (const refs of Object.values(structureRefs)) {
+    refs.group.updateMatrixWorld();
+    if (refs.dirty || !refs.group.matrixWorld.equals(refs.worldMatrix)) writeStructure(refs);
+  }
+  flushBatches();
+}
+
+// Write every atom and bond of a structure at its group's world pose
+function writeStructure(refs) {
+  refs.worldMatrix.copy(refs.group.matrixWorld);
+  const items = [...refs.atomItems, ...refs.bondData.map(bd => bd.item)];
+  if (refs.hydrogens) {
+    for (const h of refs.hydrogens.items) items.push(h.atom, ...(h.bond ? [h.bond] : []));
+  }
+  for (const item of items) writeItem(item, refs.worldMatrix);
+  refs.dirty = false;
 }
@@ -0,0 +1,261 @@
+// ============================================================
+// surface.js — Molecular surface colored by electrostatic potential
+// A Gaussian surface: each heavy atom adds a smooth blob to a
+// density grid, and marching cubes extracts the level at which a
+// lone atom's blob reaches its van der Waals radius. Vertices are
+// colored by the Coulomb potential of the ionized groups at the
+// current pH (red negative, blue positive).
+// ============================================================
+
+import * as THREE from 'three';
+import { edgeTable, triTable } from 'three/addons/objects/MarchingCubes.js';
+import { COLOR_SCHEMES, SURFACE_OPACITY_MIN, DEFAULT_SURFACE_OPACITY } from './constants.js';
+import { scene, SCALE } from './renderer3d.js';
+import { FULL, STRUCT_SCALE, ANG_SCALE } from './structures.js';
+import { getChain, getEntryAtomsWorld } from './chain.js';
+import { formalCharges, coulombPotential } from './forcefield.js';
+import { GameEvents } from './ui.js';
+
+const WORLD_PER_ANG = ANG_SCALE * STRUCT_SCALE * SCALE;
+
+// --- van der Waals radii (Bondi 1964), Å ---
+const VDW_RADIUS = { C: 1.70, N: 1.55, O: 1.52, S: 1.80 };
+
+// --- Density: exp(-k (d²/R² - 1)) per atom, surface at 1 ---
+const SHARPNESS = 1.5;         // k; lower is blobbier
+const CUTOFF_LOG = 4.6;        // contributions below e^-4.6 (1 %) are dropped
+const GRID_SPACING = 0.7;      // Å
+const MAX_VOXELS = 1500000;    // coarser grid beyond this
+
+// --- Potential coloring ---
+const POTENTIAL_RANGE = 10;    // kcal/mol/e at the ends of the color ramp
+const MIN_CHARGE = 0.01;
+const POTENTIAL_COLORS = COLOR_SCHEMES.find(s => s.id === 'charge').gradient;
+
+const REBUILD_INTERVAL = 300;  // ms between rebuilds while things move
+
+// Cube corners in marching-cubes order and the corner pair of each edge
+const CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const EDGES = [[0, 1], [1, 2], [3, 2], [0, 3], [4, 5], [5, 6], [7, 6], [4, 7], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+const material = new THREE.MeshStandardMaterial({
+  vertexColors: true, roughness: 0.6, metalness: 0,
+  transparent: true, opacity: DEFAULT_SURFACE_OPACITY, depthWrite: false,
+});
+
+// --- State ---
+let mesh = null;
+let shown = false;
+let dirty = true;
+let lastBuild = 0;
+
+export function isSurfaceShown() {
+  return shown;
+}
+
+export function setSurfaceShown(value) {
+  if (shown === value) return;
+  shown = value;
+  dirty = true;
+  if (!shown) clearSurface();
+  emitChange();
+}
+
+export function getSurfaceOpacity() {
+  return material.opacity;
+}
+
+export function setSurfaceOpacity(value) {
+  if (!Number.isFinite(value)) return;
+  const next = Math.min(1, Math.max(SURFACE_OPACITY_MIN, value));
+  if (next === material.opacity) return;
+  material.opacity = next;
+  material.depthWrite = next === 1;
+  emitChange();
+}
+
+for (const event of ['chainChanged', 'structureUpdated', 'disulfidesChanged', 'phChanged', 'dynamicsChanged']) {
+  GameEvents.on(event, () => { dirty = true; });
+}
+
+function emitChange() {
+  GameEvents.emit('surfaceChanged', { shown, opacity: material.opacity });
+}
+
+// ============================================================
+// Atoms (Å) with radii and formal charges
+// ============================================================
+function collectAtoms(chain) {
+  const atoms = [];
+  for (const entry of chain) {
+    const q = formalCharges(entry);
+    getEntryAtomsWorld(entry).forEach((a, i) => {
+      // OXT only exists at a free C-terminus
+      if (entry.next && FULL[entry.letter].atoms[i].name === 'OXT') return;
+      atoms.push({
+        x: a.x / WORLD_PER_ANG, y: a.y / WORLD_PER_ANG, z: a.z / WORLD_PER_ANG,
+        r: VDW_RADIUS[a.el] || VDW_RADIUS.C, q: q[i],
+      });
+    });
+  }
+  return atoms;
+}
+
+// ============================================================
+// Density grid
+// ============================================================
+function densityGrid(atoms) {
+  const reach = Math.max(...atoms.map(a => a.r)) * Math.sqrt(1 + CUTOFF_LOG / SHARPNESS);
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (const a of atoms) {
+    [a.x, a.y, a.z].forEach((v, c) => {
+      min[c] = Math.min(min[c], v - reach);
+      max[c] = Math.max(max[c], v + reach);
+    });
+  }
+  const volume = (max[0] - min[0]) * (max[1] - min[1]) * (max[2] - min[2]);
+  const h = Math.max(GRID_SPACING, Math.cbrt(volume / MAX_VOXELS));
+  const n = max.map((v, c) => Math.ceil((v - min[c]) / h) + 1);
+  const field = new Float32Array(n[0] * n[1] * n[2]);
+
+  for (const a of atoms) {
+    const cutoff = a.r * Math.sqrt(1 + CUTOFF_LOG / SHARPNESS);
+    const lo = [a.x, a.y, a.z].map((v, c) => Math.max(0, Math.floor((v - cutoff - min[c]) / h)));
+    const hi = [a.x, a.y, a.z].map((v, c) => Math.min(n[c] - 1, Math.ceil((v + cutoff - min[c]) / h)));
+    const invR2 = 1 / (a.r * a.r);
+    for (let k = lo[2]; k <= hi[2]; k++) {
+      const dz = min[2] + k * h - a.z;
+      for (let j = lo[1]; j <= hi[1]; j++) {
+        const dy = min[1] + j * h - a.y;
+        const row = (k * n[1] + j) * n[0];
+        for (let i = lo[0]; i <= hi[0]; i++) {
+          const dx = min[0] + i * h - a.x;
+          const d2 = (dx * dx + dy * dy + dz * dz) * invR2;
+          if (d2 < 1 + CUTOFF_LOG / SHARPNESS) field[row + i] += Math.exp(-SHARPNESS * (d2 - 1));
+        }
+      }
+    }
+  }
+  return { field, n, min, h };
+}
+
+// ============================================================
+// Marching cubes over the grid (level 1); normals from the
+// density gradient, which points into the molecule
+// ============================================================
+function polygonize({ field, n, min, h }) {
+  const stride = [1, n[0], n[0] * n[1]];
+  const offsets = CORNERS.map(o => o[0] * stride[0] + o[1] * stride[1] + o[2] * stride[2]);
+  // Central difference along axis c at grid point (cell + corner)
+  const gradient = (q, cell, corner, c) => {
+    const p = cell[c] + corner[c];
+    const lo = p > 0 ? stride[c] : 0, hi = p < n[c] - 1 ? stride[c] : 0;
+    return (field[q + hi] - field[q - lo]) / (((lo + hi) / stride[c]) * h);
+  };
+  const positions = [], normals = [];
+  const edgePoint = new Array(12);
+  const values = new Float32Array(8);
+  const cell = [0, 0, 0];
+
+  for (let k = 0; k < n[2] - 1; k++) {
+    for (let j = 0; j < n[1] - 1; j++) {
+      let q = k * stride[2] + j * stride[1];
+      for (let i = 0; i < n[0] - 1; i++, q++) {
+        let cube = 0;
+        for (let c = 0; c < 8; c++) {
+          values[c] = field[q + offsets[c]];
+          if (values[c] < 1) cube |= 1 << c;
+        }
+        const bits = edgeTable[cube];
+        if (bits === 0) continue;
+
+        cell[0] = i; cell[1] = j; cell[2] = k;
+        for (let e = 0; e < 12; e++) {
+          if (!(bits & (1 << e))) continue;
+          const [ca, cb] = EDGES[e];
+          const t = (1 - values[ca]) / (values[cb] - values[ca]);
+          const qa = q + offsets[ca], qb = q + offsets[cb];
+          const a = CORNERS[ca], b = CORNERS[cb];
+          edgePoint[e] = [0, 1, 2].map(c => min[c] + (cell[c] + a[c] + t * (b[c] - a[c])) * h);
+          edgePoint[e].normal = [0, 1, 2].map(c =>
+            -((1 - t) * gradient(qa, cell, a, c) + t * gradient(qb, cell, b, c)));
+        }
+
+        for (let m = cube * 16; triTable[m] !== -1; m += 3) {
+          for (let v = 0; v < 3; v++) {
+            const p = edgePoint[triTable[m + v]];
+            positions.push(p[0], p[1], p[2]);
+            normals.push(p.normal[0], p.normal[1], p.normal[2]);
+          }
+        }
+      }
+    }
+  }
+  return { positions, normals };
+}
+
+// ============================================================
+// Potential coloring
+// ============================================================
+function potentialColors(positions, atoms) {
+  const charged = atoms.filter(a => Math.abs(a.q) >= MIN_CHARGE);
+  const low = new THREE.Color(POTENTIAL_COLORS[0]);
+  const mid = new THREE.Color(POTENTIAL_COLORS[1]);
+  const high = new THREE.Color(POTENTIAL_COLORS[2]);
+  const color = new THREE.Color();
+  const colors = new Float32Array(positions.length);
+
+  for (let v = 0; v < positions.length; v += 3) {
+    let phi = 0;
+    for (const a of charged) {
+      const dx = positions[v] - a.x, dy = positions[v + 1] - a.y, dz = positions[v + 2] - a.z;
+      phi += coulombPotential(a.q, Math.max(dx * dx + dy * dy + dz * dz, 1));
+    }
+    const t = Math.max(-1, Math.min(1, phi / POTENTIAL_RANGE));
+    color.copy(mid).lerp(t < 0 ? low : high, Math.abs(t));
+    colors[v] = color.r;
+    colors[v + 1] = color.g;
+    colors[v + 2] = color.b;
+  }
+  return colors;
+}
+
+// ============================================================
+// Drawing
+// ============================================================
+function clearSurface() {
+  if (!mesh) return;
+  scene.remove(mesh);
+  mesh.geometry.dispose();
+  mesh = null;
+}
+
+function rebuild() {
+  clearSurface();
+  const atoms = collectAtoms(getChain());
+  if (atoms.length === 0) return;
+
+  // Built in Å; the mesh scales it to world units
+  const { positions, normals } = polygonize(densityGrid(atoms));
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geo.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geo.setAttribute('color', new THREE.BufferAttribute(potentialColors(positions, atoms), 3));
+  geo.normalizeNormals();
+  mesh = new THREE.Mesh(geo, material);
+  mesh.scale.setScalar(WORLD_PER_ANG);
+  mesh.renderOrder = 1;   // after the opaque atoms it wraps
+  scene.add(mesh);
+}
+
+// ============================================================
+// Public: per-frame update (rebuilds at most every REBUILD_INTERVAL)
+// ============================================================
+export function updateSurface3D() {
+  if (!shown || !dirty) return;
+  const now = Date.now();
+  if (now - lastBuild < REBUILD_INTERVAL) return;
+  lastBuild = now;
+  dirty = false;
+  rebuild();
+}
@@ -0,0 +1,88 @@
+// ============================================================
+// tooltip.js — Atom tooltip (desktop hover, mobile long-press)
+// A CSS2D label pinned to the picked atom: residue and position in
+// the chain, PDB atom name, element, backbone or sidechain, and the
+// formal charge of its ionizable group at the current pH.
+// ============================================================
+
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { BIOME_BY_LETTER } from './constants.js';
+import { scene } from './renderer3d.js';
+import { FULL, BB_ATOMS } from './structures.js';
+import { getChain } from './chain.js';
+import { pickedAtomWorld } from './structures3d.js';
+import { formalCharges } from './forcefield.js';
+import { GameEvents } from './ui.js';
+
+const ELEMENT_NAMES = { H: 'Hydrogen', C: 'Carbon', N: 'Nitrogen', O: 'Oxygen', S: 'Sulfur' };
+const MIN_CHARGE = 0.005;   // shown as neutral below this
+
+// --- State ---
+const div = document.createElement('div');
+div.className = 'atom-tooltip';
+const label = new CSS2DObject(div);
+label.center.set(0, 1);   // bottom-left corner on the atom
+label.visible = false;
+scene.add(label);
+let shown = null;   // { refKey, atomIdx, hydrogen } of the current pick
+
+// Charges and termini shift with pH, disulfides and chain edits
+for (const event of ['chainChanged', 'disulfidesChanged', 'phChanged']) {
+  GameEvents.on(event, () => { if (shown) describe(shown); });
+}
+
+// ============================================================
+// Content
+// ============================================================
+function signed(q) {
+  return Math.abs(q) < MIN_CHARGE ? '0' : `${q > 0 ? '+' : '\u2212'}${Math.abs(q).toFixed(2)}`;
+}
+
+function describe(pick) {
+  const chain = getChain();
+  const index = chain.findIndex(e => e.refKey === pick.refKey);
+  if (index < 0) {
+    hideAtomTooltip();
+    return;
+  }
+  const entry = chain[index];
+  const atom = FULL[entry.letter].atoms[pick.atomIdx];
+  const el = pick.hydrogen ? 'H' : atom.el;
+  const part = pick.atomIdx < BB_ATOMS.length ? 'backbone' : 'sidechain';
+  const detail = pick.hydrogen
+    ? `bonded to ${atom.name}`
+    : `formal charge ${signed(formalCharges(entry)[pick.atomIdx])}`;
+
+  div.innerHTML =
+    `<div class="atom-tooltip-name">${BIOME_BY_LETTER[entry.letter].code3} ${index + 1} \u00B7 ${pick.hydrogen || atom.name}</div>` +
+    `<div class="atom-tooltip-detail">${ELEMENT_NAMES[el]} (${el}) \u00B7 ${part}</div>` +
+    `<div class="atom-tooltip-detail">${detail}</div>`;
+}
+
+// ============================================================
+// Public: show / hide for a pickAtom() result, per-frame follow
+// ============================================================
+export function showAtomTooltip(pick) {
+  const same = shown && shown.refKey === pick.refKey && shown.atomIdx === pick.atomIdx &&
+    shown.hydrogen === pick.hydrogen;
+  shown = pick;
+  if (!same) describe(pick);
+  label.visible = shown !== null;
+  updateAtomTooltip3D();
+}
+
+export function hideAtomTooltip() {
+  shown = null;
+  label.visible = false;
+}
+
+// Follow the atom (dynamics, rotamers); gone once it is removed or hidden
+export function updateAtomTooltip3D() {
+  if (!shown) return;
+  const position = pickedAtomWorld(shown);
+  if (!position) {
+    hideAtomTooltip();
+    return;
+  }
+  label.position.copy(position);
+}
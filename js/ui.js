@@ -2,9 +2,15 @@
 // ui.js — React UI: title screen, palette, chain display, info
 // ============================================================
 
-import { BIOMES, CAT, CAT_COLORS, CATEGORIES, BIOMES_BY_CATEGORY, BIOME_BY_LETTER } from './constants.js';
+import { BIOMES, CAT, CAT_COLORS, CATEGORIES, BIOMES_BY_CATEGORY, BIOME_BY_LETTER, SS_PRESETS, PH_MIN, PH_MAX, DEFAULT_PH, TEMP_MIN, TEMP_MAX, DEFAULT_TEMP, REPRESENTATIONS, DEFAULT_REPRESENTATION, CARTOON_MODES, COLOR_SCHEMES, DEFAULT_COLOR_SCHEME, SURFACE_OPACITY_MIN, DEFAULT_SURFACE_OPACITY, SASA_BURIED_MAX, SASA_EXPOSED_MIN, MEASURE_MODES } from './constants.js';
 import { SCENES } from './scenes.js';
-const { useState, useEffect, useCallback } = React;
+import { parseSequence } from './sequence.js';
+import { RAMA_MAPS, ramaMapId, classifyRama } from './ramachandran.js';
+import {
+  peptideFormula, formulaText, formulaMass, netCharge, isoelectricPoint, gravy,
+  extinctionCoefficient, aliphaticIndex, instabilityIndex, INSTABILITY_THRESHOLD,
+} from './properties.js';
+const { useState, useEffect, useCallback, useRef } = React;
 
 const isMobile = window.matchMedia('(max-width: 768px)').matches;
 
@@ -43,6 +49,228 @@ function TitleScreen({ onStart }) {
   );
 }
 
+// --- Rotamer state of the focused residue ---
+// { refKey, rotamer, rotamerCount } or null (palette selection / no sidechain)
+function useFocusedRotamer() {
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    const onFocus = (data) => {
+      setInfo(data.index != null && data.rotamerCount > 0
+        ? { refKey: data.refKey, rotamer: data.rotamer, rotamerCount: data.rotamerCount }
+        : null);
+    };
+    const onChanged = (data) => {
+      setInfo(cur => (cur && cur.refKey === data.refKey ? { ...data } : cur));
+    };
+    const onSel = () => setInfo(null);
+    GameEvents.on('focusEntry', onFocus);
+    GameEvents.on('rotamerChanged', onChanged);
+    GameEvents.on('selectionChanged', onSel);
+    return () => {
+      GameEvents.off('focusEntry', onFocus);
+      GameEvents.off('rotamerChanged', onChanged);
+      GameEvents.off('selectionChanged', onSel);
+    };
+  }, []);
+
+  return info;
+}
+
+function rotamerText(info) {
+  if (info.rotamer == null) return 'custom conformation';
+  return `rotamer ${info.rotamer + 1}/${info.rotamerCount}`;
+}
+
+// --- Backbone of the focused residue ---
+// { refKey, backbone, segment: { index, length } } or null
+function useFocusedBackbone() {
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    const onFocus = (data) => {
+      setInfo(data.index != null
+        ? { refKey: data.refKey, backbone: data.backbone, segment: data.segment }
+        : null);
+    };
+    const onSel = () => setInfo(null);
+    GameEvents.on('focusEntry', onFocus);
+    GameEvents.on('entryUpdated', onFocus);
+    GameEvents.on('selectionChanged', onSel);
+    return () => {
+      GameEvents.off('focusEntry', onFocus);
+      GameEvents.off('entryUpdated', onFocus);
+      GameEvents.off('selectionChanged', onSel);
+    };
+  }, []);
+
+  return info;
+}
+
+// --- Representation override of the focused residue ---
+// { refKey, representation (null = global) } or null
+function useFocusedRepresentation() {
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    const onFocus = (data) => {
+      setInfo(data.index != null ? { refKey: data.refKey, representation: data.representation } : null);
+    };
+    const onSel = () => setInfo(null);
+    GameEvents.on('focusEntry', onFocus);
+    GameEvents.on('entryUpdated', onFocus);
+    GameEvents.on('selectionChanged', onSel);
+    return () => {
+      GameEvents.off('focusEntry', onFocus);
+      GameEvents.off('entryUpdated', onFocus);
+      GameEvents.off('selectionChanged', onSel);
+    };
+  }, []);
+
+  return info;
+}
+
+// Mode picker (representations by default); with a globalLabel, an
+// empty value follows the global mode
+function ModeSelect({ value, onChange, className, title, options = REPRESENTATIONS, globalLabel = null }) {
+  return React.createElement('select', {
+    className, title,
+    value: value || '',
+    onChange: e => onChange(e.target.value || null),
+    onKeyDown: e => e.stopPropagation(),
+  },
+    globalLabel && React.createElement('option', { value: '' }, globalLabel),
+    ...options.map(r => React.createElement('option', { key: r.id, value: r.id }, r.name)),
+  );
+}
+
+// --- Color scheme (shared by the chain bar and the legend) ---
+function useColorScheme() {
+  const [scheme, setScheme] = useState(DEFAULT_COLOR_SCHEME);
+
+  useEffect(() => {
+    const onScheme = (data) => setScheme(data.scheme);
+    GameEvents.on('colorSchemeChanged', onScheme);
+    return () => GameEvents.off('colorSchemeChanged', onScheme);
+  }, []);
+
+  return scheme;
+}
+
+const legendDot = (key, color, label) =>
+  React.createElement('span', { key, className: 'legend-atom' },
+    React.createElement('span', { className: 'legend-dot', style: { backgroundColor: color } }),
+    label,
+  );
+
+// Key to the structure colors under the current scheme
+function ColorLegend() {
+  const scheme = COLOR_SCHEMES.find(s => s.id === useColorScheme());
+
+  let items;
+  if (scheme.gradient) {
+    items = [
+      React.createElement('span', { key: 'lo' }, scheme.ends[0]),
+      React.createElement('span', {
+        key: 'bar',
+        className: 'legend-gradient',
+        style: { background: `linear-gradient(to right, ${scheme.gradient.join(', ')})` },
+      }),
+      React.createElement('span', { key: 'hi' }, scheme.ends[1]),
+    ];
+  } else if (scheme.id === 'category') {
+    items = CATEGORIES.map(c => legendDot(c.key, CAT_COLORS[c.key], c.label));
+  } else {
+    items = [['C', '#555555'], ['N', '#5588ff'], ['O', '#ff4444'], ['S', '#ddcc22']].map(([el, col]) =>
+      legendDot(el, col, el));
+  }
+
+  return React.createElement('div', { className: 'info-legend' },
+    React.createElement('span', null, scheme.id === 'element' ? 'Structure key: ' : `${scheme.name}: `),
+    ...items,
+  );
+}
+
+// One dihedral field; commits on Enter or blur
+function DihedralInput({ label, value, onCommit }) {
+  const shown = value == null ? '' : String(Math.round(value));
+  const [text, setText] = useState(shown);
+  useEffect(() => setText(shown), [shown]);
+
+  const commit = () => {
+    const v = parseFloat(text);
+    if (!Number.isFinite(v) || text === shown) { setText(shown); return; }
+    // Wrap into (-180, 180]
+    onCommit(180 - ((180 - v) % 360 + 360) % 360);
+  };
+
+  return React.createElement('label', { className: 'dihedral-field' },
+    React.createElement('span', null, label),
+    React.createElement('input', {
+      type: 'number', step: 5, value: text, placeholder: '\u2014',
+      onChange: e => setText(e.target.value),
+      onBlur: commit,
+      onKeyDown: e => {
+        // Keep builder shortcuts (R, arrows, Backspace) out of the field
+        e.stopPropagation();
+        if (e.key === 'Enter') e.target.blur();
+      },
+    }),
+  );
+}
+
+function BackbonePanel({ info }) {
+  const { index, length } = info.segment;
+  const [range, setRange] = useState({ from: 1, to: length });
+  useEffect(() => setRange({ from: 1, to: length }), [info.refKey, length]);
+
+  const bb = info.backbone;
+  const setDihedral = (key) => (v) => GameEvents.emit('setDihedrals', { [key]: v });
+  const clampRange = (key) => (e) => {
+    const v = Math.min(length, Math.max(1, parseInt(e.target.value, 10) || 1));
+    setRange(r => (key === 'from'
+      ? { from: v, to: Math.max(v, r.to) }
+      : { from: Math.min(v, r.from), to: v }));
+  };
+  const rangeInput = (key) => React.createElement('input', {
+    type: 'number', min: 1, max: length, value: range[key],
+    onChange: clampRange(key),
+    onKeyDown: e => e.stopPropagation(),
+  });
+
+  return React.createElement('div', { className: 'backbone-panel' },
+    React.createElement('div', { className: 'backbone-title' },
+      'Backbone',
+      React.createElement('span', { className: 'backbone-pos' },
+        ` \u2014 residue ${index + 1} of ${length}${bb ? '' : ' (flat)'}`),
+    ),
+    React.createElement('div', { className: 'dihedral-row' },
+      React.createElement(DihedralInput, { label: '\u03C6', value: bb && bb.phi, onCommit: setDihedral('phi') }),
+      React.createElement(DihedralInput, { label: '\u03C8', value: bb && bb.psi, onCommit: setDihedral('psi') }),
+      React.createElement(DihedralInput, { label: '\u03C9', value: bb && bb.omega, onCommit: setDihedral('omega') }),
+    ),
+    React.createElement('div', { className: 'backbone-range' },
+      'Residues ', rangeInput('from'), ' to ', rangeInput('to'),
+    ),
+    React.createElement('div', { className: 'backbone-presets' },
+      ...SS_PRESETS.map(p =>
+        React.createElement('button', {
+          key: p.id,
+          title: `\u03C6 ${p.phi}\u00B0, \u03C8 ${p.psi}\u00B0`,
+          onClick: () => GameEvents.emit('applyBackbonePreset', {
+            preset: p.id, from: range.from - 1, to: range.to - 1,
+          }),
+        }, p.name)
+      ),
+      React.createElement('button', {
+        className: 'backbone-flat',
+        disabled: !bb,
+        onClick: () => GameEvents.emit('flattenSegment'),
+      }, 'Flat'),
+    ),
+  );
+}
+
 // ============================================================
 // Desktop Components
 // ============================================================
@@ -80,6 +308,177 @@ function Lessons() {
   );
 }
 
+// --- Structure import (PDB / mmCIF file picker) ---
+function ImportButton({ className, label }) {
+  const inputRef = useRef(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => GameEvents.emit('importStructure', { name: file.name, text }));
+  };
+
+  return React.createElement(React.Fragment, null,
+    React.createElement('button', {
+      className,
+      onClick: () => inputRef.current.click(),
+      title: 'Load residues from a PDB or mmCIF file',
+    }, label),
+    React.createElement('input', {
+      ref: inputRef,
+      type: 'file',
+      accept: '.pdb,.ent,.cif,.mmcif',
+      style: { display: 'none' },
+      onChange: handleFile,
+    }),
+  );
+}
+
+// --- Workspaces: named slots in the browser, .peptidelab.json files ---
+function Workspaces() {
+  const [slots, setSlots] = useState([]);
+  const [name, setName] = useState('');
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    const onSlots = (data) => setSlots(data.slots);
+    GameEvents.on('workspacesChanged', onSlots);
+    GameEvents.emit('listWorkspaces');
+    return () => GameEvents.off('workspacesChanged', onSlots);
+  }, []);
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (slots.some(s => s.name === trimmed) && !window.confirm(`Replace the saved workspace \u201C${trimmed}\u201D?`)) return;
+    GameEvents.emit('saveWorkspace', { name: trimmed });
+    setName('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep builder shortcuts out of the text box
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => GameEvents.emit('uploadWorkspace', { name: file.name, text }));
+  };
+
+  return React.createElement('div', { className: 'workspace-entry' },
+    React.createElement('div', { className: 'workspace-save' },
+      React.createElement('input', {
+        className: 'sequence-input',
+        value: name,
+        placeholder: 'Workspace name',
+        onChange: (e) => setName(e.target.value),
+        onKeyDown: handleKeyDown,
+      }),
+      React.createElement('button', {
+        className: 'sequence-build-btn',
+        onClick: handleSave,
+        disabled: !name.trim(),
+        title: 'Save the chain, camera and lesson in this browser (Enter)',
+      }, 'Save'),
+    ),
+    ...slots.map(slot =>
+      React.createElement('div', { key: slot.name, className: 'workspace-slot' },
+        React.createElement('button', {
+          className: 'lesson-item',
+          onClick: () => GameEvents.emit('openWorkspace', { name: slot.name }),
+          title: `Saved ${new Date(slot.savedAt).toLocaleString()}`,
+        }, `${slot.name} (${slot.residues})`),
+        React.createElement('button', {
+          className: 'workspace-delete',
+          onClick: () => { if (window.confirm(`Delete \u201C${slot.name}\u201D?`)) GameEvents.emit('deleteWorkspace', { name: slot.name }); },
+          title: 'Delete',
+        }, '\u2715'),
+      )
+    ),
+    React.createElement('div', { className: 'workspace-files' },
+      React.createElement('button', {
+        className: 'sequence-build-btn',
+        onClick: () => GameEvents.emit('downloadWorkspace'),
+        title: 'Download the workspace as a .peptidelab.json file',
+      }, 'Download'),
+      React.createElement('button', {
+        className: 'sequence-build-btn',
+        onClick: () => fileRef.current.click(),
+        title: 'Open a .peptidelab.json file',
+      }, 'Open file\u2026'),
+    ),
+    React.createElement('input', {
+      ref: fileRef,
+      type: 'file',
+      accept: '.json,application/json',
+      style: { display: 'none' },
+      onChange: handleFile,
+    }),
+  );
+}
+
+function WorkspaceSection() {
+  const [open, setOpen] = useState(false);
+
+  return React.createElement('div', { className: 'lessons-section' },
+    React.createElement('button', {
+      className: 'lessons-toggle',
+      onClick: () => setOpen(!open),
+    }, open ? 'Workspaces \u25B4' : 'Workspaces \u25BE'),
+    open && React.createElement(Workspaces),
+  );
+}
+
+// --- Sequence entry (type a peptide, build it on the grid) ---
+function SequenceEntry() {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleBuild = () => {
+    const result = parseSequence(text);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    setError(null);
+    GameEvents.emit('buildSequence', { letters: result.letters });
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep builder shortcuts (R, Delete, arrows...) out of the text box
+    e.stopPropagation();
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleBuild();
+    }
+  };
+
+  return React.createElement('div', { className: 'sequence-entry' },
+    React.createElement('textarea', {
+      className: 'sequence-input' + (error ? ' invalid' : ''),
+      value: text,
+      rows: 2,
+      spellCheck: false,
+      placeholder: 'ACDEFG, Ala-Cys-Asp or FASTA',
+      onChange: (e) => { setText(e.target.value); setError(null); },
+      onKeyDown: handleKeyDown,
+    }),
+    error && React.createElement('div', { className: 'sequence-error' }, error),
+    React.createElement('button', {
+      className: 'sequence-build-btn',
+      onClick: handleBuild,
+      title: 'Replace the chain with this sequence (Enter)',
+    }, 'Build sequence'),
+  );
+}
+
 // --- Palette (desktop: left sidebar) ---
 function DesktopPalette() {
   const [selected, setSelected] = useState(null);
@@ -101,6 +500,9 @@ function DesktopPalette() {
 
   return React.createElement('div', { className: 'palette' },
     React.createElement(Lessons),
+    React.createElement(SequenceEntry),
+    React.createElement(ImportButton, { className: 'import-btn', label: 'Import PDB / mmCIF' }),
+    React.createElement(WorkspaceSection),
     React.createElement('div', { className: 'palette-title' }, 'Amino Acids'),
     ...CATEGORIES.map(cat =>
       React.createElement('div', { key: cat.key, className: 'palette-group' },
@@ -134,6 +536,9 @@ function DesktopPalette() {
 function DesktopInfoPanel() {
   const [letter, setLetter] = useState(null);
   const [sceneInfo, setSceneInfo] = useState(null);
+  const rotamer = useFocusedRotamer();
+  const backbone = useFocusedBackbone();
+  const repr = useFocusedRepresentation();
 
   useEffect(() => {
     const onSel = (data) => { setLetter(data.letter); setSceneInfo(null); };
@@ -169,6 +574,20 @@ function DesktopInfoPanel() {
       React.createElement('span', { className: 'info-codes' }, `${b.code3} (${b.letter})`),
     ),
     React.createElement('p', { className: 'info-oneliner' }, b.oneLiner),
+    rotamer && React.createElement('div', { className: 'info-rotamer' },
+      rotamerText(rotamer),
+      React.createElement('span', { className: 'info-rotamer-hint' }, ' \u2014 press R to cycle'),
+    ),
+    backbone && backbone.segment.length > 1 && React.createElement(BackbonePanel, { info: backbone }),
+    repr && React.createElement('label', { className: 'info-repr' },
+      'Style: ',
+      React.createElement(ModeSelect, {
+        value: repr.representation,
+        onChange: mode => GameEvents.emit('setResidueRepresentation', { mode }),
+        globalLabel: 'Global',
+        title: 'Draw this residue differently from the rest',
+      }),
+    ),
     React.createElement('div', { className: 'info-props' },
       React.createElement('div', null, `Charge: ${b.properties.charge}`),
       React.createElement('div', null, `pI: ${b.properties.pI}`),
@@ -179,15 +598,7 @@ function DesktopInfoPanel() {
       React.createElement('span', null, 'Codons: '),
       b.codons.join(', '),
     ),
-    React.createElement('div', { className: 'info-legend' },
-      React.createElement('span', null, 'Structure key: '),
-      ...[['C', '#555555'], ['N', '#5588ff'], ['O', '#ff4444'], ['S', '#ddcc22']].map(([el, col]) =>
-        React.createElement('span', { key: el, className: 'legend-atom' },
-          React.createElement('span', { className: 'legend-dot', style: { backgroundColor: col } }),
-          el,
-        )
-      ),
-    ),
+    React.createElement(ColorLegend),
   );
 }
 
@@ -225,12 +636,17 @@ function DesktopHelpModal({ onClose }) {
         ['Drag placed residue', 'Move it to a new cell'],
         ['\u2190 \u2192 \u2191 \u2193', 'Rotate selected residue'],
         ['R', 'Cycle side-chain rotamer'],
+        ['H', 'Show / hide hydrogens'],
         ['Backspace / X', 'Delete selected residue'],
-        ['Ctrl+Z / \u2318+Z', 'Undo (remove last placed)'],
-        ['Escape', 'Deselect / unfocus'],
+        ['Ctrl+Z / \u2318+Z', 'Undo last edit'],
+        ['Ctrl+Shift+Z / \u2318+Shift+Z', 'Redo'],
+        ['Escape', 'Leave measure tool / deselect / unfocus'],
       ]),
       section('Other', [
+        ['Measure + click atoms', 'Distance, angle or dihedral'],
         ['Lessons panel', 'Load preset peptide scenes'],
+        ['History panel', 'Click an edit to go back (or forward) to it'],
+        ['Workspaces', 'Save, open, download or upload your work'],
       ]),
       React.createElement('hr', { className: 'help-divider' }),
       React.createElement('h2', null, 'Visual Guide'),
@@ -253,8 +669,8 @@ function DesktopHelpModal({ onClose }) {
         React.createElement('h3', null, 'Charge Fields'),
         ...[
           ['radial-gradient(circle, #ffcc33 0%, transparent 70%)', 'Yellow glow', 'Positive charge (Lys, Arg)'],
-          ['radial-gradient(circle, #ff5544 0%, transparent 70%)', 'Red glow', 'Negative charge (Asp, Glu)'],
-          ['radial-gradient(circle, #4488ff 0%, transparent 70%)', 'Blue pulse', 'pH-sensitive (His switches charge near pH 6)'],
+          ['radial-gradient(circle, #ff5544 0%, transparent 70%)', 'Red glow', 'Negative charge (Asp, Glu; Cys, Tyr at high pH)'],
+          ['radial-gradient(circle, #4488ff 0%, transparent 70%)', 'Blue pulse', 'His: protonated below about pH 6.5 (pH slider)'],
         ].map(([bg, label, detail], i) =>
           React.createElement('div', { key: i, className: 'legend-row' },
             React.createElement('span', { className: 'legend-swatch-field', style: { background: bg } }),
@@ -363,8 +779,20 @@ function LessonsButton() {
 
   useEffect(() => {
     const onLoaded = (data) => { setActiveId(data.scene.id); setOpen(false); };
+    const onBuilt = () => { setActiveId(null); setOpen(false); };
+    const onOpened = () => setOpen(false);
     GameEvents.on('sceneLoaded', onLoaded);
-    return () => GameEvents.off('sceneLoaded', onLoaded);
+    GameEvents.on('buildSequence', onBuilt);
+    GameEvents.on('importStructure', onBuilt);
+    GameEvents.on('openWorkspace', onOpened);
+    GameEvents.on('uploadWorkspace', onOpened);
+    return () => {
+      GameEvents.off('sceneLoaded', onLoaded);
+      GameEvents.off('buildSequence', onBuilt);
+      GameEvents.off('importStructure', onBuilt);
+      GameEvents.off('openWorkspace', onOpened);
+      GameEvents.off('uploadWorkspace', onOpened);
+    };
   }, []);
 
   const handleLoad = (id) => {
@@ -388,6 +816,11 @@ function LessonsButton() {
           onClick: () => handleLoad(sc.id),
         }, sc.name)
       ),
+      React.createElement('div', { className: 'lessons-dropdown-title' }, 'Build'),
+      React.createElement(SequenceEntry),
+      React.createElement(ImportButton, { className: 'lesson-item', label: 'Import PDB / mmCIF\u2026' }),
+      React.createElement('div', { className: 'lessons-dropdown-title' }, 'Workspaces'),
+      React.createElement(Workspaces),
     ),
   );
 }
@@ -396,6 +829,7 @@ function LessonsButton() {
 function MobileInfoPanel() {
   const [letter, setLetter] = useState(null);
   const [sceneInfo, setSceneInfo] = useState(null);
+  const rotamer = useFocusedRotamer();
 
   useEffect(() => {
     const onFocus = (data) => {
@@ -434,6 +868,7 @@ function MobileInfoPanel() {
   return React.createElement('div', { className: 'info-toast' },
     React.createElement('span', { className: 'info-toast-text' },
       React.createElement('strong', null, `${b.name} (${b.letter})`),
+      rotamer && ` \u00B7 ${rotamerText(rotamer)}`,
       ' \u2014 ',
       b.oneLiner,
     ),
@@ -473,10 +908,13 @@ function MobileHelpModal({ onClose }) {
         ['Tap placed residue', 'Select it (shows info + actions)'],
         ['Drag placed residue', 'Move it to a new cell'],
         ['Delete button', 'Remove selected residue'],
-        ['Undo button', 'Remove last placed residue'],
+        ['\u27F3 button', 'Cycle side-chain rotamer'],
+        ['\u21B6 / \u21B7 buttons', 'Undo / redo last edit'],
       ]),
       section('Other', [
+        ['Measure + tap atoms', 'Distance, angle or dihedral'],
         ['Lessons panel', 'Load preset peptide scenes'],
+        ['Workspaces (\u{1F4D6})', 'Save, open, download or upload your work'],
       ]),
       React.createElement('hr', { className: 'help-divider' }),
       React.createElement('h2', null, 'Visual Guide'),
@@ -499,8 +937,8 @@ function MobileHelpModal({ onClose }) {
         React.createElement('h3', null, 'Charge Fields'),
         ...[
           ['radial-gradient(circle, #ffcc33 0%, transparent 70%)', 'Yellow glow', 'Positive charge (Lys, Arg)'],
-          ['radial-gradient(circle, #ff5544 0%, transparent 70%)', 'Red glow', 'Negative charge (Asp, Glu)'],
-          ['radial-gradient(circle, #4488ff 0%, transparent 70%)', 'Blue pulse', 'pH-sensitive (His switches charge near pH 6)'],
+          ['radial-gradient(circle, #ff5544 0%, transparent 70%)', 'Red glow', 'Negative charge (Asp, Glu; Cys, Tyr at high pH)'],
+          ['radial-gradient(circle, #4488ff 0%, transparent 70%)', 'Blue pulse', 'His: protonated below about pH 6.5 (pH slider)'],
         ].map(([bg, label, detail], i) =>
           React.createElement('div', { key: i, className: 'legend-row' },
             React.createElement('span', { className: 'legend-swatch-field', style: { background: bg } }),
@@ -545,9 +983,43 @@ function ResetViewButton() {
   }, '\u2302');
 }
 
-// --- Action Bar (mobile: floating delete/undo/deselect) ---
+function HydrogenToggle() {
+  const [shown, setShown] = useState(false);
+
+  useEffect(() => {
+    const onChange = (data) => setShown(data.shown);
+    GameEvents.on('hydrogensChanged', onChange);
+    return () => GameEvents.off('hydrogensChanged', onChange);
+  }, []);
+
+  return React.createElement('button', {
+    className: 'hydrogen-btn' + (shown ? ' active' : ''),
+    onClick: () => GameEvents.emit('toggleHydrogens'),
+    title: shown ? 'Hide hydrogens (H)' : 'Show hydrogens (H)',
+  }, 'H');
+}
+
+// --- Undo history: edit labels, and how many of them are applied ---
+function useHistory() {
+  const [history, setHistory] = useState({ labels: [], position: 0 });
+
+  useEffect(() => {
+    GameEvents.on('historyChanged', setHistory);
+    return () => GameEvents.off('historyChanged', setHistory);
+  }, []);
+
+  return {
+    ...history,
+    canUndo: history.position > 0,
+    canRedo: history.position < history.labels.length,
+  };
+}
+
+// --- Action Bar (mobile: floating undo/redo, delete/rotamer/deselect) ---
 function ActionBar() {
   const [focused, setFocused] = useState(false);
+  const rotamer = useFocusedRotamer();
+  const history = useHistory();
 
   useEffect(() => {
     const onFocus = (data) => {
@@ -557,20 +1029,32 @@ function ActionBar() {
     return () => GameEvents.off('focusEntry', onFocus);
   }, []);
 
-  if (!focused) return null;
+  if (!focused && !history.canUndo && !history.canRedo) return null;
 
   return React.createElement('div', { className: 'action-bar' },
-    React.createElement('button', {
+    focused && React.createElement('button', {
       className: 'action-btn delete',
       onClick: () => GameEvents.emit('deleteEntry'),
       title: 'Delete selected',
     }, '\u2715'),
+    focused && rotamer && React.createElement('button', {
+      className: 'action-btn',
+      onClick: () => GameEvents.emit('cycleRotamer'),
+      title: 'Next rotamer',
+    }, '\u27F3'),
     React.createElement('button', {
       className: 'action-btn',
-      onClick: () => GameEvents.emit('undoLast'),
-      title: 'Undo last',
-    }, '\u21A9'),
+      onClick: () => GameEvents.emit('undo'),
+      disabled: !history.canUndo,
+      title: history.canUndo ? `Undo ${history.labels[history.position - 1]}` : 'Nothing to undo',
+    }, '\u21B6'),
     React.createElement('button', {
+      className: 'action-btn',
+      onClick: () => GameEvents.emit('redo'),
+      disabled: !history.canRedo,
+      title: history.canRedo ? `Redo ${history.labels[history.position]}` : 'Nothing to redo',
+    }, '\u21B7'),
+    focused && React.createElement('button', {
       className: 'action-btn',
       onClick: () => GameEvents.emit('deselect'),
       title: 'Deselect',
@@ -582,26 +1066,242 @@ function ActionBar() {
 // Shared Components
 // ============================================================
 
+// Solution pH, broadcast by the game whenever the slider moves it
+function useSolutionPH() {
+  const [pH, setPH] = useState(DEFAULT_PH);
+
+  useEffect(() => {
+    const onPH = (data) => setPH(data.pH);
+    GameEvents.on('phChanged', onPH);
+    return () => GameEvents.off('phChanged', onPH);
+  }, []);
+
+  return pH;
+}
+
+const signedCharge = (charge) => `${charge > 0 ? '+' : ''}${charge.toFixed(2)}`;
+
+// --- pH slider with the peptide's net charge at that pH ---
+function PHControl({ pH, stats }) {
+  return React.createElement('div', { className: 'chain-ph' },
+    React.createElement('span', { className: 'chain-ph-label' }, 'pH'),
+    React.createElement('input', {
+      type: 'range', min: PH_MIN, max: PH_MAX, step: 0.1, value: pH,
+      className: 'chain-ph-slider',
+      onChange: e => GameEvents.emit('setPH', { pH: parseFloat(e.target.value) }),
+      onKeyDown: e => e.stopPropagation(),
+      title: 'Solution pH: sets the protonation state of every ionizable group',
+    }),
+    React.createElement('span', { className: 'chain-ph-value' }, pH.toFixed(1)),
+    stats && React.createElement('span', {
+      className: 'chain-charge',
+      title: 'Net charge at this pH (free termini and ionizable sidechains)',
+    }, `net ${signedCharge(netCharge(stats.segments, pH, stats.disulfides))}`),
+  );
+}
+
+// --- Molecular dynamics: play / pause / step and thermostat slider ---
+function DynamicsControl() {
+  const [md, setMD] = useState({ running: false, target: DEFAULT_TEMP, temperature: 0, time: 0 });
+
+  useEffect(() => {
+    GameEvents.on('dynamicsChanged', setMD);
+    return () => GameEvents.off('dynamicsChanged', setMD);
+  }, []);
+
+  return React.createElement('div', { className: 'chain-md' },
+    React.createElement('button', {
+      className: 'chain-md-btn' + (md.running ? ' active' : ''),
+      onClick: () => GameEvents.emit('toggleDynamics'),
+      title: md.running ? 'Pause molecular dynamics' : 'Run molecular dynamics: atoms move under the force field',
+    }, md.running ? '\u275A\u275A' : '\u25B6 MD'),
+    React.createElement('button', {
+      className: 'chain-md-btn',
+      onClick: () => GameEvents.emit('stepDynamics'),
+      disabled: md.running,
+      title: 'Advance 10 fs',
+    }, '\u23ED'),
+    React.createElement('input', {
+      type: 'range', min: TEMP_MIN, max: TEMP_MAX, step: 10, value: md.target,
+      className: 'chain-md-slider',
+      onChange: e => GameEvents.emit('setTemperature', { kelvin: parseFloat(e.target.value) }),
+      onKeyDown: e => e.stopPropagation(),
+      title: 'Thermostat temperature',
+    }),
+    React.createElement('span', { className: 'chain-md-value' }, `${md.target} K`),
+    md.time > 0 && React.createElement('span', {
+      className: 'chain-md-stats',
+      title: 'Instantaneous temperature and simulated time',
+    }, `${Math.round(md.temperature)} K \u00B7 ${(md.time / 1000).toFixed(1)} ps`),
+  );
+}
+
+// --- Molecular surface: show / hide and opacity ---
+function SurfaceControl() {
+  const [surface, setSurface] = useState({ shown: false, opacity: DEFAULT_SURFACE_OPACITY });
+
+  useEffect(() => {
+    GameEvents.on('surfaceChanged', setSurface);
+    return () => GameEvents.off('surfaceChanged', setSurface);
+  }, []);
+
+  return React.createElement('div', { className: 'chain-surface' },
+    React.createElement('button', {
+      className: 'chain-surface-btn' + (surface.shown ? ' active' : ''),
+      onClick: () => GameEvents.emit('toggleSurface'),
+      title: 'Molecular surface colored by electrostatic potential (red negative, blue positive)',
+    }, 'Surface'),
+    surface.shown && React.createElement('input', {
+      type: 'range', min: SURFACE_OPACITY_MIN, max: 1, step: 0.05, value: surface.opacity,
+      className: 'chain-surface-slider',
+      onChange: e => GameEvents.emit('setSurfaceOpacity', { opacity: parseFloat(e.target.value) }),
+      onKeyDown: e => e.stopPropagation(),
+      title: 'Surface opacity',
+    }),
+  );
+}
+
+// --- Measure tool: mode, atoms picked so far, clear / CSV download ---
+function MeasureControl() {
+  const [state, setState] = useState({ mode: 'off', picked: 0, needed: 0, measurements: [] });
+
+  useEffect(() => {
+    GameEvents.on('measurementsChanged', setState);
+    return () => GameEvents.off('measurementsChanged', setState);
+  }, []);
+
+  const count = state.measurements.length;
+  return React.createElement('div', { className: 'chain-measure' },
+    React.createElement(ModeSelect, {
+      className: 'chain-repr',
+      value: state.mode,
+      options: MEASURE_MODES,
+      onChange: mode => GameEvents.emit('setMeasureMode', { mode }),
+      title: 'Measure: click atoms for a distance (2), angle (3) or dihedral (4); Escape leaves the tool',
+    }),
+    state.mode !== 'off' && React.createElement('span', {
+      className: 'chain-measure-picked',
+      title: 'Atoms picked toward the next measurement',
+    }, `${state.picked}/${state.needed}`),
+    count > 0 && React.createElement('button', {
+      className: 'chain-measure-btn',
+      onClick: () => GameEvents.emit('exportMeasurements'),
+      title: 'Download measurements as CSV',
+    }, 'CSV'),
+    count > 0 && React.createElement('button', {
+      className: 'chain-measure-btn',
+      onClick: () => GameEvents.emit('clearMeasurements'),
+      title: `Clear ${count} measurement${count === 1 ? '' : 's'}`,
+    }, `\u2715 ${count}`),
+  );
+}
+
 // --- Chain Display (top bar) ---
 function ChainDisplay() {
   const [sequence, setSequence] = useState('');
   const [length, setLength] = useState(0);
+  const [stats, setStats] = useState(null);
+  const [clashes, setClashes] = useState({ count: 0, severe: 0, strict: false });
+  const [energy, setEnergy] = useState(null);   // last relax: { before, after, steps, converged }
+  const [representation, setRepresentation] = useState(DEFAULT_REPRESENTATION);
+  const [cartoon, setCartoon] = useState('off');
+  const colorScheme = useColorScheme();
+  const pH = useSolutionPH();
 
   useEffect(() => {
     const onChange = (data) => {
       setSequence(data.sequence);
       setLength(data.length);
+      setEnergy(null);
     };
+    const onStats = (data) => setStats(data);
+    const onPose = () => setEnergy(null);
+    const onRepr = (data) => setRepresentation(data.mode);
+    const onCartoon = (data) => setCartoon(data.mode);
     GameEvents.on('chainChanged', onChange);
-    return () => GameEvents.off('chainChanged', onChange);
+    GameEvents.on('representationChanged', onRepr);
+    GameEvents.on('cartoonChanged', onCartoon);
+    GameEvents.on('chainStats', onStats);
+    GameEvents.on('clashesChanged', setClashes);
+    GameEvents.on('minimized', setEnergy);
+    GameEvents.on('structureUpdated', onPose);
+    return () => {
+      GameEvents.off('chainChanged', onChange);
+      GameEvents.off('representationChanged', onRepr);
+      GameEvents.off('cartoonChanged', onCartoon);
+      GameEvents.off('chainStats', onStats);
+      GameEvents.off('clashesChanged', setClashes);
+      GameEvents.off('minimized', setEnergy);
+      GameEvents.off('structureUpdated', onPose);
+    };
   }, []);
 
   if (length === 0) return null;
+  const cysCount = sequence.split('C').length - 1;
 
   return React.createElement('div', { className: 'chain-display' },
     React.createElement('span', { className: 'chain-label' }, 'Chain: '),
     React.createElement('span', { className: 'chain-sequence' }, sequence),
     React.createElement('span', { className: 'chain-count' }, `(${length} residues)`),
+    stats && React.createElement('span', { className: 'chain-mw' },
+      `${stats.mw.toFixed(1)} Da` + (stats.disulfides > 0 ? ` \u00B7 ${stats.disulfides} S\u2013S` : ''),
+    ),
+    stats && cysCount >= 2 && React.createElement('button', {
+      className: 'chain-ss-btn' + (stats.oxidized ? ' active' : ''),
+      onClick: () => GameEvents.emit('toggleDisulfides'),
+      title: stats.oxidized
+        ? 'Oxidizing: nearby cysteines form disulfide bonds (click to reduce)'
+        : 'Reducing: disulfide bonds are broken (click to oxidize)',
+    }, stats.oxidized ? 'S\u2013S' : 'SH HS'),
+    React.createElement(PHControl, { pH, stats }),
+    clashes.count > 0 && React.createElement('span', {
+      className: 'chain-clashes',
+      title: clashes.severe > 0 ? `${clashes.severe} severe (\u2265 1 \u00C5 overlap)` : 'van der Waals overlaps \u2265 0.4 \u00C5',
+    }, `${clashes.count} clash${clashes.count === 1 ? '' : 'es'}`),
+    React.createElement('button', {
+      className: 'chain-strict-btn' + (clashes.strict ? ' active' : ''),
+      onClick: () => GameEvents.emit('toggleClashStrict'),
+      title: clashes.strict
+        ? 'Strict: placing or moving onto a severe clash is refused (click to allow)'
+        : 'Lenient: clashes are only highlighted (click to refuse severe ones)',
+    }, clashes.strict ? 'Strict' : 'Lenient'),
+    React.createElement('button', {
+      className: 'chain-relax-btn',
+      onClick: () => GameEvents.emit('minimize'),
+      title: 'Relax: energy-minimize bond lengths, angles and contacts (folded residues also relax against each other)',
+    }, 'Relax'),
+    energy && React.createElement('span', {
+      className: 'chain-energy',
+      title: `${energy.steps} steps${energy.converged ? '' : ' (stopped before converging)'}`,
+    }, `E ${energy.before.toFixed(1)} \u2192 ${energy.after.toFixed(1)} kcal/mol`),
+    React.createElement(DynamicsControl),
+    React.createElement(ModeSelect, {
+      className: 'chain-repr',
+      value: representation,
+      onChange: mode => GameEvents.emit('setRepresentation', { mode }),
+      title: 'Representation of all residues (a selected residue can override it)',
+    }),
+    React.createElement(ModeSelect, {
+      className: 'chain-repr',
+      value: cartoon,
+      options: CARTOON_MODES,
+      onChange: mode => GameEvents.emit('setCartoonMode', { mode }),
+      title: 'Cartoon: trace the backbone of segments of 3+ residues (tube, helix ribbon, strand arrow)',
+    }),
+    React.createElement(ModeSelect, {
+      className: 'chain-repr',
+      value: colorScheme,
+      options: COLOR_SCHEMES,
+      onChange: scheme => GameEvents.emit('setColorScheme', { scheme }),
+      title: 'Color scheme (the info panel shows its key)',
+    }),
+    React.createElement(SurfaceControl),
+    React.createElement(MeasureControl),
+    React.createElement('button', {
+      className: 'chain-export-btn',
+      onClick: () => GameEvents.emit('exportPDB'),
+      title: 'Download as PDB file',
+    }, 'PDB'),
     React.createElement('button', {
       className: 'chain-clear-btn',
       onClick: () => GameEvents.emit('clearScene'),
@@ -610,6 +1310,29 @@ function ChainDisplay() {
   );
 }
 
+// --- Notice (transient message, e.g. an import report) ---
+function Notice() {
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let timer = null;
+    const onNotify = (data) => {
+      setNotice(data);
+      clearTimeout(timer);
+      timer = setTimeout(() => setNotice(null), data.kind === 'info' ? 4000 : 10000);
+    };
+    GameEvents.on('notify', onNotify);
+    return () => { GameEvents.off('notify', onNotify); clearTimeout(timer); };
+  }, []);
+
+  if (!notice) return null;
+
+  return React.createElement('div', {
+    className: 'notice notice-' + (notice.kind || 'info'),
+    onClick: () => setNotice(null),
+  }, notice.text);
+}
+
 // --- Help Button ---
 function HelpButton() {
   const [open, setOpen] = useState(false);
@@ -635,6 +1358,297 @@ function HelpButton() {
   );
 }
 
+// --- Ramachandran plot (desktop: beside the info panel) ---
+// Points come from dihedralsChanged (measured phi/psi); the shaded
+// regions are those of the selected map (general / Gly / Pro)
+const RAMA_CLASS_COLORS = { favoured: '#3fb950', allowed: '#d29922', disallowed: '#f85149' };
+
+function ramaPoints(poly) {
+  return poly.map(([phi, psi]) => `${phi},${-psi}`).join(' ');
+}
+
+function RamachandranPanel() {
+  const [open, setOpen] = useState(true);
+  const [residues, setResidues] = useState([]);
+  const [mapId, setMapId] = useState('general');
+  const [focusedRef, setFocusedRef] = useState(null);
+  const [hoveredRef, setHoveredRef] = useState(null);
+
+  useEffect(() => {
+    const onDihedrals = (data) => setResidues(data.residues);
+    const onFocus = (data) => {
+      setFocusedRef(data.index != null ? data.refKey : null);
+      if (data.index != null) setMapId(ramaMapId(data.letter));
+    };
+    const onHover = (data) => setHoveredRef(data.refKey);
+    const onSel = () => setFocusedRef(null);
+    GameEvents.on('dihedralsChanged', onDihedrals);
+    GameEvents.on('focusEntry', onFocus);
+    GameEvents.on('hoverEntry', onHover);
+    GameEvents.on('selectionChanged', onSel);
+    return () => {
+      GameEvents.off('dihedralsChanged', onDihedrals);
+      GameEvents.off('focusEntry', onFocus);
+      GameEvents.off('hoverEntry', onHover);
+      GameEvents.off('selectionChanged', onSel);
+    };
+  }, []);
+
+  // Follow the residue under the pointer onto its map
+  useEffect(() => {
+    const r = residues.find(res => res.refKey === hoveredRef);
+    if (r) setMapId(ramaMapId(r.letter));
+  }, [hoveredRef, residues]);
+
+  const plotted = residues.filter(r => r.phi != null && r.psi != null);
+  if (plotted.length === 0) return null;
+
+  const map = RAMA_MAPS.find(m => m.id === mapId);
+  const counts = { favoured: 0, allowed: 0, disallowed: 0 };
+  const points = plotted.map(r => {
+    const cls = classifyRama(r.letter, r.phi, r.psi);
+    counts[cls]++;
+    return { r, cls };
+  });
+  // Highlighted points last so they draw on top
+  const rank = ({ r }) => (r.refKey === hoveredRef ? 2 : r.refKey === focusedRef ? 1 : 0);
+  points.sort((a, b) => rank(a) - rank(b));
+
+  const focusPoint = (r) => {
+    const { phi, psi, ...payload } = r;
+    GameEvents.emit('focusEntry', payload);
+  };
+
+  return React.createElement('div', { className: 'rama-panel' },
+    React.createElement('button', {
+      className: 'rama-toggle',
+      onClick: () => setOpen(!open),
+    }, open ? 'Ramachandran \u25B4' : 'Ramachandran \u25BE'),
+    open && React.createElement('div', { className: 'rama-tabs' },
+      ...RAMA_MAPS.map(m =>
+        React.createElement('button', {
+          key: m.id,
+          className: 'rama-tab' + (m.id === mapId ? ' active' : ''),
+          onClick: () => setMapId(m.id),
+        }, m.name)
+      ),
+    ),
+    open && React.createElement('svg', { className: 'rama-plot', viewBox: '-180 -180 360 360' },
+      React.createElement('rect', { x: -180, y: -180, width: 360, height: 360, className: 'rama-disallowed' }),
+      ...map.regions.allowed.map((poly, i) =>
+        React.createElement('polygon', { key: `a${i}`, points: ramaPoints(poly), className: 'rama-allowed' })),
+      ...map.regions.favoured.map((poly, i) =>
+        React.createElement('polygon', { key: `f${i}`, points: ramaPoints(poly), className: 'rama-favoured' })),
+      React.createElement('line', { x1: -180, y1: 0, x2: 180, y2: 0, className: 'rama-axis' }),
+      React.createElement('line', { x1: 0, y1: -180, x2: 0, y2: 180, className: 'rama-axis' }),
+      React.createElement('text', { x: 172, y: -6, className: 'rama-label', textAnchor: 'end' }, '\u03C6'),
+      React.createElement('text', { x: 8, y: -164, className: 'rama-label' }, '\u03C8'),
+      ...points.map(({ r, cls }) => {
+        const b = BIOME_BY_LETTER[r.letter];
+        const onMap = ramaMapId(r.letter) === mapId;
+        const highlight = r.refKey === hoveredRef ? ' hovered' : r.refKey === focusedRef ? ' focused' : '';
+        return React.createElement('circle', {
+          key: r.refKey,
+          cx: r.phi, cy: -r.psi, r: highlight ? 12 : 8,
+          fill: RAMA_CLASS_COLORS[cls],
+          className: 'rama-point' + highlight + (onMap ? '' : ' off-map'),
+          onClick: () => focusPoint(r),
+          onMouseEnter: () => setHoveredRef(r.refKey),
+          onMouseLeave: () => setHoveredRef(null),
+        },
+          React.createElement('title', null,
+            `${b.code3} ${r.index + 1}: \u03C6 ${Math.round(r.phi)}\u00B0, \u03C8 ${Math.round(r.psi)}\u00B0 (${cls})`),
+        );
+      }),
+    ),
+    open && React.createElement('div', { className: 'rama-counts' },
+      ...Object.keys(counts).map(cls =>
+        React.createElement('span', { key: cls, style: { color: RAMA_CLASS_COLORS[cls] } }, `${counts[cls]} ${cls}`)
+      ),
+    ),
+  );
+}
+
+// --- Solvent accessibility (desktop: left of the peptide panel) ---
+// Relative SASA per residue from sasaChanged; bars are flagged for
+// exposed hydrophobics and buried charges
+const SASA_FLAGS = {
+  exposedHydrophobic: { color: '#e8913a', label: 'exposed hydrophobic' },
+  buriedCharge: { color: '#f85149', label: 'buried charge' },
+};
+const SASA_BAR_MAX = 1.2;   // relative accessibility at the top of the chart
+
+function SasaPanel() {
+  const [open, setOpen] = useState(true);
+  const [sasa, setSasa] = useState(null);
+  const [focusedRef, setFocusedRef] = useState(null);
+
+  useEffect(() => {
+    const onFocus = (data) => setFocusedRef(data.index != null ? data.refKey : null);
+    const onSel = () => setFocusedRef(null);
+    GameEvents.on('sasaChanged', setSasa);
+    GameEvents.on('focusEntry', onFocus);
+    GameEvents.on('selectionChanged', onSel);
+    return () => {
+      GameEvents.off('sasaChanged', setSasa);
+      GameEvents.off('focusEntry', onFocus);
+      GameEvents.off('selectionChanged', onSel);
+    };
+  }, []);
+
+  if (!sasa || sasa.residues.length === 0) return null;
+
+  const n = sasa.residues.length;
+  const W = 200, H = 60;
+  const y = rel => H - Math.min(rel, SASA_BAR_MAX) / SASA_BAR_MAX * H;
+  const counts = { exposedHydrophobic: 0, buriedCharge: 0 };
+  for (const r of sasa.residues) if (r.flag) counts[r.flag]++;
+
+  return React.createElement('div', { className: 'sasa-panel' },
+    React.createElement('button', {
+      className: 'rama-toggle',
+      onClick: () => setOpen(!open),
+    }, open ? 'Accessibility \u25B4' : 'Accessibility \u25BE'),
+    open && React.createElement('svg', {
+      className: 'sasa-plot', viewBox: `0 0 ${W} ${H + 12}`,
+    },
+      ...[SASA_BURIED_MAX, SASA_EXPOSED_MIN, 1].map(rel =>
+        React.createElement('line', { key: rel, x1: 0, x2: W, y1: y(rel), y2: y(rel), className: 'sasa-threshold' })),
+      ...sasa.residues.map((r, i) => {
+        const b = BIOME_BY_LETTER[r.letter];
+        const x = i * W / n;
+        return React.createElement('g', {
+          key: r.refKey,
+          className: 'sasa-bar' + (r.refKey === focusedRef ? ' focused' : ''),
+          onClick: () => GameEvents.emit('focusResidue', { index: r.index }),
+        },
+          React.createElement('rect', {
+            x: x + 1, width: W / n - 2, y: y(r.relative), height: H - y(r.relative),
+            fill: r.flag ? SASA_FLAGS[r.flag].color : '#58a6ff',
+          }),
+          n <= 30 && React.createElement('text', { x: x + W / n / 2, y: H + 10, className: 'sasa-letter' }, r.letter),
+          React.createElement('title', null,
+            `${b.code3} ${r.index + 1}: ${Math.round(r.area)} \u00C5\u00B2 (${Math.round(r.relative * 100)}%)` +
+            (r.flag ? ` \u2014 ${SASA_FLAGS[r.flag].label}` : '')),
+        );
+      }),
+    ),
+    open && React.createElement('div', { className: 'rama-counts' },
+      React.createElement('span', null, `${Math.round(sasa.total)} \u00C5\u00B2`),
+      ...Object.keys(counts).map(flag =>
+        React.createElement('span', { key: flag, style: { color: SASA_FLAGS[flag].color } },
+          `${counts[flag]} ${SASA_FLAGS[flag].label}`)
+      ),
+    ),
+  );
+}
+
+// --- Edit history (desktop: bottom left, beside the palette) ---
+// Undone edits stay listed (dimmed) until a new edit replaces them
+function HistoryPanel() {
+  const [open, setOpen] = useState(true);
+  const { labels, position, canUndo, canRedo } = useHistory();
+  const listRef = useRef(null);
+
+  // Keep the current edit in view
+  useEffect(() => {
+    const current = listRef.current && listRef.current.querySelector('.current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+  }, [labels, position, open]);
+
+  if (labels.length === 0) return null;
+
+  const item = (label, target) => React.createElement('button', {
+    key: target,
+    className: 'history-item' + (target === position ? ' current' : target > position ? ' undone' : ''),
+    onClick: () => GameEvents.emit('historyJump', { position: target }),
+  }, label);
+
+  return React.createElement('div', { className: 'history-panel' },
+    React.createElement('div', { className: 'history-header' },
+      React.createElement('button', {
+        className: 'rama-toggle',
+        onClick: () => setOpen(!open),
+      }, open ? 'History \u25B4' : 'History \u25BE'),
+      React.createElement('button', {
+        className: 'history-btn',
+        onClick: () => GameEvents.emit('undo'),
+        disabled: !canUndo,
+        title: 'Undo (Ctrl+Z)',
+      }, '\u21B6'),
+      React.createElement('button', {
+        className: 'history-btn',
+        onClick: () => GameEvents.emit('redo'),
+        disabled: !canRedo,
+        title: 'Redo (Ctrl+Shift+Z)',
+      }, '\u21B7'),
+    ),
+    open && React.createElement('div', { className: 'history-list', ref: listRef },
+      item('Start', 0),
+      ...labels.map((label, i) => item(label, i + 1)),
+    ),
+  );
+}
+
+// --- Peptide properties (desktop: top right, under the view buttons) ---
+// Whole-peptide values from the chainStats segments (sent on every chainChanged)
+function FormulaText({ formula }) {
+  return React.createElement('span', null,
+    ...formulaText(formula).split(/(\d+)/).filter(Boolean).map((part, i) =>
+      /^\d/.test(part) ? React.createElement('sub', { key: i }, part) : part)
+  );
+}
+
+function PropertiesPanel() {
+  const [open, setOpen] = useState(true);
+  const [stats, setStats] = useState(null);
+  const pH = useSolutionPH();
+
+  useEffect(() => {
+    const onStats = (data) => setStats(data);
+    GameEvents.on('chainStats', onStats);
+    return () => GameEvents.off('chainStats', onStats);
+  }, []);
+
+  if (!stats || stats.segments.length === 0) return null;
+
+  const { segments, disulfides } = stats;
+  const residues = segments.reduce((n, seg) => n + seg.length, 0);
+  const formula = peptideFormula(segments, disulfides);
+  const charge = netCharge(segments, pH, disulfides);
+  const instability = instabilityIndex(segments);
+  const epsilon = extinctionCoefficient(segments, disulfides);
+
+  const row = (label, value, title) => React.createElement('div', { className: 'props-row', title },
+    React.createElement('span', { className: 'props-label' }, label),
+    React.createElement('span', { className: 'props-value' }, value),
+  );
+
+  return React.createElement('div', { className: 'props-panel' },
+    React.createElement('button', {
+      className: 'props-toggle',
+      onClick: () => setOpen(!open),
+    }, open ? 'Peptide \u25B4' : 'Peptide \u25BE'),
+    open && React.createElement('div', { className: 'props-body' },
+      row('Residues', residues + (segments.length > 1 ? ` in ${segments.length} chains` : '')),
+      row('Formula', React.createElement(FormulaText, { formula })),
+      row('Average mass', `${formulaMass(formula).toFixed(2)} Da`),
+      row('Monoisotopic', `${formulaMass(formula, true).toFixed(4)} Da`),
+      row(`Charge at pH ${pH.toFixed(1)}`, signedCharge(charge), 'Set the pH with the slider in the chain bar'),
+      row('pI', isoelectricPoint(segments, disulfides).toFixed(2), 'Isoelectric point (Henderson\u2013Hasselbalch, EMBOSS pKa values)'),
+      row('GRAVY', gravy(segments).toFixed(3), 'Grand average of hydropathy (Kyte\u2013Doolittle)'),
+      row('\u03B5280', `${epsilon} M\u207B\u00B9cm\u207B\u00B9`,
+        disulfides > 0
+          ? `Extinction coefficient at 280 nm with ${disulfides} cystine(s); ${extinctionCoefficient(segments)} with all Cys reduced`
+          : 'Extinction coefficient at 280 nm (Trp, Tyr, cystines)'),
+      row('Aliphatic index', aliphaticIndex(segments).toFixed(2)),
+      row('Instability index',
+        `${instability.toFixed(2)} (${instability > INSTABILITY_THRESHOLD ? 'unstable' : 'stable'})`,
+        'Guruprasad et al. 1990; above 40 predicts an unstable peptide'),
+    ),
+  );
+}
+
 // --- App Root ---
 export function App() {
   // mode: 'title' | 'builder'
@@ -659,6 +1673,11 @@ export function App() {
     };
   }, []);
 
+  // Builder panels are listening now: restore the last session
+  useEffect(() => {
+    if (mode === 'builder') GameEvents.emit('builderReady');
+  }, [mode]);
+
   // Title screen
   if (mode === 'title') {
     return React.createElement(TitleScreen, {
@@ -678,7 +1697,9 @@ export function App() {
       React.createElement(LessonsButton),
       React.createElement(HelpButton),
       React.createElement(ResetViewButton),
+      React.createElement(HydrogenToggle),
       React.createElement(ActionBar),
+      React.createElement(Notice),
     );
   }
 
@@ -686,7 +1707,13 @@ export function App() {
     React.createElement(DesktopPalette),
     React.createElement(ChainDisplay),
     React.createElement(DesktopInfoPanel),
+    React.createElement(RamachandranPanel),
+    React.createElement(PropertiesPanel),
+    React.createElement(SasaPanel),
+    React.createElement(HistoryPanel),
     React.createElement(HelpButton),
     React.createElement(ResetViewButton),
+    React.createElement(HydrogenToggle),
+    React.createElement(Notice),
   );
 }
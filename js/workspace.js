@@ -0,0 +1,304 @@
+// ============================================================
+// workspace.js — Save and load the whole workspace
+// A workspace is plain JSON: every residue (letter, grid cell or
+// world position, group rotation, rotamer), the camera and the active
+// lesson. It is autosaved to localStorage, kept in named slots and
+// downloaded / uploaded as a .peptidelab.json file. Loading rebuilds
+// the chain through the same placement path as lessons.
+// ============================================================
+
+import { BIOME_BY_LETTER, GRID_COLS, GRID_ROWS, REPRESENTATIONS } from './constants.js';
+import { FULL } from './structures.js';
+import { snapshotChain, restoreChain } from './chain.js';
+import { computeRotamerPositions, getRotamerCount } from './rotamers.js';
+import { getCameraState, setCameraState } from './renderer3d.js';
+import { SCENES } from './scenes.js';
+import { GameEvents } from './ui.js';
+
+export const WORKSPACE_FORMAT = 'peptidelab-workspace';
+export const WORKSPACE_EXTENSION = '.peptidelab.json';
+const WORKSPACE_VERSION = 1;
+
+const AUTOSAVE_KEY = 'peptidelab.autosave';
+const SLOTS_KEY = 'peptidelab.workspaces';
+const AUTOSAVE_DELAY = 1000;   // ms after the last edit or camera move
+const ATOM_TOLERANCE = 1e-3;   // local units; closer atoms are left to the rotamer
+
+// --- State ---
+let lesson = null;          // id of the last loaded lesson (saved while its exhibits remain)
+let autosaving = false;     // off until the autosave has been restored
+let autosaveTimer = null;
+
+GameEvents.on('sceneLoaded', (data) => { lesson = data.scene.id; });
+GameEvents.on('buildSequence', () => { lesson = null; });
+GameEvents.on('importStructure', () => { lesson = null; });
+
+// Edits (including undo / redo) and camera moves are saved shortly after
+for (const event of ['historyChanged', 'cameraGestureEnd', 'cameraReset', 'sceneLoaded']) {
+  GameEvents.on(event, () => scheduleAutosave());
+}
+window.addEventListener('pagehide', () => {
+  if (autosaving) writeAutosave();
+});
+
+// ============================================================
+// Serializing
+// ============================================================
+
+// Local atoms of a library rotamer; null for the FULL template (no
+// rotamer, or a residue without any)
+function rotamerAtoms(letter, rotamer) {
+  if (rotamer === null || getRotamerCount(letter) === 0) return null;
+  return computeRotamerPositions(letter, rotamer);
+}
+
+// A residue's local atoms when they are not just its rotamer (imported,
+// relaxed or moved by dynamics), rounded; undefined otherwise
+function customAtoms(letter, rotamer, atoms) {
+  if (!atoms) return undefined;
+  const ideal = rotamerAtoms(letter, rotamer) || FULL[letter].atoms;
+  const same = atoms.every((a, i) =>
+    Math.abs(a.x - ideal[i].x) < ATOM_TOLERANCE &&
+    Math.abs(a.y - ideal[i].y) < ATOM_TOLERANCE &&
+    Math.abs((a.z || 0) - (ideal[i].z || 0)) < ATOM_TOLERANCE);
+  return same ? undefined : atoms.map(a => [a.x, a.y, a.z || 0].map(v => round(v, 3)));
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+// Residues in placement order; next is the index of the residue bonded
+// after this one. Grid residues keep their cell, and a world position
+// only once a fold has moved them off it. The lesson is only named while
+// some of its exhibits are still in the chain (not after Clear, or once
+// they have all been removed).
+export function serializeWorkspace() {
+  const snapshot = snapshotChain();
+  const order = snapshot.map((r, i) => i).sort((a, b) => snapshot[a].serial - snapshot[b].serial);
+  const indexOf = new Map(order.map((i, k) => [i, k]));
+
+  const residues = order.map(i => {
+    const r = snapshot[i];
+    const residue = { letter: r.letter };
+    if (!r.exhibit) residue.cell = [r.col, r.row];
+    if (r.exhibit || r.backbone) residue.position = r.position.map(v => round(v, 4));
+    residue.rotation = r.quaternion.map(v => round(v, 6));
+    residue.rotamer = r.rotamer;
+    if (r.next !== null) residue.next = indexOf.get(r.next);
+    if (r.backbone) residue.backbone = { ...r.backbone };
+    if (r.representation) residue.representation = r.representation;
+    const atoms = customAtoms(r.letter, r.rotamer, r.atoms);
+    if (atoms) residue.atoms = atoms;
+    return residue;
+  });
+
+  return {
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    savedAt: new Date().toISOString(),
+    lesson: snapshot.some(r => r.exhibit) ? lesson : null,
+    camera: getCameraState(),
+    residues,
+  };
+}
+
+// ============================================================
+// Reading: check everything before the chain is touched
+// ============================================================
+function isNumbers(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+function residueError(r, i, count, cells) {
+  const where = `residue ${i + 1}`;
+  if (!r || !BIOME_BY_LETTER[r.letter]) return `${where}: unknown amino acid`;
+  if (r.cell !== undefined) {
+    const [col, row] = r.cell || [];
+    if (!Number.isInteger(col) || !Number.isInteger(row) ||
+        col < 0 || col >= GRID_COLS || row < 0 || row >= GRID_ROWS) {
+      return `${where}: cell is off the grid`;
+    }
+    if (cells.has(`${col},${row}`)) return `${where}: cell ${col},${row} is taken twice`;
+    cells.add(`${col},${row}`);
+  } else if (!isNumbers(r.position, 3)) {
+    return `${where}: needs a grid cell or a world position`;
+  }
+  if (r.position !== undefined && !isNumbers(r.position, 3)) return `${where}: bad position`;
+  if (!isNumbers(r.rotation, 4)) return `${where}: bad rotation`;
+  if (r.rotamer !== null && r.rotamer !== undefined &&
+      !(Number.isInteger(r.rotamer) && r.rotamer >= 0 && r.rotamer < Math.max(getRotamerCount(r.letter), 1))) {
+    return `${where}: no rotamer ${r.rotamer}`;
+  }
+  if (r.next !== undefined && !(Number.isInteger(r.next) && r.next >= 0 && r.next < count && r.next !== i)) {
+    return `${where}: bad next residue`;
+  }
+  if (r.backbone !== undefined && !['phi', 'psi', 'omega'].every(k => Number.isFinite(r.backbone?.[k]))) {
+    return `${where}: bad backbone dihedrals`;
+  }
+  if (r.representation !== undefined && !REPRESENTATIONS.some(m => m.id === r.representation)) {
+    return `${where}: unknown representation`;
+  }
+  if (r.atoms !== undefined &&
+      !(Array.isArray(r.atoms) && r.atoms.length === FULL[r.letter].atoms.length && r.atoms.every(a => isNumbers(a, 3)))) {
+    return `${where}: bad atom coordinates`;
+  }
+  return null;
+}
+
+// Parse a workspace file: { workspace } or { error }
+export function parseWorkspace(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'not a JSON file' };
+  }
+  if (!data || data.format !== WORKSPACE_FORMAT) return { error: 'not a PeptideLab workspace' };
+  if (data.version > WORKSPACE_VERSION) return { error: 'saved by a newer version of PeptideLab' };
+  if (!Array.isArray(data.residues)) return { error: 'no residues' };
+
+  const cells = new Set();
+  const prevs = new Set();
+  for (const [i, r] of data.residues.entries()) {
+    const error = residueError(r, i, data.residues.length, cells);
+    if (error) return { error };
+    if (r.next !== undefined) {
+      if (prevs.has(r.next)) return { error: `residue ${r.next + 1} follows two residues` };
+      prevs.add(r.next);
+    }
+  }
+  // Following next from any residue must end: no rings
+  for (let i = 0; i < data.residues.length; i++) {
+    let j = i;
+    for (let steps = 0; j !== undefined; steps++) {
+      if (steps > data.residues.length) return { error: 'residues are bonded in a ring' };
+      j = data.residues[j].next;
+    }
+  }
+  if (data.camera && !(isNumbers(data.camera.position, 3) && isNumbers(data.camera.target, 3))) {
+    return { error: 'bad camera' };
+  }
+  return { workspace: data };
+}
+
+// ============================================================
+// Public: restore a parsed workspace (chain, camera, lesson)
+// Returns the lesson scene, or null when none was active.
+// ============================================================
+export function restoreWorkspace(workspace) {
+  // Fresh residues: nothing on the current chain carries over
+  restoreChain(workspace.residues.map((r, i) => {
+    const rotamer = Number.isInteger(r.rotamer) ? r.rotamer : null;
+    const atoms = r.atoms
+      ? FULL[r.letter].atoms.map((a, k) => ({ ...a, x: r.atoms[k][0], y: r.atoms[k][1], z: r.atoms[k][2] }))
+      : rotamerAtoms(r.letter, rotamer);
+    return {
+      letter: r.letter,
+      col: r.cell ? r.cell[0] : null,
+      row: r.cell ? r.cell[1] : null,
+      exhibit: !r.cell,
+      serial: i,
+      position: r.position || null,
+      quaternion: r.rotation,
+      rotamer,
+      atoms,
+      backbone: r.backbone ? { phi: r.backbone.phi, psi: r.backbone.psi, omega: r.backbone.omega } : null,
+      representation: r.representation || null,
+      next: r.next ?? null,
+    };
+  }), true);
+  if (workspace.camera) setCameraState(workspace.camera);
+  const scene = SCENES.find(s => s.id === workspace.lesson) || null;
+  lesson = scene ? scene.id : null;
+  return scene;
+}
+
+// ============================================================
+// Public: autosave
+// ============================================================
+function scheduleAutosave() {
+  if (!autosaving) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(writeAutosave, AUTOSAVE_DELAY);
+}
+
+function writeAutosave() {
+  clearTimeout(autosaveTimer);
+  writeStorage(AUTOSAVE_KEY, serializeWorkspace());
+}
+
+// The last session's workspace, or null
+export function readAutosave() {
+  const text = readStorage(AUTOSAVE_KEY);
+  if (text === null) return null;
+  const { workspace } = parseWorkspace(text);
+  return workspace || null;
+}
+
+// Called once the last session is back, so it is not overwritten first
+export function startAutosave() {
+  autosaving = true;
+}
+
+// ============================================================
+// Public: named save slots
+// ============================================================
+
+// localStorage can be full or blocked (private browsing): failures
+// come back as false / null
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readSlots() {
+  try {
+    const slots = JSON.parse(readStorage(SLOTS_KEY));
+    return slots && typeof slots === 'object' && !Array.isArray(slots) ? slots : {};
+  } catch {
+    return {};
+  }
+}
+
+// [{ name, savedAt, residues }], newest first; slots that do not parse
+// as a workspace are left out
+export function listSlots() {
+  return Object.entries(readSlots())
+    .map(([name, slot]) => [name, parseWorkspace(JSON.stringify(slot)).workspace])
+    .filter(([, w]) => w)
+    .map(([name, w]) => ({ name, savedAt: w.savedAt, residues: w.residues.length }))
+    .sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+}
+
+export function saveSlot(name) {
+  const slots = readSlots();
+  slots[name] = serializeWorkspace();
+  return writeStorage(SLOTS_KEY, slots);
+}
+
+// The slot's workspace, or { error } when it is missing or unreadable
+export function readSlot(name) {
+  const slot = readSlots()[name];
+  if (!slot) return { error: 'no such workspace' };
+  return parseWorkspace(JSON.stringify(slot));
+}
+
+export function deleteSlot(name) {
+  const slots = readSlots();
+  delete slots[name];
+  return writeStorage(SLOTS_KEY, slots);
+}